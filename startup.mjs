@@ -1,25 +1,45 @@
 'use strict';
 
 import readline from 'readline';
+import { Writable } from 'stream';
 import path from 'path';
 import { promises as fs } from 'fs';
-import axios from 'axios';
 
-import { authenticate } from './v2/login.mjs';
+import { authenticate, loadSession, revokeSession, deleteSession } from './v2/login.mjs';
+import { resolveProfile, listProfiles, validateProfileName, getProfilesDirectory, describeSessionStatus } from './v2/profiles.mjs';
+import { SESSION_PASSPHRASE_ENV_VARIABLE } from './v2/tokenstore.mjs';
 import { downloadMusicTrack } from './v2/music.mjs';
-import { downloadVideo, fetchAvailableVideoStreams } from './v2/video.mjs';
+import { downloadVideo, fetchAvailableVideoStreams, selectStreamByPreference } from './v2/video.mjs';
+import { downloadAlbum } from './v2/album.mjs';
+import { downloadPlaylist, COLLECTION_TYPE } from './v2/playlist.mjs';
+import { downloadArtistReleases, fetchArtistDetails, fetchArtistReleases, parseReleaseTypeList, describeRelease, RELEASE_TYPES } from './v2/artist.mjs';
+import { getPrimaryArtistName } from './v2/naming.mjs';
+import { describeApiError, TidalApiClient } from './v2/api.mjs';
+import { searchTidal, describeSearchResult, parseSearchTypeList, DEFAULT_SEARCH_PAGE_SIZE } from './v2/search.mjs';
+import { fetchTrackMetadata, fetchVideoMetadata } from './v2/metadata.mjs';
+import { countLyricsStatuses, LYRICS_STATUS } from './v2/lyrics.mjs';
+import { COVER_SIZES } from './v2/artwork.mjs';
+import { REMUX_ENGINES } from './v2/remux.mjs';
+import { renderPathTemplate, validatePathTemplate, buildTrackTemplateFields, buildVideoTemplateFields, TRACK_TEMPLATE_FIELDS, VIDEO_TEMPLATE_FIELDS } from './v2/template.mjs';
+import { loadConfig, DEFAULT_CONFIG } from './v2/config.mjs';
+import { parseCommandLineArguments, USAGE_TEXT, CLI_COMMANDS } from './v2/cli.mjs';
+import { readBatchEntries, writeBatchReport } from './v2/batch.mjs';
+import { runWithConcurrency } from './v2/concurrency.mjs';
+import { createJobQueue } from './v2/jobs.mjs';
+import { startDownloadServer } from './v2/server.mjs';
+import { createProgressDisplay } from './v2/progress.mjs';
+import { DOWNLOAD_ENGINES } from './v2/downloader.mjs';
+import { openDownloadArchive, rebuildDownloadArchive, ARCHIVE_ITEM_TYPE } from './v2/archive.mjs';
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+let rl = null;
+let interactivePromptsEnabled = true;
 
 const UI_TEXT = {
     WELCOME_BANNER_TOP: "╔═════════════════════════════════════════════════╗",
     WELCOME_BANNER_MID: "║         Welcome to Tidal Downloader!          ║",
     WELCOME_BANNER_BOT: "╚═════════════════════════════════════════════════╝",
-    ARIA2C_NOTICE: "\nMake sure you have 'aria2c' installed and in your system's PATH.",
-    DOWNLOAD_DIR_NOTICE: "Downloads will be saved in a './downloads' directory relative to this script.",
+    ARIA2C_NOTICE: "\n'aria2c' is used for downloads when it is on your PATH; otherwise the built-in downloader takes over.",
+    DOWNLOAD_DIR_NOTICE: "Downloads will be saved in:",
     AUTHENTICATING_MSG: "\nAttempting to authenticate with Tidal...",
     AUTH_SUCCESS_MSG: "\n✅ Successfully authenticated with Tidal!",
     AUTH_FAILED_MSG: "\nAuthentication failed, or no valid session obtained. Cannot proceed.",
@@ -29,24 +49,41 @@ const UI_TEXT = {
     EXIT_MESSAGE: "\nExiting. Goodbye! 👋",
     INVALID_CHOICE: "Invalid choice. Please try again.",
     DOWNLOAD_ANOTHER_PROMPT: "\nDo you want to download another item?",
+    SEARCH_QUERY_PROMPT: "\nSearch Tidal for (tracks, albums, artists, playlists and videos): ",
+    NO_SEARCH_RESULTS: "No results found.",
 };
 
-const APP_CONFIG = {
-    OUTPUT_BASE_DIR: './downloads',
-    MUSIC_SUBDIR: 'music',
-    VIDEO_SUBDIR: 'videos',
-    DEFAULT_AXIOS_TIMEOUT: 15000,
-    MAX_FILENAME_LENGTH: 200,
-};
+let appConfig = DEFAULT_CONFIG;
 
 const ITEM_TYPE = {
     SONG: 'song',
     VIDEO: 'video',
+    ALBUM: 'album',
+    PLAYLIST: 'playlist',
+    MIX: 'mix',
+    ARTIST: 'artist',
 };
 
+const VIDEO_QUALITY_PREFERENCE_PATTERN = /^(best|worst|\d+p?)$/i;
+
+const URL_DETECTION_ORDER = [ITEM_TYPE.SONG, ITEM_TYPE.VIDEO, ITEM_TYPE.PLAYLIST, ITEM_TYPE.MIX, ITEM_TYPE.ALBUM, ITEM_TYPE.ARTIST];
+
 const TIDAL_URL_PATTERNS = {
     TRACK: /\/(?:browse\/)?track\/(\d+)/,
     VIDEO: /\/(?:browse\/)?video\/(\d+)/,
+    ALBUM: /\/(?:browse\/)?album\/(\d+)/,
+    PLAYLIST: /\/(?:browse\/)?playlist\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i,
+    MIX: /\/(?:browse\/)?mix\/([0-9a-zA-Z]+)/,
+    ARTIST: /\/(?:browse\/)?artist\/(\d+)/,
+};
+
+const ITEM_TYPE_URL_INFO = {
+    [ITEM_TYPE.SONG]: { pattern: TIDAL_URL_PATTERNS.TRACK, exampleUrl: 'https://tidal.com/browse/track/TRACK_ID' },
+    [ITEM_TYPE.VIDEO]: { pattern: TIDAL_URL_PATTERNS.VIDEO, exampleUrl: 'https://tidal.com/browse/video/VIDEO_ID' },
+    [ITEM_TYPE.ALBUM]: { pattern: TIDAL_URL_PATTERNS.ALBUM, exampleUrl: 'https://tidal.com/browse/album/ALBUM_ID' },
+    [ITEM_TYPE.PLAYLIST]: { pattern: TIDAL_URL_PATTERNS.PLAYLIST, exampleUrl: 'https://tidal.com/browse/playlist/PLAYLIST_UUID' },
+    [ITEM_TYPE.MIX]: { pattern: TIDAL_URL_PATTERNS.MIX, exampleUrl: 'https://tidal.com/browse/mix/MIX_ID' },
+    [ITEM_TYPE.ARTIST]: { pattern: TIDAL_URL_PATTERNS.ARTIST, exampleUrl: 'https://tidal.com/browse/artist/ARTIST_ID' },
 };
 
 const AUDIO_QUALITIES = [
@@ -57,15 +94,77 @@ const AUDIO_QUALITIES = [
 ];
 
 const MAIN_MENU_OPTIONS = [
-    { id: 'DOWNLOAD_SONG', name: 'Download a Song' },
-    { id: 'DOWNLOAD_VIDEO', name: 'Download a Music Video' },
+    { id: 'DOWNLOAD_SONG', name: 'Download a Song', itemType: ITEM_TYPE.SONG },
+    { id: 'DOWNLOAD_VIDEO', name: 'Download a Music Video', itemType: ITEM_TYPE.VIDEO },
+    { id: 'DOWNLOAD_ALBUM', name: 'Download an Album', itemType: ITEM_TYPE.ALBUM },
+    { id: 'DOWNLOAD_PLAYLIST', name: 'Download a Playlist', itemType: ITEM_TYPE.PLAYLIST },
+    { id: 'DOWNLOAD_MIX', name: 'Download a Mix', itemType: ITEM_TYPE.MIX },
+    { id: 'DOWNLOAD_ARTIST', name: "Download an Artist's Discography", itemType: ITEM_TYPE.ARTIST },
+    { id: 'SEARCH', name: 'Search Tidal' },
     { id: 'EXIT', name: 'Exit' },
 ];
 
+function getReadlineInterface() {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+    return rl;
+}
+
+function closeReadlineInterface() {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+}
+
 function askQuestion(query) {
-  return new Promise(resolve => rl.question(query, resolve));
+    if (!interactivePromptsEnabled) {
+        return Promise.reject(new Error(`Cannot prompt in non-interactive mode: "${query.trim()}"`));
+    }
+    return new Promise(resolve => getReadlineInterface().question(query, resolve));
 }
 
+// Reads a line without echoing it. Works in non-interactive mode too, as long as stdin is a terminal.
+function askHiddenQuestion(query) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error(`Cannot prompt for "${query.trim()}" without a terminal. Set ${SESSION_PASSPHRASE_ENV_VARIABLE} instead.`));
+    }
+    closeReadlineInterface();
+    return new Promise(resolve => {
+        const mutedOutput = new Writable({ write: (chunk, encoding, callback) => callback() });
+        const hiddenInterface = readline.createInterface({ input: process.stdin, output: mutedOutput, terminal: true });
+        process.stdout.write(query);
+        hiddenInterface.question('', answer => {
+            hiddenInterface.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+// The passphrase comes from the environment or is asked once per run.
+function createSessionPassphraseProvider() {
+    let passphrase = process.env[SESSION_PASSPHRASE_ENV_VARIABLE] || null;
+    return async ({ confirm = false } = {}) => {
+        if (passphrase) return passphrase;
+        const answer = await askHiddenQuestion('Session file passphrase: ');
+        if (!answer) {
+            throw new Error('The session passphrase must not be empty.');
+        }
+        if (confirm && answer !== await askHiddenQuestion('Repeat the passphrase: ')) {
+            throw new Error('The passphrases do not match.');
+        }
+        passphrase = answer;
+        return passphrase;
+    };
+}
+
+const getSessionPassphrase = createSessionPassphraseProvider();
+
 async function promptUserForSelection(promptMessage, options, optionFormatter = (opt) => opt.name || opt) {
     console.log(`\n${promptMessage}`);
     options.forEach((option, index) => {
@@ -86,6 +185,25 @@ async function promptUserForSelection(promptMessage, options, optionFormatter =
     return options[choiceIndex];
 }
 
+async function promptUserForMultiSelection(promptMessage, options, optionFormatter = (opt) => opt.name || opt) {
+    console.log(`\n${promptMessage}`);
+    options.forEach((option, index) => {
+        console.log(`  ${index + 1}. ${optionFormatter(option)}`);
+    });
+
+    const maxChoice = options.length;
+    while (true) {
+        const answer = (await askQuestion(`Select one or more options separated by commas (1-${maxChoice}), or press Enter for all: `)).trim();
+        if (answer === '') return [...options];
+
+        const parsedAnswers = answer.split(',').map(part => parseInt(part.trim(), 10));
+        if (parsedAnswers.every(value => !isNaN(value) && value >= 1 && value <= maxChoice)) {
+            return options.filter((option, index) => parsedAnswers.includes(index + 1));
+        }
+        console.log(`Invalid selection. Please enter numbers between 1 and ${maxChoice}, separated by commas.`);
+    }
+}
+
 async function promptUserForConfirmation(promptMessage, defaultValue = true) {
     const reminder = defaultValue ? '(Y/n)' : '(y/N)';
     const validYes = ['yes', 'y'];
@@ -102,169 +220,76 @@ async function promptUserForConfirmation(promptMessage, defaultValue = true) {
 
 function extractIdFromTidalUrl(url, itemType) {
     if (!url || typeof url !== 'string') return null;
-    const regex = itemType === ITEM_TYPE.SONG ? TIDAL_URL_PATTERNS.TRACK : TIDAL_URL_PATTERNS.VIDEO;
-    const match = url.match(regex);
+    const urlInfo = ITEM_TYPE_URL_INFO[itemType];
+    if (!urlInfo) return null;
+    const match = url.match(urlInfo.pattern);
     return match && match[1] ? { type: itemType, id: match[1] } : null;
 }
 
-async function fetchHtmlContent(url) {
-    const urlObj = new URL(url);
-    const headers = {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Host': urlObj.hostname,
-        'Upgrade-Insecure-Requests': '1',
-        'Sec-Fetch-Dest': 'document',
-        'Sec-Fetch-Mode': 'navigate',
-        'Sec-Fetch-Site': 'none',
-        'Sec-Fetch-User': '?1',
-        'Connection': 'keep-alive',
-    };
-
-    try {
-        const response = await axios.get(url, { headers, timeout: APP_CONFIG.DEFAULT_AXIOS_TIMEOUT });
-        return response.data;
-    } catch (error) {
-        console.error(`Error fetching HTML from ${url}: ${error.message}`);
-        if (error.response) {
-            console.error(`Status: ${error.response.status}, Data (first 200 chars): ${String(error.response.data).substring(0, 200)}`);
-        } else if (error.request) {
-            console.error('No response received from server.');
-        }
-        throw error;
+function detectTidalUrl(url) {
+    for (const itemType of URL_DETECTION_ORDER) {
+        const idInfo = extractIdFromTidalUrl(url, itemType);
+        if (idInfo) return idInfo;
     }
+    return null;
 }
 
-function parseOgMetaProperty(htmlContent, property) {
-    const regex = new RegExp(`<meta[^>]*property="og:${property}"[^>]*content="([^"]+)"`, 'i');
-    const match = htmlContent.match(regex);
-    return match ? match[1] : null;
-}
-
-function normalizeTidalTrackUrlForMetadata(inputUrlStr) {
+async function resolveSongOutputPath(client, itemId, runOptions) {
+    const outputDir = path.join(runOptions.outputBaseDir, appConfig.musicSubdir);
+    if (!runOptions.rename) {
+        console.log("Using an ID-based filename (--no-rename).");
+        return { outputDir, resolveOutputPath: null, metadata: null };
+    }
     try {
-        const url = new URL(inputUrlStr);
-        let path = url.pathname;
-
-        if (path.startsWith('/u/')) path = path.substring(2);
-
-        const segments = path.split('/').filter(Boolean);
-        let trackId = null;
-
-        if (segments[0] === 'track' && segments[1]) {
-            trackId = segments[1];
-        } else if (segments[0] === 'browse' && segments[1] === 'track' && segments[2]) {
-            trackId = segments[2];
-        }
-
-        if (trackId && /^\d+$/.test(trackId)) {
-            return `${url.protocol}//${url.host}/browse/track/${trackId}`;
-        }
-        return inputUrlStr;
-    } catch (e) {
-        return inputUrlStr;
+        const metadata = await fetchTrackMetadata(itemId, { client });
+        // Called by downloadMusicTrack once the delivered quality and the file extension are known.
+        const resolveOutputPath = ({ quality, fileExtension }) => renderPathTemplate(runOptions.templates.track, buildTrackTemplateFields(metadata, { quality }), {
+            baseDir: outputDir,
+            fileExtension,
+            maxPathLength: appConfig.maxFilenameLength,
+        });
+        return { outputDir, resolveOutputPath, metadata };
+    } catch (error) {
+        console.warn(`Could not fetch metadata for track ${itemId} (${describeApiError(error)}). Using an ID-based filename.`);
+        return { outputDir, resolveOutputPath: null, metadata: null };
     }
 }
 
-async function fetchTrackMetadataForRenaming(trackUrl) {
-    const urlToFetch = normalizeTidalTrackUrlForMetadata(trackUrl);
-    if (urlToFetch !== trackUrl) {
-        console.log(`Normalized URL for metadata fetching: ${urlToFetch}`);
+async function resolveVideoOutputPath(client, itemId, selectedStream, runOptions) {
+    const outputDir = path.join(runOptions.outputBaseDir, appConfig.videoSubdir);
+    if (!runOptions.rename) {
+        console.log("Using an ID-based filename (--no-rename).");
+        return { outputDir, outputBasename: undefined, metadata: null };
     }
-
     try {
-        console.log(`Fetching HTML from: ${urlToFetch}`);
-        const htmlContent = await fetchHtmlContent(urlToFetch);
-        let title = null;
-        let artist = null;
-
-        const pageTitleTagMatch = htmlContent.match(/<title>(.+?) by (.+?) on TIDAL<\/title>/i);
-        if (pageTitleTagMatch && pageTitleTagMatch[1] && pageTitleTagMatch[2]) {
-            title = pageTitleTagMatch[1].trim();
-            artist = pageTitleTagMatch[2].trim();
-            console.log(`Metadata from <title>: Title "${title}", Artist "${artist}"`);
-        } else {
-            const ogTitle = parseOgMetaProperty(htmlContent, 'title');
-            if (ogTitle) {
-                const parts = ogTitle.split(' - ');
-                if (parts.length >= 2) {
-                    title = parts[0].trim();
-                    artist = parts.slice(1).join(' - ').trim();
-                    console.log(`Metadata from og:title (split): Title "${title}", Artist "${artist}"`);
-                } else {
-                    title = ogTitle.trim();
-                    console.log(`Metadata from og:title (no split): Title "${title}"`);
-                }
-            } else {
-                console.log("Could not extract title/artist from <title> or og:title tags.");
-            }
-        }
-        return { title, artist };
+        const metadata = await fetchVideoMetadata(itemId, { client });
+        const { outputDir: videoDir, outputBasename } = renderPathTemplate(runOptions.templates.video, buildVideoTemplateFields(metadata, selectedStream), {
+            baseDir: outputDir,
+            fileExtension: '.mp4',
+            maxPathLength: appConfig.maxFilenameLength,
+        });
+        return { outputDir: videoDir, outputBasename, metadata };
     } catch (error) {
-        console.error(`Error fetching metadata from ${urlToFetch}: ${error.message}`);
-        return { title: null, artist: null };
+        console.warn(`Could not fetch metadata for video ${itemId} (${describeApiError(error)}). Using an ID-based filename.`);
+        return { outputDir, outputBasename: undefined, metadata: null };
     }
 }
 
-function sanitizeFilenameSegment(name) {
-    if (!name || typeof name !== 'string') return '';
-    let sanitized = name.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_');
-    sanitized = sanitized.replace(/\s+/g, ' ').trim();
-    return (sanitized === '' || sanitized.match(/^\.+$/)) ? 'untitled' : sanitized;
-}
-
-async function renameDownloadedSong(originalFilePath, songUrl) {
-    console.log("Fetching metadata for potential renaming...");
-    const { title, artist } = await fetchTrackMetadataForRenaming(songUrl);
-
-    if (!title || !artist) {
-        console.log("Skipping renaming: insufficient metadata (title/artist missing).");
-        return originalFilePath;
-    }
-
-    const doRename = await promptUserForConfirmation("Rename file using Artist - Title?", true);
-    if (!doRename) {
-        console.log("Skipping renaming as per user choice.");
-        return originalFilePath;
-    }
-
-    const fileExt = path.extname(originalFilePath);
-    const outputDir = path.dirname(originalFilePath);
-    const newBaseName = `${sanitizeFilenameSegment(artist)} - ${sanitizeFilenameSegment(title)}`;
-    let newFilePath = path.join(outputDir, `${newBaseName}${fileExt}`);
-
-    if (newFilePath.length > APP_CONFIG.MAX_FILENAME_LENGTH) {
-        const excessLength = newFilePath.length - APP_CONFIG.MAX_FILENAME_LENGTH;
-        const baseNamePathLength = newBaseName.length + outputDir.length + fileExt.length + 1;
-
-        if (newBaseName.length > excessLength) {
-             const truncatedBaseName = newBaseName.substring(0, newBaseName.length - excessLength - 3) + "...";
-             newFilePath = path.join(outputDir, `${truncatedBaseName}${fileExt}`);
-        } else {
-            console.warn("Filename is too long even after attempting truncation. Using a generic short name.");
-            newFilePath = path.join(outputDir, `tidal_download_${Date.now()}${fileExt}`);
-        }
-    }
-
-
-    if (newFilePath === originalFilePath) {
-        console.log("Generated filename is same as original. No rename needed.");
-        return originalFilePath;
-    }
-
+async function resolveVideoMetadata(client, itemId, metadata) {
+    if (metadata) return metadata;
     try {
-        console.log(`Renaming "${path.basename(originalFilePath)}" to "${path.basename(newFilePath)}"`);
-        await fs.rename(originalFilePath, newFilePath);
-        console.log(`✅ File renamed successfully to: ${newFilePath}`);
-        return newFilePath;
-    } catch (renameError) {
-        console.error(`❌ Failed to rename file: ${renameError.message}. Using original filename.`);
-        return originalFilePath;
+        return await fetchVideoMetadata(itemId, { client });
+    } catch (error) {
+        console.warn(`Could not fetch metadata for video ${itemId} (${describeApiError(error)}). Skipping the thumbnail and MP4 tags.`);
+        return null;
     }
 }
 
-async function selectAudioDownloadQuality() {
+async function selectAudioDownloadQuality(runOptions) {
+    if (runOptions.audioQuality || !runOptions.interactive) {
+        const apiCode = runOptions.audioQuality || appConfig.defaultAudioQuality;
+        return AUDIO_QUALITIES.find(quality => quality.apiCode === apiCode) || null;
+    }
     return await promptUserForSelection(
         "Available Audio Qualities:",
         AUDIO_QUALITIES,
@@ -272,14 +297,25 @@ async function selectAudioDownloadQuality() {
     );
 }
 
-async function selectVideoDownloadQuality(videoId, accessToken) {
+function getFallbackAudioQualities(apiCode, runOptions) {
+    if (!runOptions.qualityFallback) return [];
+    const requestedIndex = AUDIO_QUALITIES.findIndex(quality => quality.apiCode === apiCode);
+    return AUDIO_QUALITIES.slice(0, Math.max(requestedIndex, 0)).map(quality => quality.apiCode).reverse();
+}
+
+async function selectVideoDownloadQuality(videoId, client, runOptions) {
     console.log("\nFetching available video qualities...");
+    const willPrompt = runOptions.interactive && !runOptions.videoQuality;
     try {
-        const streams = await fetchAvailableVideoStreams(videoId, accessToken);
+        // No progress while the quality is still to be picked, so the progress bar does not cover the prompt.
+        const streams = await fetchAvailableVideoStreams(videoId, client, { onProgress: willPrompt ? undefined : runOptions.downloadOptions.onProgress });
         if (!streams || streams.length === 0) {
             console.log("No video streams found or an error occurred during fetch.");
             return null;
         }
+        if (!willPrompt) {
+            return selectStreamByPreference(streams, runOptions.videoQuality || appConfig.defaultVideoQuality);
+        }
         return await promptUserForSelection(
             "Available Video Qualities (sorted best first by bandwidth):",
             streams,
@@ -291,16 +327,30 @@ async function selectVideoDownloadQuality(videoId, accessToken) {
     }
 }
 
-async function handleSongDownload(session, itemUrl, itemId) {
-    const selectedQuality = await selectAudioDownloadQuality();
+function buildSummaryResult(summary) {
+    return {
+        success: summary.failed.length === 0,
+        filePaths: summary.succeeded.map(entry => entry.filePath),
+        error: summary.failed.length > 0 ? `${summary.failed.length} item(s) failed to download.` : null,
+    };
+}
+
+async function handleSongDownload(client, itemUrl, itemId, runOptions) {
+    const selectedQuality = await selectAudioDownloadQuality(runOptions);
     if (!selectedQuality) {
         console.log("No audio quality selected. Aborting song download.");
-        return;
+        return { success: false, error: 'No audio quality selected.' };
     }
     console.log(`Selected audio quality: ${selectedQuality.name}`);
 
-    const outputDir = path.join(APP_CONFIG.OUTPUT_BASE_DIR, APP_CONFIG.MUSIC_SUBDIR);
-    await fs.mkdir(outputDir, { recursive: true });
+    const archivedEntry = await runOptions.archive?.findEntry(ARCHIVE_ITEM_TYPE.TRACK, itemId, selectedQuality.apiCode);
+    if (archivedEntry) {
+        console.log(`\n⏭️  Song ${itemId} (${selectedQuality.apiCode}) is already in the download archive: ${archivedEntry.path}`);
+        console.log('   Use --force to download it again.');
+        return { success: true, skipped: true, filePaths: [archivedEntry.path], quality: selectedQuality.apiCode };
+    }
+
+    const { outputDir, resolveOutputPath, metadata } = await resolveSongOutputPath(client, itemId, runOptions);
 
     console.log(`\n🎵 Starting download for song ID: ${itemId}`);
     console.log(`   Output directory: ${path.resolve(outputDir)}`);
@@ -308,73 +358,515 @@ async function handleSongDownload(session, itemUrl, itemId) {
     const downloadResult = await downloadMusicTrack({
         trackId: itemId,
         audioQuality: selectedQuality.apiCode,
-        accessToken: session.accessToken,
+        client,
         outputDir: outputDir,
-        countryCode: session.countryCode
+        resolveOutputPath,
+        metadata,
+        downloadOptions: runOptions.downloadOptions,
+        fallbackQualities: getFallbackAudioQualities(selectedQuality.apiCode, runOptions),
+        lyrics: runOptions.lyrics,
+        coverSize: runOptions.artwork.coverSize,
     });
 
     if (downloadResult && downloadResult.success && downloadResult.filePath) {
-        console.log(`\n✅ Song ${itemId} (${selectedQuality.apiCode}) download process finished. Original file: ${downloadResult.filePath}`);
-        const finalFilePath = await renameDownloadedSong(downloadResult.filePath, itemUrl);
+        const deliveredQuality = downloadResult.quality?.audioQuality || selectedQuality.apiCode;
+        const finalFilePath = downloadResult.filePath;
+        console.log(`\n✅ Song ${itemId} (${deliveredQuality}) download process finished.`);
         console.log(`   Final file location: ${finalFilePath}`);
-    } else {
-        const errorMsg = downloadResult ? downloadResult.error : 'Unknown download error';
-        console.error(`\n❌ Song ${itemId} download failed. ${errorMsg}`);
+        if (downloadResult.lyrics === LYRICS_STATUS.MISSING) {
+            console.log('   No lyrics are available for this track.');
+        }
+        await runOptions.archive?.recordDownload({
+            type: ARCHIVE_ITEM_TYPE.TRACK,
+            id: itemId,
+            quality: selectedQuality.apiCode,
+            deliveredQuality: downloadResult.quality,
+            filePath: finalFilePath,
+        });
+        return { success: true, filePaths: [finalFilePath], quality: deliveredQuality, deliveredQuality: downloadResult.quality };
     }
+    const errorMsg = downloadResult ? downloadResult.error : 'Unknown download error';
+    console.error(`\n❌ Song ${itemId} download failed. ${errorMsg}`);
+    return { success: false, error: errorMsg };
 }
 
-async function handleVideoDownload(session, itemUrl, itemId) {
-    const selectedStream = await selectVideoDownloadQuality(itemId, session.accessToken);
+async function handleVideoDownload(client, itemUrl, itemId, runOptions) {
+    const selectedStream = await selectVideoDownloadQuality(itemId, client, runOptions);
     if (!selectedStream) {
         console.log("No video quality selected or error fetching. Aborting video download.");
-        return;
+        return { success: false, error: 'No video quality selected or error fetching streams.' };
     }
     console.log(`Selected video quality: ${selectedStream.resolution} @ ${selectedStream.bandwidth}bps`);
 
-    const outputDir = path.join(APP_CONFIG.OUTPUT_BASE_DIR, APP_CONFIG.VIDEO_SUBDIR);
+    const archivedEntry = await runOptions.archive?.findEntry(ARCHIVE_ITEM_TYPE.VIDEO, itemId, selectedStream.resolution);
+    if (archivedEntry) {
+        console.log(`\n⏭️  Music video ${itemId} (${selectedStream.resolution}) is already in the download archive: ${archivedEntry.path}`);
+        console.log('   Use --force to download it again.');
+        return { success: true, skipped: true, filePaths: [archivedEntry.path], quality: selectedStream.resolution };
+    }
+
+    const { outputDir, outputBasename, metadata } = await resolveVideoOutputPath(client, itemId, selectedStream, runOptions);
     await fs.mkdir(outputDir, { recursive: true });
+    const needsMetadata = runOptions.artwork.saveVideoThumbnail || runOptions.videoRemux;
+    const videoMetadata = needsMetadata ? await resolveVideoMetadata(client, itemId, metadata) : metadata;
 
     console.log(`\n🎬 Starting download for music video ID: ${itemId}`);
     console.log(`   Output directory: ${path.resolve(outputDir)}`);
 
-    await downloadVideo({
+    const downloadResult = await downloadVideo({
         videoId: itemId,
-        accessToken: session.accessToken,
+        client,
         selectedStreamUrl: selectedStream.url,
+        audioStreamUrl: selectedStream.audioUrl,
         outputDir: outputDir,
-        tidalUrl: itemUrl
+        outputBasename,
+        downloadOptions: runOptions.downloadOptions,
+        thumbnail: runOptions.artwork.saveVideoThumbnail ? { imageId: videoMetadata?.coverId, size: runOptions.artwork.coverSize } : null,
+        quality: selectedStream.resolution,
+        metadata: videoMetadata,
+        remux: runOptions.videoRemux,
     });
     console.log(`\n✅ Music video ${itemId} (Res: ${selectedStream.resolution}) download finished.`);
+    await runOptions.archive?.recordDownload({
+        type: ARCHIVE_ITEM_TYPE.VIDEO,
+        id: itemId,
+        quality: selectedStream.resolution,
+        filePath: downloadResult.filePath,
+    });
+    return { success: true, filePaths: [downloadResult.filePath], quality: selectedStream.resolution };
 }
 
-async function main() {
-    console.log(UI_TEXT.WELCOME_BANNER_TOP);
-    console.log(UI_TEXT.WELCOME_BANNER_MID);
-    console.log(UI_TEXT.WELCOME_BANNER_BOT);
-    console.log(UI_TEXT.ARIA2C_NOTICE);
-    console.log(UI_TEXT.DOWNLOAD_DIR_NOTICE);
+function describeQualityFallback(quality) {
+    return quality && quality.audioQuality !== quality.requested ? ` (delivered in ${quality.audioQuality})` : '';
+}
+
+function printDownloadSummary(heading, summary) {
+    const { outputDir, succeeded, failed, skipped } = summary;
+    console.log(UI_TEXT.SEPARATOR_LINE);
+    console.log(heading);
+    console.log(`   Location: ${path.resolve(outputDir)}`);
+    console.log(`   ✅ Succeeded: ${succeeded.length}`);
+    succeeded.forEach(entry => console.log(`      - ${entry.title}${describeQualityFallback(entry.quality)}`));
+    console.log(`   ❌ Failed: ${failed.length}`);
+    failed.forEach(entry => console.log(`      - ${entry.title} (ID ${entry.itemId}): ${entry.error}`));
+    console.log(`   ⏭️  Skipped: ${skipped.length}`);
+    skipped.forEach(entry => console.log(`      - ${entry.title} (ID ${entry.itemId}): ${entry.reason}`));
+    if (succeeded.some(entry => entry.lyrics)) {
+        const lyricsCounts = countLyricsStatuses(succeeded);
+        console.log(`   🎤 Lyrics: ${lyricsCounts.synced} synced, ${lyricsCounts.plain} plain text, ${lyricsCounts.missing} track(s) without lyrics`);
+    }
+}
+
+async function handleAlbumDownload(client, itemUrl, itemId, runOptions) {
+    const selectedQuality = await selectAudioDownloadQuality(runOptions);
+    if (!selectedQuality) {
+        console.log("No audio quality selected. Aborting album download.");
+        return { success: false, error: 'No audio quality selected.' };
+    }
+    console.log(`Selected audio quality: ${selectedQuality.name}`);
+
+    console.log(`\n💿 Starting download for album ID: ${itemId}`);
+    const summary = await downloadAlbum({
+        albumId: itemId,
+        audioQuality: selectedQuality.apiCode,
+        client,
+        outputBaseDir: path.join(runOptions.outputBaseDir, appConfig.musicSubdir),
+        maxPathLength: appConfig.maxFilenameLength,
+        downloadOptions: runOptions.downloadOptions,
+        fallbackQualities: getFallbackAudioQualities(selectedQuality.apiCode, runOptions),
+        lyrics: runOptions.lyrics,
+        artwork: runOptions.artwork,
+        archive: runOptions.archive,
+        trackTemplate: runOptions.templates.album,
+    });
+    printDownloadSummary(`Album summary: "${summary.album.title}" by ${getPrimaryArtistName(summary.album)}`, summary);
+    return { ...buildSummaryResult(summary), quality: selectedQuality.apiCode };
+}
+
+async function handleCollectionDownload(client, itemId, collectionType, runOptions) {
+    const selectedQuality = await selectAudioDownloadQuality(runOptions);
+    if (!selectedQuality) {
+        console.log(`No audio quality selected. Aborting ${collectionType} download.`);
+        return { success: false, error: 'No audio quality selected.' };
+    }
+    const videoQuality = runOptions.videoQuality || appConfig.defaultVideoQuality;
+    console.log(`Selected audio quality: ${selectedQuality.name}`);
+    console.log(`Music videos in the list will be downloaded in '${videoQuality}' quality.`);
+
+    console.log(`\n📜 Starting download for ${collectionType} ID: ${itemId}`);
+    const summary = await downloadPlaylist({
+        collectionType,
+        collectionId: itemId,
+        audioQuality: selectedQuality.apiCode,
+        videoQuality,
+        client,
+        outputBaseDir: path.join(runOptions.outputBaseDir, appConfig.playlistSubdir),
+        maxPathLength: appConfig.maxFilenameLength,
+        downloadOptions: runOptions.downloadOptions,
+        fallbackQualities: getFallbackAudioQualities(selectedQuality.apiCode, runOptions),
+        lyrics: runOptions.lyrics,
+        artwork: runOptions.artwork,
+        videoRemux: runOptions.videoRemux,
+        archive: runOptions.archive,
+    });
+    printDownloadSummary(`Summary for ${collectionType} "${summary.title}"`, summary);
+    if (summary.playlistFilePath) {
+        console.log(`   Playlist file: ${path.resolve(summary.playlistFilePath)}`);
+    }
+    return { ...buildSummaryResult(summary), quality: selectedQuality.apiCode };
+}
+
+async function handlePlaylistDownload(client, itemUrl, itemId, runOptions) {
+    return handleCollectionDownload(client, itemId, COLLECTION_TYPE.PLAYLIST, runOptions);
+}
+
+async function handleMixDownload(client, itemUrl, itemId, runOptions) {
+    return handleCollectionDownload(client, itemId, COLLECTION_TYPE.MIX, runOptions);
+}
+
+async function selectArtistReleaseTypes(runOptions) {
+    if (runOptions.releaseTypes) {
+        console.log(`Using release types from --release-types: ${runOptions.releaseTypes.join(', ')}`);
+        return runOptions.releaseTypes;
+    }
+    if (!runOptions.interactive) {
+        return parseReleaseTypeList('all');
+    }
+    const selectedTypes = await promptUserForMultiSelection("Which release types do you want to download?", RELEASE_TYPES);
+    return selectedTypes.map(type => type.key);
+}
+
+function printArtistReleasePreview(releases) {
+    console.log(UI_TEXT.SEPARATOR_LINE);
+    console.log("Releases to download:");
+    for (const releaseType of RELEASE_TYPES) {
+        const releasesOfType = releases.filter(release => release.releaseType === releaseType.key);
+        if (releasesOfType.length === 0) continue;
+        console.log(`\n  ${releaseType.name} (${releasesOfType.length}):`);
+        releasesOfType.forEach(release => console.log(`    - ${describeRelease(release)}`));
+    }
+    const totalTracks = releases.reduce((sum, release) => sum + (release.album.numberOfTracks || 0), 0);
+    console.log(`\n  Total: ${releases.length} release(s), ${totalTracks} track(s) before de-duplication.`);
+}
+
+async function handleArtistDownload(client, itemUrl, itemId, runOptions) {
+    const releaseTypeKeys = await selectArtistReleaseTypes(runOptions);
+    if (releaseTypeKeys.length === 0) {
+        console.log("No release types selected. Aborting artist download.");
+        return { success: false, error: 'No release types selected.' };
+    }
+
+    const requestOptions = { client };
+    console.log(`\nFetching discography for artist ID: ${itemId}...`);
+    const artist = await fetchArtistDetails(itemId, requestOptions);
+    const releases = await fetchArtistReleases(itemId, releaseTypeKeys, requestOptions);
+    if (releases.length === 0) {
+        console.log(`No releases of the selected types found for ${artist.name}.`);
+        return { success: true, filePaths: [] };
+    }
+
+    console.log(`\n🎤 Artist: ${artist.name}`);
+    printArtistReleasePreview(releases);
+    if (!runOptions.assumeYes && !runOptions.interactive) {
+        console.error("\n❌ Artist downloads need confirmation. Re-run with --yes to download these releases.");
+        return { success: false, error: 'Confirmation required; re-run with --yes.' };
+    }
+    const proceed = runOptions.assumeYes || await promptUserForConfirmation(`\nDownload these ${releases.length} release(s)?`, true);
+    if (!proceed) {
+        console.log("Artist download cancelled.");
+        return { success: true, filePaths: [] };
+    }
+
+    const selectedQuality = await selectAudioDownloadQuality(runOptions);
+    if (!selectedQuality) {
+        console.log("No audio quality selected. Aborting artist download.");
+        return { success: false, error: 'No audio quality selected.' };
+    }
+    console.log(`Selected audio quality: ${selectedQuality.name}`);
+
+    const results = await downloadArtistReleases({
+        artist,
+        releases,
+        audioQuality: selectedQuality.apiCode,
+        client,
+        outputBaseDir: path.join(runOptions.outputBaseDir, appConfig.musicSubdir),
+        maxPathLength: appConfig.maxFilenameLength,
+        downloadOptions: runOptions.downloadOptions,
+        fallbackQualities: getFallbackAudioQualities(selectedQuality.apiCode, runOptions),
+        lyrics: runOptions.lyrics,
+        artwork: runOptions.artwork,
+        archive: runOptions.archive,
+        trackTemplate: runOptions.templates.album,
+    });
+
+    const totals = { succeeded: 0, failed: 0, skipped: 0 };
+    const filePaths = [];
+    let failedReleases = 0;
+    for (const { release, summary, error } of results) {
+        if (error) {
+            failedReleases++;
+            console.log(UI_TEXT.SEPARATOR_LINE);
+            console.log(`❌ Release "${release.album.title}" could not be downloaded: ${error}`);
+            continue;
+        }
+        printDownloadSummary(`Release summary: ${describeRelease(release)}`, summary);
+        totals.succeeded += summary.succeeded.length;
+        totals.failed += summary.failed.length;
+        totals.skipped += summary.skipped.length;
+        filePaths.push(...summary.succeeded.map(entry => entry.filePath));
+    }
+    console.log(UI_TEXT.SEPARATOR_LINE);
+    console.log(`Discography of ${artist.name}: ✅ ${totals.succeeded} succeeded, ❌ ${totals.failed} failed, ⏭️  ${totals.skipped} skipped.`);
+
+    const success = totals.failed === 0 && failedReleases === 0;
+    return {
+        success,
+        filePaths,
+        quality: selectedQuality.apiCode,
+        error: success ? null : `${totals.failed} track(s) and ${failedReleases} release(s) failed to download.`,
+    };
+}
 
+const ITEM_DOWNLOAD_HANDLERS = {
+    [ITEM_TYPE.SONG]: handleSongDownload,
+    [ITEM_TYPE.VIDEO]: handleVideoDownload,
+    [ITEM_TYPE.ALBUM]: handleAlbumDownload,
+    [ITEM_TYPE.PLAYLIST]: handlePlaylistDownload,
+    [ITEM_TYPE.MIX]: handleMixDownload,
+    [ITEM_TYPE.ARTIST]: handleArtistDownload,
+};
+
+function buildLyricsOptions(cliArgs) {
+    const save = cliArgs.lyrics ?? appConfig.lyrics;
+    const embed = cliArgs.embedLyrics ?? appConfig.embedLyrics;
+    return save || embed ? { save, embed } : null;
+}
+
+function buildRunOptions(cliArgs) {
+    if (cliArgs.audioQuality && !AUDIO_QUALITIES.some(quality => quality.apiCode === cliArgs.audioQuality)) {
+        throw new Error(`Unknown audio quality '${cliArgs.audioQuality}'. Valid values: ${AUDIO_QUALITIES.map(quality => quality.apiCode).join(', ')}.`);
+    }
+    if (cliArgs.videoQuality && !VIDEO_QUALITY_PREFERENCE_PATTERN.test(cliArgs.videoQuality)) {
+        throw new Error(`Unknown video quality '${cliArgs.videoQuality}'. Use 'best', 'worst' or a height such as '720p'.`);
+    }
+    const templates = {
+        track: validatePathTemplate(cliArgs.trackTemplate || appConfig.trackTemplate, TRACK_TEMPLATE_FIELDS),
+        album: validatePathTemplate(cliArgs.albumTemplate || appConfig.albumTrackTemplate, TRACK_TEMPLATE_FIELDS),
+        video: validatePathTemplate(cliArgs.videoTemplate || appConfig.videoTemplate, VIDEO_TEMPLATE_FIELDS),
+    };
+    if (cliArgs.coverSize && !COVER_SIZES.includes(cliArgs.coverSize)) {
+        throw new Error(`Unknown cover size '${cliArgs.coverSize}'. Valid values: ${COVER_SIZES.join(', ')}.`);
+    }
+    if (cliArgs.videoRemuxer && !Object.values(REMUX_ENGINES).includes(cliArgs.videoRemuxer)) {
+        throw new Error(`Unknown remuxer '${cliArgs.videoRemuxer}'. Valid values: ${Object.values(REMUX_ENGINES).join(', ')}.`);
+    }
+    if (cliArgs.servePort > 65535) {
+        throw new Error(`Invalid --port value '${cliArgs.servePort}'. Use a port from 1 to 65535.`);
+    }
+    if (cliArgs.downloadEngine && !Object.values(DOWNLOAD_ENGINES).includes(cliArgs.downloadEngine)) {
+        throw new Error(`Unknown download engine '${cliArgs.downloadEngine}'. Valid values: ${Object.values(DOWNLOAD_ENGINES).join(', ')}.`);
+    }
+
+    const coverSize = cliArgs.coverSize || appConfig.coverSize;
+    const videoRemuxer = cliArgs.videoRemuxer || appConfig.videoRemuxer;
+
+    return {
+        interactive: !cliArgs.command && cliArgs.urls.length === 0 && !cliArgs.inputSource && !cliArgs.rebuildArchive,
+        urls: cliArgs.urls,
+        inputSource: cliArgs.inputSource,
+        concurrency: cliArgs.concurrency,
+        reportPath: cliArgs.reportPath,
+        progressBars: cliArgs.progressBars ?? appConfig.progressBars,
+        audioQuality: cliArgs.audioQuality,
+        videoQuality: cliArgs.videoQuality,
+        outputBaseDir: cliArgs.outputBaseDir || appConfig.outputBaseDir,
+        rename: cliArgs.rename,
+        templates,
+        lyrics: buildLyricsOptions(cliArgs),
+        artwork: {
+            coverSize,
+            saveCover: cliArgs.saveCover ?? appConfig.saveCover,
+            saveArtistPicture: cliArgs.saveArtistPicture ?? appConfig.saveArtistPicture,
+            saveVideoThumbnail: cliArgs.saveVideoThumbnail ?? appConfig.saveVideoThumbnail,
+        },
+        videoRemux: videoRemuxer === REMUX_ENGINES.NONE ? null : {
+            engine: videoRemuxer,
+            keepSource: cliArgs.keepTs ?? appConfig.keepTs,
+            coverSize,
+        },
+        qualityFallback: cliArgs.qualityFallback && appConfig.audioQualityFallback,
+        force: cliArgs.force,
+        archivePath: cliArgs.archivePath || path.join(cliArgs.outputBaseDir || appConfig.outputBaseDir, appConfig.archiveFilename),
+        rebuildArchive: cliArgs.rebuildArchive,
+        assumeYes: cliArgs.assumeYes,
+        releaseTypes: cliArgs.releaseTypes ? parseReleaseTypeList(cliArgs.releaseTypes) : null,
+        search: cliArgs.command?.name === CLI_COMMANDS.SEARCH ? {
+            query: cliArgs.command.args.join(' ').trim(),
+            typeKeys: parseSearchTypeList(cliArgs.searchTypes),
+            pageSize: cliArgs.searchLimit || DEFAULT_SEARCH_PAGE_SIZE,
+            page: cliArgs.searchPage || 1,
+            pick: cliArgs.searchPick,
+        } : null,
+        serve: cliArgs.command?.name === CLI_COMMANDS.SERVE ? {
+            host: cliArgs.serveHost || appConfig.serveHost,
+            port: cliArgs.servePort || appConfig.servePort,
+            token: appConfig.serveToken,
+        } : null,
+        downloadOptions: {
+            engine: cliArgs.downloadEngine || appConfig.downloadEngine,
+            concurrency: cliArgs.segmentConcurrency || appConfig.segmentConcurrency,
+            retries: appConfig.segmentRetries,
+            aria2cOptions: appConfig.aria2cOptions,
+            aria2cVideoOptions: appConfig.aria2cVideoOptions,
+        },
+    };
+}
+
+async function establishSession(profile) {
     let session;
     try {
         console.log(UI_TEXT.AUTHENTICATING_MSG);
-        session = await authenticate();
+        console.log(`   Profile: ${profile.name}`);
+        session = await authenticate({ sessionFile: profile.sessionFile, encrypt: appConfig.encryptSession, getPassphrase: getSessionPassphrase });
     } catch (error) {
         console.error("\nFatal error during authentication:", error.message);
-        rl.close();
-        return;
+        return null;
     }
 
     if (!session || !session.isAccessTokenCurrentlyValid()) {
         console.error(UI_TEXT.AUTH_FAILED_MSG);
         console.log(UI_TEXT.AUTH_RETRY_PROMPT);
-        rl.close();
-        return;
+        return null;
     }
     console.log(UI_TEXT.AUTH_SUCCESS_MSG);
     console.log(`   User ID: ${session.userId}, Country: ${session.countryCode}`);
+    return session;
+}
+
+function printProfileDetails(profile, session) {
+    console.log(`Profile: ${profile.name}`);
+    console.log(`   Session file: ${profile.sessionFile}`);
+    if (!session.accessToken && !session.refreshToken) {
+        console.log('   Not logged in.');
+        return;
+    }
+    console.log(`   User ID: ${session.userId}, Country: ${session.countryCode}`);
+    console.log(`   Status: ${describeSessionStatus(session)}`);
+}
+
+const PROFILE_COMMAND_HANDLERS = {
+    async list(profile) {
+        const profiles = await listProfiles();
+        if (profiles.length === 0) {
+            console.log(`No profiles in ${getProfilesDirectory()} yet. Log in with: node startup.mjs profile login --profile <name>`);
+            return true;
+        }
+        console.log(`Profiles in ${getProfilesDirectory()}:`);
+        for (const { name, session, isEncrypted } of profiles) {
+            const details = session
+                ? `${session.userId ? `user ${session.userId} (${session.countryCode}), ` : ''}${describeSessionStatus(session)}`
+                : 'encrypted (use "profile current" to unlock and show details)';
+            console.log(`${name === profile.name ? ' *' : '  '} ${name}: ${details}${session && isEncrypted ? ', encrypted' : ''}`);
+        }
+        if (!profiles.some(({ name }) => name === profile.name)) {
+            console.log(`   The selected profile '${profile.name}' has no session yet.`);
+        }
+        return true;
+    },
+
+    async login(profile) {
+        const session = await establishSession(profile);
+        return session !== null;
+    },
+
+    async logout(profile) {
+        let session = null;
+        try {
+            session = await loadSession(profile.sessionFile, { quiet: true, getPassphrase: getSessionPassphrase });
+        } catch (error) {
+            console.warn(`Could not unlock the session (${error.message}). Deleting it without revoking the tokens on Tidal.`);
+        }
+        if (session && (session.accessToken || session.refreshToken)) {
+            try {
+                await revokeSession(session);
+                console.log('Tokens revoked on Tidal.');
+            } catch (error) {
+                console.warn(`Could not revoke the tokens on Tidal (${error.message}). Deleting the local session anyway.`);
+            }
+        }
+        const deleted = await deleteSession(profile.sessionFile);
+        console.log(deleted ? `Logged out of profile '${profile.name}'.` : `Profile '${profile.name}' is not logged in.`);
+        return true;
+    },
 
-    await fs.mkdir(APP_CONFIG.OUTPUT_BASE_DIR, { recursive: true });
+    async current(profile) {
+        printProfileDetails(profile, await loadSession(profile.sessionFile, { quiet: true, getPassphrase: getSessionPassphrase }));
+        return true;
+    },
+};
+
+function printSearchResults(results, firstNumber = 1) {
+    results.forEach((result, index) => {
+        console.log(`  ${String(firstNumber + index).padStart(2)}. ${describeSearchResult(result)}`);
+    });
+}
 
+// Shows one page of results at a time; returns the picked result, or null when the user cancels.
+async function promptUserForSearchResult(client, query) {
+    let page = 0;
+    while (true) {
+        const { results, hasMore } = await searchTidal(query, parseSearchTypeList('all'), { client, page });
+        if (results.length === 0) {
+            console.log(UI_TEXT.NO_SEARCH_RESULTS);
+            return null;
+        }
+        console.log(`\nResults for "${query}" (page ${page + 1}):`);
+        printSearchResults(results);
+
+        const navigation = [hasMore ? "'n' for the next page" : null, page > 0 ? "'p' for the previous page" : null].filter(Boolean);
+        while (true) {
+            const answer = (await askQuestion(`Select a result (1-${results.length})${navigation.length > 0 ? `, ${navigation.join(', ')}` : ''} or press Enter to cancel: `)).trim().toLowerCase();
+            if (answer === '') return null;
+            if ((answer === 'n' && hasMore) || (answer === 'p' && page > 0)) {
+                page += answer === 'n' ? 1 : -1;
+                break;
+            }
+            const choice = parseInt(answer, 10);
+            if (String(choice) === answer && choice >= 1 && choice <= results.length) {
+                return results[choice - 1];
+            }
+            console.log(UI_TEXT.INVALID_CHOICE);
+        }
+    }
+}
+
+async function promptUserForItem(client, choice) {
+    if (choice.id === 'SEARCH') {
+        const query = (await askQuestion(UI_TEXT.SEARCH_QUERY_PROMPT)).trim();
+        if (!query) return null;
+        const result = await promptUserForSearchResult(client, query);
+        if (!result) return null;
+        const idInfo = detectTidalUrl(result.url);
+        console.log(`\n🔎 Selected ${result.typeName.toLowerCase()}: ${result.title}${result.artist ? ` - ${result.artist}` : ''}`);
+        return { itemType: idInfo.type, itemUrl: result.url, idInfo };
+    }
+
+    const currentItemType = choice.itemType;
+    const exampleUrl = ITEM_TYPE_URL_INFO[currentItemType].exampleUrl;
+    const itemUrl = await askQuestion(`\nPlease enter the Tidal URL for the ${currentItemType} (e.g., ${exampleUrl}): `);
+    const idInfo = extractIdFromTidalUrl(itemUrl, currentItemType);
+
+    if (!idInfo) {
+        console.error(`\n❌ Could not extract a ${currentItemType} ID from URL: ${itemUrl}`);
+        console.error(`   Ensure URL format is like: ${exampleUrl}`);
+        return null;
+    }
+
+    console.log(`\n🆔 Extracted ${idInfo.type} ID: ${idInfo.id}`);
+    return { itemType: currentItemType, itemUrl, idInfo };
+}
+
+async function runInteractiveMenu(client, runOptions) {
     while (true) {
         console.log(UI_TEXT.SEPARATOR_LINE);
         const choice = await promptUserForSelection(UI_TEXT.MAIN_MENU_PROMPT, MAIN_MENU_OPTIONS);
@@ -384,28 +876,34 @@ async function main() {
             break;
         }
 
-        const currentItemType = choice.id === 'DOWNLOAD_SONG' ? ITEM_TYPE.SONG : ITEM_TYPE.VIDEO;
-        const exampleUrl = currentItemType === ITEM_TYPE.SONG ? 'https://tidal.com/browse/track/TRACK_ID' : 'https://tidal.com/browse/video/VIDEO_ID';
-        const itemUrl = await askQuestion(`\nPlease enter the Tidal URL for the ${currentItemType} (e.g., ${exampleUrl}): `);
-        const idInfo = extractIdFromTidalUrl(itemUrl, currentItemType);
-
-        if (!idInfo) {
-            console.error(`\n❌ Could not extract a ${currentItemType} ID from URL: ${itemUrl}`);
-            console.error(`   Ensure URL format is like: ${exampleUrl}`);
+        let selectedItem;
+        try {
+            selectedItem = await promptUserForItem(client, choice);
+        } catch (error) {
+            console.error(`\n❌ Search failed: ${describeApiError(error)}`);
             continue;
         }
+        if (!selectedItem) {
+            continue;
+        }
+        const { itemType: currentItemType, itemUrl, idInfo } = selectedItem;
 
-        console.log(`\n🆔 Extracted ${idInfo.type} ID: ${idInfo.id}`);
-
+        // The bar starts with the first progress event, so it is not drawn over the quality and confirmation prompts.
+        const progressDisplay = createProgressDisplay({ totalItems: 1, enabled: runOptions.progressBars });
+        let itemProgress = null;
+        const onProgress = (event) => {
+            itemProgress ??= progressDisplay.startItem(`${idInfo.type} ${idInfo.id}`);
+            itemProgress.onProgress(event);
+        };
+        const itemRunOptions = { ...runOptions, downloadOptions: { ...runOptions.downloadOptions, onProgress } };
         try {
-            if (currentItemType === ITEM_TYPE.SONG) {
-                await handleSongDownload(session, itemUrl, idInfo.id);
-            } else {
-                await handleVideoDownload(session, itemUrl, idInfo.id);
-            }
+            await ITEM_DOWNLOAD_HANDLERS[currentItemType](client, itemUrl, idInfo.id, itemRunOptions);
         } catch (error) {
             console.error(`\n❌ Error during download of ${currentItemType} ID ${idInfo.id}: ${error.message}`);
             console.error(error.stack);
+        } finally {
+            itemProgress?.finish();
+            progressDisplay.stop();
         }
 
         const Rerun = await promptUserForConfirmation(UI_TEXT.DOWNLOAD_ANOTHER_PROMPT, true);
@@ -414,14 +912,260 @@ async function main() {
             break;
         }
     }
-    rl.close();
+}
+
+function applyQualityOverride(runOptions, qualityOverride) {
+    if (!qualityOverride) return runOptions;
+
+    const audioCode = qualityOverride.toUpperCase();
+    if (AUDIO_QUALITIES.some(quality => quality.apiCode === audioCode)) {
+        return { ...runOptions, audioQuality: audioCode };
+    }
+    if (VIDEO_QUALITY_PREFERENCE_PATTERN.test(qualityOverride)) {
+        return { ...runOptions, videoQuality: qualityOverride };
+    }
+    throw new Error(`Unknown quality override '${qualityOverride}'. Use an audio quality code or a video preference (best, worst, 720p).`);
+}
+
+async function buildDownloadQueue(runOptions) {
+    const queue = runOptions.urls.map((url, index) => ({ source: 'argv', line: index + 1, url, qualityOverride: null }));
+    if (runOptions.inputSource) {
+        const entries = await readBatchEntries(runOptions.inputSource);
+        console.log(`Read ${entries.length} URL(s) from ${runOptions.inputSource === '-' ? 'stdin' : runOptions.inputSource}.`);
+        queue.push(...entries);
+    }
+    return queue;
+}
+
+async function runQueueEntry(client, entry, position, total, runOptions, progressDisplay = null) {
+    const reportItem = {
+        source: entry.source,
+        line: entry.line,
+        url: entry.url,
+        type: null,
+        id: null,
+        status: 'failed',
+        finalPath: null,
+        filePaths: [],
+        quality: null,
+        deliveredQuality: null,
+        error: null,
+    };
+    console.log(UI_TEXT.SEPARATOR_LINE);
+    console.log(`[${position}/${total}] ${entry.url}`);
+
+    const idInfo = detectTidalUrl(entry.url);
+    if (!idInfo) {
+        reportItem.error = 'Could not recognize a Tidal track, video, album, playlist, mix or artist URL.';
+        console.error(`❌ ${reportItem.error} (${entry.url})`);
+        return reportItem;
+    }
+    reportItem.type = idInfo.type;
+    reportItem.id = idInfo.id;
+    console.log(`🆔 Detected ${idInfo.type} ID: ${idInfo.id}`);
+
+    const itemProgress = progressDisplay?.startItem(`[${position}/${total}] ${idInfo.type} ${idInfo.id}`);
+    try {
+        let entryRunOptions = applyQualityOverride(runOptions, entry.qualityOverride);
+        if (itemProgress) {
+            entryRunOptions = { ...entryRunOptions, downloadOptions: { ...entryRunOptions.downloadOptions, onProgress: itemProgress.onProgress } };
+        }
+        const result = await ITEM_DOWNLOAD_HANDLERS[idInfo.type](client, entry.url, idInfo.id, entryRunOptions);
+        reportItem.status = result && result.success ? (result.skipped ? 'skipped' : 'success') : 'failed';
+        reportItem.filePaths = (result?.filePaths || []).map(filePath => path.resolve(filePath));
+        reportItem.finalPath = reportItem.filePaths.length === 1 ? reportItem.filePaths[0] : null;
+        reportItem.quality = result?.quality || null;
+        reportItem.deliveredQuality = result?.deliveredQuality || null;
+        reportItem.error = result?.error || null;
+    } catch (error) {
+        console.error(`\n❌ Error during download of ${idInfo.type} ID ${idInfo.id}: ${error.message}`);
+        reportItem.error = error.message;
+    } finally {
+        itemProgress?.finish();
+    }
+    return reportItem;
+}
+
+async function runNonInteractive(client, runOptions) {
+    const queue = await buildDownloadQueue(runOptions);
+    if (queue.length === 0) {
+        console.error("❌ No URLs to download.");
+        return false;
+    }
+    if (runOptions.concurrency > 1) {
+        console.log(`Downloading ${queue.length} item(s) with up to ${runOptions.concurrency} in parallel.`);
+    }
+
+    const progressDisplay = createProgressDisplay({ totalItems: queue.length, enabled: runOptions.progressBars });
+    let reportItems;
+    try {
+        reportItems = await runWithConcurrency(queue, runOptions.concurrency,
+            async (entry, index) => {
+                const reportItem = await runQueueEntry(client, entry, index + 1, queue.length, runOptions, progressDisplay);
+                progressDisplay.completeItem();
+                return reportItem;
+            });
+    } finally {
+        progressDisplay.stop();
+    }
+    const failedCount = reportItems.filter(item => item.status === 'failed').length;
+    const skippedCount = reportItems.filter(item => item.status === 'skipped').length;
+
+    console.log(UI_TEXT.SEPARATOR_LINE);
+    console.log(`Finished ${queue.length} item(s): ${queue.length - failedCount - skippedCount} succeeded, ${skippedCount} skipped (already archived), ${failedCount} failed.`);
+
+    const reportPath = runOptions.reportPath
+        || (runOptions.inputSource ? path.join(runOptions.outputBaseDir, `batch-report-${new Date().toISOString().replace(/[:.]/g, '-')}.json`) : null);
+    if (reportPath) {
+        await writeBatchReport(reportPath, reportItems);
+        console.log(`📄 Report written to ${path.resolve(reportPath)}`);
+    }
+    return failedCount === 0;
+}
+
+// Prints one page of search results. With --pick, that result is downloaded like a URL given on the command line.
+async function runSearchCommand(client, runOptions) {
+    const { query, typeKeys, pageSize, page, pick } = runOptions.search;
+    let searchResponse;
+    try {
+        searchResponse = await searchTidal(query, typeKeys, { client, page: page - 1, pageSize });
+    } catch (error) {
+        console.error(`❌ Search failed: ${describeApiError(error)}`);
+        return false;
+    }
+    const { results, hasMore } = searchResponse;
+    if (results.length === 0) {
+        console.log(page > 1 ? `No results on page ${page}.` : UI_TEXT.NO_SEARCH_RESULTS);
+        return !pick;
+    }
+    console.log(`\nResults for "${query}" (page ${page}):`);
+    printSearchResults(results);
+    if (hasMore) {
+        console.log(`More results: add --page ${page + 1}.`);
+    }
+    if (!pick) {
+        console.log('Download a result with --pick <number>.');
+        return true;
+    }
+    if (pick > results.length) {
+        console.error(`❌ There is no result ${pick} on this page (1-${results.length}).`);
+        return false;
+    }
+    return runNonInteractive(client, { ...runOptions, urls: [results[pick - 1].url], inputSource: null });
+}
+
+// Jobs posted to the server run through the same code as batch queue entries, without prompts.
+async function runServeMode(client, runOptions) {
+    const jobRunOptions = { ...runOptions, interactive: false, assumeYes: true };
+    const queue = createJobQueue({
+        concurrency: runOptions.concurrency,
+        validateRequest({ url, quality }) {
+            const idInfo = typeof url === 'string' ? detectTidalUrl(url.trim()) : null;
+            if (!idInfo) {
+                throw new Error('Could not recognize a Tidal track, video, album, playlist, mix or artist URL.');
+            }
+            if (quality != null && typeof quality !== 'string') {
+                throw new Error('The quality must be a string such as LOSSLESS or 720p.');
+            }
+            applyQualityOverride(jobRunOptions, quality);
+            return { url: url.trim(), quality: quality || null, type: idInfo.type, itemId: idInfo.id };
+        },
+        runJob(request, { signal, onProgress }) {
+            const entry = { source: 'serve', line: null, url: request.url, qualityOverride: request.quality };
+            const entryRunOptions = { ...jobRunOptions, downloadOptions: { ...jobRunOptions.downloadOptions, signal, onProgress } };
+            return runQueueEntry(client, entry, 1, 1, entryRunOptions);
+        },
+    });
+    await startDownloadServer({ queue, ...runOptions.serve });
+}
+
+async function main() {
+    let cliArgs;
+    let runOptions;
+    try {
+        cliArgs = parseCommandLineArguments();
+        if (cliArgs.showHelp) {
+            console.log(USAGE_TEXT);
+            return;
+        }
+        const { config, configPath } = await loadConfig({ explicitPath: cliArgs.configPath });
+        appConfig = config;
+        if (configPath) {
+            console.log(`Using config file: ${path.resolve(configPath)}`);
+        }
+        const profile = await resolveProfile(validateProfileName(cliArgs.profile || appConfig.profile));
+        runOptions = { ...buildRunOptions(cliArgs), profile };
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        console.log(USAGE_TEXT);
+        process.exitCode = 1;
+        return;
+    }
+    if (cliArgs.command?.name === CLI_COMMANDS.PROFILE) {
+        try {
+            if (!await PROFILE_COMMAND_HANDLERS[cliArgs.command.action](runOptions.profile)) {
+                process.exitCode = 1;
+            }
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exitCode = 1;
+        }
+        closeReadlineInterface();
+        return;
+    }
+    interactivePromptsEnabled = runOptions.interactive;
+
+    console.log(UI_TEXT.WELCOME_BANNER_TOP);
+    console.log(UI_TEXT.WELCOME_BANNER_MID);
+    console.log(UI_TEXT.WELCOME_BANNER_BOT);
+    console.log(UI_TEXT.ARIA2C_NOTICE);
+    console.log(`${UI_TEXT.DOWNLOAD_DIR_NOTICE} ${path.resolve(runOptions.outputBaseDir)}`);
+
+    await fs.mkdir(runOptions.outputBaseDir, { recursive: true });
+
+    if (runOptions.rebuildArchive) {
+        const { recorded, unrecognized } = await rebuildDownloadArchive(runOptions.archivePath, runOptions.outputBaseDir);
+        console.log(`Download archive rebuilt at ${path.resolve(runOptions.archivePath)}: ${recorded} item(s) recorded, ${unrecognized} file(s) could not be identified.`);
+        if (runOptions.urls.length === 0 && !runOptions.inputSource && !runOptions.serve && !runOptions.search) {
+            return;
+        }
+    }
+    runOptions.archive = await openDownloadArchive(runOptions.archivePath, { ignoreExisting: runOptions.force });
+    if (runOptions.force) {
+        console.log('--force given: items in the download archive will be downloaded again.');
+    }
+
+    const session = await establishSession(runOptions.profile);
+    if (!session) {
+        process.exitCode = 1;
+        closeReadlineInterface();
+        return;
+    }
+
+    const client = new TidalApiClient(session, {
+        locale: appConfig.locale,
+        requestsPerSecond: appConfig.apiRequestsPerSecond,
+        maxRetries: appConfig.apiRetries,
+    });
+    if (runOptions.serve) {
+        await runServeMode(client, runOptions);
+        return;
+    }
+    if (runOptions.search) {
+        if (!await runSearchCommand(client, runOptions)) {
+            process.exitCode = 1;
+        }
+    } else if (runOptions.interactive) {
+        await runInteractiveMenu(client, runOptions);
+    } else if (!await runNonInteractive(client, runOptions)) {
+        process.exitCode = 1;
+    }
+    closeReadlineInterface();
 }
 
 main().catch(error => {
     console.error("\n🚨 Unexpected critical error in application:", error.message);
     console.error(error.stack);
-    if (rl && typeof rl.close === 'function') {
-        rl.close();
-    }
+    closeReadlineInterface();
     process.exit(1);
-});
\ No newline at end of file
+});
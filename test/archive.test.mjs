@@ -0,0 +1,101 @@
+'use strict';
+
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { ARCHIVE_ITEM_TYPE, openDownloadArchive, rebuildDownloadArchive } from '../v2/archive.mjs';
+import { writeFlacTagsToFile } from '../v2/flac.mjs';
+import { writeMp4FreeformTags } from '../v2/mp4.mjs';
+import { buildVideoTags, embedMp4ArchiveTags, embedTrackMetadata } from '../v2/tagging.mjs';
+
+const SAMPLE_FLAC_PATH = new URL('./fixtures/sample.flac', import.meta.url);
+const SAMPLE_M4A_PATH = new URL('./fixtures/sample.m4a', import.meta.url);
+
+const SAMPLE_TRACK = {
+    id: 111,
+    title: 'Song',
+    artists: [{ name: 'Artist' }],
+    album: { title: 'Album', artists: [{ name: 'Artist' }] },
+    coverId: null,
+};
+
+async function copyFixture(fixturePath, filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.copyFile(fixturePath, filePath);
+    return filePath;
+}
+
+describe('download archive rebuild', () => {
+    let tempDir;
+    let downloadsDir;
+    let archivePath;
+    let rebuildResult;
+
+    before(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tidal-dl-archive-'));
+        downloadsDir = path.join(tempDir, 'downloads');
+        archivePath = path.join(tempDir, 'archive.jsonl');
+
+        const flacPath = await copyFixture(SAMPLE_FLAC_PATH, path.join(downloadsDir, 'Artist', 'Album', '01 - Song.flac'));
+        await embedTrackMetadata(flacPath, { trackId: 111, quality: 'HI_RES_LOSSLESS', metadata: SAMPLE_TRACK, playbackData: {} });
+
+        const m4aPath = await copyFixture(SAMPLE_M4A_PATH, path.join(downloadsDir, 'Artist', 'Album', '02 - Other Song.m4a'));
+        await embedMp4ArchiveTags(m4aPath, { trackId: 222, quality: 'HIGH' });
+
+        const videoPath = await copyFixture(SAMPLE_M4A_PATH, path.join(downloadsDir, 'Videos', 'Artist - Clip.mp4'));
+        await writeMp4FreeformTags(videoPath, buildVideoTags(null, { videoId: 333, quality: '1920x1080' }));
+
+        await copyFixture(SAMPLE_FLAC_PATH, path.join(downloadsDir, '444_LOSSLESS.flac'));
+
+        const olderFlacPath = await copyFixture(SAMPLE_FLAC_PATH, path.join(downloadsDir, 'Older Song.flac'));
+        await writeFlacTagsToFile(olderFlacPath, { TIDAL_TRACK_ID: 555 });
+
+        await copyFixture(SAMPLE_M4A_PATH, path.join(downloadsDir, 'Untagged Song.m4a'));
+
+        rebuildResult = await rebuildDownloadArchive(archivePath, downloadsDir);
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('recognizes tagged files with any name and ID-based names', () => {
+        assert.deepEqual(rebuildResult, { archivePath, recorded: 5, unrecognized: 1 });
+    });
+
+    test('keys tagged tracks and videos on the requested quality', async () => {
+        const archive = await openDownloadArchive(archivePath);
+
+        const flacEntry = await archive.findEntry(ARCHIVE_ITEM_TYPE.TRACK, 111, 'HI_RES_LOSSLESS');
+        assert.equal(flacEntry.path, path.join(downloadsDir, 'Artist', 'Album', '01 - Song.flac'));
+        assert.deepEqual(flacEntry.deliveredQuality, { audioQuality: 'LOSSLESS', bitDepth: 16, sampleRate: 44100 });
+
+        const m4aEntry = await archive.findEntry(ARCHIVE_ITEM_TYPE.TRACK, 222, 'HIGH');
+        assert.equal(m4aEntry.path, path.join(downloadsDir, 'Artist', 'Album', '02 - Other Song.m4a'));
+        assert.equal(m4aEntry.deliveredQuality, null);
+
+        const videoEntry = await archive.findEntry(ARCHIVE_ITEM_TYPE.VIDEO, 333, '1920x1080');
+        assert.equal(videoEntry.path, path.join(downloadsDir, 'Videos', 'Artist - Clip.mp4'));
+    });
+
+    test('falls back to ID-based names and the FLAC stream quality for untagged qualities', async () => {
+        const archive = await openDownloadArchive(archivePath);
+
+        assert.ok(await archive.findEntry(ARCHIVE_ITEM_TYPE.TRACK, 444, 'LOSSLESS'));
+        assert.ok(await archive.findEntry(ARCHIVE_ITEM_TYPE.TRACK, 555, 'LOSSLESS'));
+    });
+
+    test('matches rebuilt entries with the keys used when recording downloads', async () => {
+        const archive = await openDownloadArchive(archivePath);
+        const filePath = path.join(downloadsDir, 'Artist', 'Album', '01 - Song.flac');
+
+        await archive.recordDownload({ type: ARCHIVE_ITEM_TYPE.TRACK, id: 666, quality: 'HI_RES_LOSSLESS', filePath });
+
+        const reopened = await openDownloadArchive(archivePath);
+        assert.equal((await reopened.findEntry(ARCHIVE_ITEM_TYPE.TRACK, '666', 'HI_RES_LOSSLESS')).path, filePath);
+        assert.equal(await reopened.findEntry(ARCHIVE_ITEM_TYPE.TRACK, 666, 'LOSSLESS'), null);
+    });
+});
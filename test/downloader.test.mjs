@@ -0,0 +1,87 @@
+'use strict';
+
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+import { downloadSegments } from '../v2/downloader.mjs';
+
+const PAYLOAD = Buffer.from('segment payload;'.repeat(64));
+const TRUNCATED_LENGTH = 400;
+const NATIVE_OPTIONS = { engine: 'native', retries: 3, retryDelayMs: 1 };
+
+describe('native segment downloads', () => {
+    const requestCounts = new Map();
+    const rangeHeaders = [];
+    let server;
+    let baseUrl;
+    let tempDir;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const count = (requestCounts.get(req.url) || 0) + 1;
+            requestCounts.set(req.url, count);
+            if (req.url === '/flaky' && count === 1) {
+                res.writeHead(503);
+                res.end();
+                return;
+            }
+            if (req.url === '/truncated') {
+                rangeHeaders.push(req.headers.range);
+                const start = Number(req.headers.range?.match(/^bytes=(\d+)-$/)?.[1] || 0);
+                if (start > 0) {
+                    res.writeHead(206, { 'Content-Length': PAYLOAD.length - start, 'Content-Range': `bytes ${start}-${PAYLOAD.length - 1}/${PAYLOAD.length}` });
+                    res.end(PAYLOAD.subarray(start));
+                    return;
+                }
+                // Cuts the body off after TRUNCATED_LENGTH bytes, once the client had time to write them.
+                res.writeHead(200, { 'Content-Length': PAYLOAD.length });
+                res.write(PAYLOAD.subarray(0, TRUNCATED_LENGTH));
+                setTimeout(() => res.destroy(), 100);
+                return;
+            }
+            res.writeHead(200, { 'Content-Length': PAYLOAD.length });
+            res.end(PAYLOAD);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tidal-dl-downloader-'));
+    });
+
+    beforeEach(() => {
+        requestCounts.clear();
+        rangeHeaders.length = 0;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('retries server errors', async () => {
+        await downloadSegments([{ url: `${baseUrl}/flaky`, fileName: 'flaky.bin' }], tempDir, NATIVE_OPTIONS);
+
+        assert.equal(requestCounts.get('/flaky'), 2);
+        assert.deepEqual(await fs.readFile(path.join(tempDir, 'flaky.bin')), PAYLOAD);
+    });
+
+    test('resumes a cut-off segment with a Range request', async () => {
+        await downloadSegments([{ url: `${baseUrl}/truncated`, fileName: 'truncated.bin' }], tempDir, NATIVE_OPTIONS);
+
+        assert.deepEqual(rangeHeaders, [undefined, `bytes=${TRUNCATED_LENGTH}-`]);
+        assert.deepEqual(await fs.readFile(path.join(tempDir, 'truncated.bin')), PAYLOAD);
+    });
+
+    test('fails at once on filesystem errors', async () => {
+        const missingDir = path.join(tempDir, 'missing');
+
+        await assert.rejects(
+            downloadSegments([{ url: `${baseUrl}/segment`, fileName: 'segment.bin' }], missingDir, NATIVE_OPTIONS),
+            /after 1 attempt\(s\).*ENOENT/,
+        );
+        assert.equal(requestCounts.get('/segment'), 1);
+    });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { BLOCK_TYPE, parseMetadataBlocks, readFlacTags, readFlacTagsFromFile, writeFlacTags, writeFlacTagsToFile } from '../v2/flac.mjs';
+import { buildTrackTags, embedTrackMetadata } from '../v2/tagging.mjs';
+
+// Two 16-sample stereo frames at 44.1 kHz / 16 bit, with an empty VORBIS_COMMENT and a PADDING block.
+const SAMPLE_FLAC_PATH = new URL('./fixtures/sample.flac', import.meta.url);
+// A 1x1 PNG.
+const COVER_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+const SAMPLE_TRACK = {
+    id: 123456789,
+    title: 'Song',
+    version: 'Live',
+    artists: [{ name: 'Artist One' }, { name: 'Artist Two' }],
+    album: { title: 'Album', artists: [{ name: 'Album Artist' }] },
+    trackNumber: 3,
+    discNumber: 1,
+    releaseDate: '2024-05-17',
+    isrc: 'USABC2400001',
+    coverId: null,
+};
+
+function splitFlac(buffer) {
+    const { blocks, audioOffset } = parseMetadataBlocks(buffer);
+    return { blocks, audio: buffer.subarray(audioOffset) };
+}
+
+function findStreamInfo(blocks) {
+    return blocks.find(block => block.type === BLOCK_TYPE.STREAMINFO).data;
+}
+
+describe('FLAC metadata round trip', () => {
+    let sampleFlac;
+    let tempDir;
+
+    before(async () => {
+        sampleFlac = await fs.readFile(SAMPLE_FLAC_PATH);
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tidal-dl-flac-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('reads the sample stream info', () => {
+        const { vendor, tags, pictures, streamInfo } = readFlacTags(sampleFlac);
+        assert.equal(vendor, 'reference libFLAC 1.4.3 20230623');
+        assert.deepEqual(tags, {});
+        assert.deepEqual(pictures, []);
+        assert.deepEqual(streamInfo, { sampleRate: 44100, channels: 2, bitsPerSample: 16 });
+    });
+
+    test('writes Vorbis comments and a PICTURE block without touching STREAMINFO or the audio frames', () => {
+        const tagged = writeFlacTags(sampleFlac, { TITLE: 'Song', artist: ['Artist One', 'Artist Two'], TRACKNUMBER: 3, EMPTY: '' }, { data: COVER_PNG });
+
+        const original = splitFlac(sampleFlac);
+        const rewritten = splitFlac(tagged);
+        assert.deepEqual(findStreamInfo(rewritten.blocks), findStreamInfo(original.blocks));
+        assert.deepEqual(rewritten.audio, original.audio);
+        assert.deepEqual(rewritten.blocks.map(block => block.type),
+            [BLOCK_TYPE.STREAMINFO, BLOCK_TYPE.VORBIS_COMMENT, BLOCK_TYPE.PICTURE, BLOCK_TYPE.PADDING]);
+
+        const { vendor, tags, pictures } = readFlacTags(tagged);
+        assert.equal(vendor, 'tidal-dl');
+        assert.deepEqual(tags, { TITLE: 'Song', ARTIST: ['Artist One', 'Artist Two'], TRACKNUMBER: '3' });
+        assert.equal(pictures.length, 1);
+        const [picture] = pictures;
+        assert.equal(picture.pictureType, 3);
+        assert.equal(picture.mimeType, 'image/png');
+        assert.equal(picture.width, 1);
+        assert.equal(picture.height, 1);
+        assert.deepEqual(picture.data, COVER_PNG);
+    });
+
+    test('replaces the comments and front cover when tagging again', () => {
+        const taggedOnce = writeFlacTags(sampleFlac, { TITLE: 'Old', ALBUM: 'Old Album' }, { data: COVER_PNG });
+        const taggedTwice = writeFlacTags(taggedOnce, { TITLE: 'New' }, { data: COVER_PNG, description: 'front' });
+
+        const { tags, pictures } = readFlacTags(taggedTwice);
+        assert.deepEqual(tags, { TITLE: 'New' });
+        assert.deepEqual(pictures.map(picture => picture.description), ['front']);
+        assert.deepEqual(splitFlac(taggedTwice).audio, splitFlac(sampleFlac).audio);
+    });
+
+    test('tags a file in place and reads it back', async () => {
+        const filePath = path.join(tempDir, 'in-place.flac');
+        await fs.writeFile(filePath, sampleFlac);
+
+        await writeFlacTagsToFile(filePath, { TITLE: 'Song' }, { data: COVER_PNG });
+
+        const { tags, pictures, streamInfo } = await readFlacTagsFromFile(filePath);
+        assert.deepEqual(tags, { TITLE: 'Song' });
+        assert.equal(pictures.length, 1);
+        assert.deepEqual(streamInfo, { sampleRate: 44100, channels: 2, bitsPerSample: 16 });
+        const written = await fs.readFile(filePath);
+        assert.deepEqual(splitFlac(written).audio, splitFlac(sampleFlac).audio);
+        await assert.rejects(fs.access(`${filePath}.tagging`));
+    });
+
+    test('embeds track metadata through the tagging module', async () => {
+        const filePath = path.join(tempDir, 'embedded.flac');
+        await fs.writeFile(filePath, sampleFlac);
+        const playbackData = { trackReplayGain: -7.25, trackPeakAmplitude: 0.98765, albumReplayGain: -8, albumPeakAmplitude: 1 };
+
+        const embedded = await embedTrackMetadata(filePath, { trackId: SAMPLE_TRACK.id, metadata: SAMPLE_TRACK, playbackData, lyrics: 'La la la' });
+
+        assert.equal(embedded, true);
+        const { tags, pictures } = await readFlacTagsFromFile(filePath);
+        assert.deepEqual(tags, {
+            TITLE: 'Song (Live)',
+            ARTIST: ['Artist One', 'Artist Two'],
+            ALBUM: 'Album',
+            ALBUMARTIST: 'Album Artist',
+            TRACKNUMBER: '3',
+            DISCNUMBER: '1',
+            DATE: '2024-05-17',
+            ISRC: 'USABC2400001',
+            TIDAL_TRACK_ID: '123456789',
+            REPLAYGAIN_TRACK_GAIN: '-7.25 dB',
+            REPLAYGAIN_TRACK_PEAK: '0.987650',
+            REPLAYGAIN_ALBUM_GAIN: '-8.00 dB',
+            REPLAYGAIN_ALBUM_PEAK: '1.000000',
+            LYRICS: 'La la la',
+        });
+        assert.deepEqual(pictures, []);
+        assert.deepEqual(splitFlac(await fs.readFile(filePath)).audio, splitFlac(sampleFlac).audio);
+    });
+
+    test('skips files that are not native FLAC', async () => {
+        const filePath = path.join(tempDir, 'not-flac.m4a');
+        const content = Buffer.from('....ftypM4A ');
+        await fs.writeFile(filePath, content);
+
+        assert.equal(await embedTrackMetadata(filePath, { trackId: SAMPLE_TRACK.id, metadata: SAMPLE_TRACK }), false);
+        assert.deepEqual(await fs.readFile(filePath), content);
+    });
+
+    test('falls back to the first track artist as album artist', () => {
+        const tags = buildTrackTags({ ...SAMPLE_TRACK, album: { title: 'Album' } });
+        assert.deepEqual(tags.ALBUMARTIST, ['Artist One']);
+    });
+});
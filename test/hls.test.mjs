@@ -0,0 +1,185 @@
+'use strict';
+
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { downloadHlsMediaPlaylist, parseHlsMasterPlaylist, parseHlsMediaPlaylist, selectAudioRendition } from '../v2/hls.mjs';
+
+const FIXTURE_BASE_URL = 'https://cdn.example.com/video/1080/';
+const EXPLICIT_IV = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+const FIRST_KEY = Buffer.from('00112233445566778899aabbccddeeff', 'hex');
+const SECOND_KEY = Buffer.from('ffeeddccbbaa99887766554433221100', 'hex');
+
+function readFixture(fileName) {
+    return fs.readFile(new URL(`./fixtures/hls/${fileName}`, import.meta.url), 'utf8');
+}
+
+function sequenceIv(sequence) {
+    const iv = Buffer.alloc(16);
+    iv.writeUInt32BE(sequence, 12);
+    return iv;
+}
+
+function encryptAes128(data, key, iv) {
+    const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+function buildPayload(label, length) {
+    return Buffer.from(label.repeat(Math.ceil(length / label.length)).slice(0, length));
+}
+
+// Serves fixed bodies by path, so playlists can be fetched through their real relative URIs.
+function startFixtureServer(routes) {
+    const server = http.createServer((request, response) => {
+        const body = routes.get(new URL(request.url, 'http://localhost').pathname);
+        if (!body) {
+            response.writeHead(404).end();
+            return;
+        }
+        response.writeHead(200, { 'Content-Length': body.length }).end(body);
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('parseHlsMasterPlaylist', () => {
+    test('resolves variant and rendition URIs against the playlist URL', async () => {
+        const { variants, renditions } = parseHlsMasterPlaylist(await readFixture('master.m3u8'), `${FIXTURE_BASE_URL}master.m3u8`);
+
+        assert.deepEqual(variants, [
+            { resolution: '1920x1080', bandwidth: 5400000, codecs: 'avc1.640028,mp4a.40.2', audioGroupId: 'aac', url: 'https://cdn.example.com/video/hd/1080/playlist.m3u8?token=abc' },
+            { resolution: '854x480', bandwidth: 1200000, codecs: 'avc1.4d401f,mp4a.40.2', audioGroupId: 'aac', url: 'https://cdn.example.com/video/1080/480/playlist.m3u8' },
+            { resolution: '640x360', bandwidth: 800000, codecs: 'avc1.4d401e', audioGroupId: 'muxed', url: 'https://other.example.net/360/playlist.m3u8' },
+        ]);
+        assert.deepEqual(renditions.map(rendition => rendition.url), [
+            'https://cdn.example.com/video/1080/audio/commentary.m3u8',
+            'https://cdn.example.com/video/1080/audio/main.m3u8',
+            null,
+        ]);
+    });
+
+    test('treats a media playlist as its only variant', async () => {
+        const playlistUrl = `${FIXTURE_BASE_URL}encrypted.m3u8`;
+        const { variants } = parseHlsMasterPlaylist(await readFixture('encrypted.m3u8'), playlistUrl);
+        assert.deepEqual(variants, [{ resolution: 'Unknown', bandwidth: 0, codecs: 'Unknown', audioGroupId: null, url: playlistUrl }]);
+    });
+});
+
+describe('selectAudioRendition', () => {
+    test('picks the default audio rendition of the variant group', async () => {
+        const { renditions } = parseHlsMasterPlaylist(await readFixture('master.m3u8'), `${FIXTURE_BASE_URL}master.m3u8`);
+
+        assert.equal(selectAudioRendition(renditions, 'aac').name, 'Main');
+        assert.equal(selectAudioRendition(renditions.filter(rendition => !rendition.isDefault), 'aac').name, 'Commentary');
+    });
+
+    test('returns null for muxed audio and variants without an audio group', async () => {
+        const { renditions } = parseHlsMasterPlaylist(await readFixture('master.m3u8'), `${FIXTURE_BASE_URL}master.m3u8`);
+
+        assert.equal(selectAudioRendition(renditions, 'muxed'), null);
+        assert.equal(selectAudioRendition(renditions, null), null);
+        assert.equal(selectAudioRendition(renditions, 'missing'), null);
+    });
+});
+
+describe('parseHlsMediaPlaylist', () => {
+    test('reads AES-128 keys with explicit and sequence-derived IVs', async () => {
+        const playlist = parseHlsMediaPlaylist(await readFixture('encrypted.m3u8'), `${FIXTURE_BASE_URL}encrypted.m3u8`);
+
+        assert.equal(playlist.mediaSequence, 7);
+        assert.equal(playlist.isEndList, true);
+        assert.deepEqual(playlist.segments.map(segment => [segment.sequence, segment.url, segment.duration]), [
+            [7, 'https://cdn.example.com/video/1080/seg-7.ts', 10],
+            [8, 'https://cdn.example.com/video/1080/seg-8.ts', 10],
+            [9, 'https://cdn.example.com/video/1080/seg-9.ts', 9.5],
+            [10, 'https://cdn.example.com/video/1080/seg-10.ts', 4],
+        ]);
+        assert.deepEqual(playlist.segments.map(segment => segment.key), [
+            { url: 'https://cdn.example.com/video/1080/keys/key1.bin', iv: EXPLICIT_IV },
+            { url: 'https://cdn.example.com/video/1080/keys/key1.bin', iv: EXPLICIT_IV },
+            { url: 'https://cdn.example.com/keys/key2.bin', iv: sequenceIv(9) },
+            null,
+        ]);
+    });
+
+    test('continues byte ranges without an offset from the previous range', async () => {
+        const playlist = parseHlsMediaPlaylist(await readFixture('byterange.m3u8'), `${FIXTURE_BASE_URL}byterange.m3u8`);
+
+        const map = { url: 'https://cdn.example.com/video/1080/media.mp4', byteRange: { offset: 0, length: 100 }, key: null };
+        assert.deepEqual(playlist.segments.map(segment => [segment.url, segment.byteRange, segment.map]), [
+            [map.url, { offset: 100, length: 300 }, map],
+            [map.url, { offset: 400, length: 250 }, map],
+            [map.url, { offset: 650, length: 50 }, map],
+        ]);
+    });
+
+    test('rejects a byte range without an offset on a new resource', () => {
+        const content = '#EXTM3U\n#EXTINF:4,\n#EXT-X-BYTERANGE:100\nmedia.ts\n';
+        assert.throws(() => parseHlsMediaPlaylist(content, FIXTURE_BASE_URL), /has no offset/);
+    });
+
+    test('rejects unsupported encryption methods', () => {
+        const content = '#EXTM3U\n#EXT-X-KEY:METHOD=SAMPLE-AES,URI="key"\n#EXTINF:4,\nmedia.ts\n';
+        assert.throws(() => parseHlsMediaPlaylist(content, FIXTURE_BASE_URL), { message: "Unsupported HLS encryption method 'SAMPLE-AES'." });
+    });
+});
+
+describe('downloadHlsMediaPlaylist', () => {
+    const routes = new Map();
+    const plainSegments = [7, 8, 9, 10].map(sequence => buildPayload(`segment ${sequence};`, 1000 + sequence * 37));
+    const fmp4Resource = buildPayload('fmp4 resource;', 720);
+    let server;
+    let baseUrl;
+    let tempDir;
+
+    before(async () => {
+        routes.set('/video/1080/encrypted.m3u8', Buffer.from(await readFixture('encrypted.m3u8')));
+        routes.set('/video/1080/byterange.m3u8', Buffer.from(await readFixture('byterange.m3u8')));
+        routes.set('/video/1080/keys/key1.bin', FIRST_KEY);
+        routes.set('/keys/key2.bin', SECOND_KEY);
+        routes.set('/video/1080/seg-7.ts', encryptAes128(plainSegments[0], FIRST_KEY, EXPLICIT_IV));
+        routes.set('/video/1080/seg-8.ts', encryptAes128(plainSegments[1], FIRST_KEY, EXPLICIT_IV));
+        routes.set('/video/1080/seg-9.ts', encryptAes128(plainSegments[2], SECOND_KEY, sequenceIv(9)));
+        routes.set('/video/1080/seg-10.ts', plainSegments[3]);
+        routes.set('/video/1080/media.mp4', fmp4Resource);
+
+        server = await startFixtureServer(routes);
+        baseUrl = `http://127.0.0.1:${server.address().port}/video/1080/`;
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tidal-dl-hls-'));
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('downloads, decrypts and joins AES-128 segments', async () => {
+        const events = [];
+        const outputFilePath = await downloadHlsMediaPlaylist(`${baseUrl}encrypted.m3u8`, path.join(tempDir, 'encrypted'), {
+            tempDir: path.join(tempDir, 'encrypted-segments'),
+            filePrefix: 'video',
+            downloadOptions: { engine: 'native', retries: 0, onProgress: event => events.push(event.phase) },
+        });
+
+        assert.equal(outputFilePath, path.join(tempDir, 'encrypted.ts'));
+        assert.deepEqual(await fs.readFile(outputFilePath), Buffer.concat(plainSegments));
+        assert.equal(events[0], 'manifest');
+        assert.equal(events.at(-1), 'concatenate');
+    });
+
+    test('writes the init map once and slices byte ranges from one download', async () => {
+        const outputFilePath = await downloadHlsMediaPlaylist(`${baseUrl}byterange.m3u8`, path.join(tempDir, 'byterange'), {
+            tempDir: path.join(tempDir, 'byterange-segments'),
+            downloadOptions: { engine: 'native', retries: 0 },
+        });
+
+        assert.equal(outputFilePath, path.join(tempDir, 'byterange.mp4'));
+        assert.deepEqual(await fs.readFile(outputFilePath), fmp4Resource.subarray(0, 700));
+        assert.deepEqual(await fs.readdir(path.join(tempDir, 'byterange-segments')), ['segment_00001.mp4']);
+    });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import { describe, test } from 'node:test';
+
+import { MANIFEST_FORMAT, parsePlaybackManifest } from '../v2/manifest.mjs';
+
+const DASH_SEGMENT_BASE_URL = 'https://sp-ad-cf.audio.tidal.com/mediatracks/GisIAxABGA';
+const DASH_SEGMENT_QUERY = '?token=abc~def&c=1';
+
+async function readPlaybackFixture(fileName, manifestMimeType) {
+    const manifest = await fs.readFile(new URL(`./fixtures/${fileName}`, import.meta.url));
+    return { manifestMimeType, manifest: manifest.toString('base64') };
+}
+
+describe('parsePlaybackManifest', () => {
+    test('expands a DASH SegmentTimeline with repeat counts', async () => {
+        const playbackData = await readPlaybackFixture('dash-segment-timeline.mpd', 'application/dash+xml');
+
+        const manifest = await parsePlaybackManifest(playbackData);
+
+        // r="3" gives four segments, a slice without r one, and r="1" two: seven media segments after the init segment.
+        const segmentNumbers = [0, 1, 2, 3, 4, 5, 6, 7];
+        assert.equal(manifest.format, MANIFEST_FORMAT.DASH);
+        assert.deepEqual(manifest.segmentUrls, segmentNumbers.map(number => `${DASH_SEGMENT_BASE_URL}/${number}.mp4${DASH_SEGMENT_QUERY}`));
+        assert.deepEqual(manifest.segmentBasenames, segmentNumbers.map(number => `${number}.mp4`));
+        assert.equal(manifest.mimeType, 'audio/mp4');
+        assert.equal(manifest.codecs, 'flac');
+        assert.equal(manifest.encryptionType, 'NONE');
+    });
+
+    test('treats a manifest without a MIME type as DASH', async () => {
+        const { manifest } = await readPlaybackFixture('dash-segment-timeline.mpd');
+
+        const parsed = await parsePlaybackManifest({ manifest });
+
+        assert.equal(parsed.format, MANIFEST_FORMAT.DASH);
+        assert.equal(parsed.segmentUrls.length, 8);
+    });
+
+    test('reads a single-file BTS manifest', async () => {
+        const playbackData = await readPlaybackFixture('bts-single.json', 'application/vnd.tidal.bts');
+
+        const manifest = await parsePlaybackManifest(playbackData);
+
+        assert.deepEqual(manifest, {
+            format: MANIFEST_FORMAT.BTS,
+            segmentUrls: ['https://lgf.audio.tidal.com/mediatracks/CAEaKwgDEidj/0.mp4?token=1718000000~ZmFrZQ=='],
+            segmentBasenames: ['0.mp4'],
+            mimeType: 'audio/mp4',
+            codecs: 'mp4a.40.2',
+            encryptionType: 'NONE',
+        });
+    });
+
+    test('reads a multi-file BTS manifest and names URLs without a file name by position', async () => {
+        const playbackData = await readPlaybackFixture('bts-multiple.json', 'application/vnd.tidal.bts');
+
+        const manifest = await parsePlaybackManifest(playbackData);
+
+        assert.deepEqual(manifest.segmentUrls, [
+            'https://fa-fa.audio.tidal.com/mediatracks/CAEaKwgDEidj/part1.flac?token=1~a',
+            'https://fa-fa.audio.tidal.com/mediatracks/CAEaKwgDEidj/part2.flac?token=1~b',
+            'https://fa-fa.audio.tidal.com/?part=3',
+        ]);
+        assert.deepEqual(manifest.segmentBasenames, ['part1.flac', 'part2.flac', 'part_3']);
+        assert.equal(manifest.mimeType, 'audio/flac');
+    });
+
+    test('rejects an encrypted BTS manifest', async () => {
+        const playbackData = await readPlaybackFixture('bts-encrypted.json', 'application/vnd.tidal.bts');
+
+        await assert.rejects(parsePlaybackManifest(playbackData), {
+            message: "Unsupported manifest encryption type 'OLD_AES'. Only unencrypted streams (NONE) can be downloaded.",
+        });
+    });
+
+    test('rejects BTS URLs that share a file name', async () => {
+        const urls = ['https://a.audio.tidal.com/x/0.mp4?token=1', 'https://b.audio.tidal.com/y/0.mp4?token=2'];
+        const manifest = Buffer.from(JSON.stringify({ encryptionType: 'NONE', urls })).toString('base64');
+
+        await assert.rejects(parsePlaybackManifest({ manifestMimeType: 'application/vnd.tidal.bts', manifest }), /same file name/);
+    });
+
+    test('rejects a missing manifest and unknown manifest types', async () => {
+        await assert.rejects(parsePlaybackManifest({ manifestMimeType: 'application/x-unknown', manifest: '' }), /Playback info response does not contain a manifest/);
+        await assert.rejects(parsePlaybackManifest({ manifestMimeType: 'application/x-unknown', manifest: 'e30=' }), {
+            message: "Unsupported manifest type 'application/x-unknown'.",
+        });
+    });
+});
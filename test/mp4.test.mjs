@@ -0,0 +1,111 @@
+'use strict';
+
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+
+import { findBox, parseBoxes, readMp4FreeformTags, writeMp4FreeformTags } from '../v2/mp4.mjs';
+
+// A progressive M4A file (ftyp, moov, mdat) with three samples in two chunks.
+const SAMPLE_M4A_PATH = new URL('./fixtures/sample.m4a', import.meta.url);
+const CHUNK_PREFIXES = ['first chunk sample one|', 'second chunk sample|'];
+
+function findChunkOffsetBox(buffer) {
+    return findBox(buffer, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stco']);
+}
+
+function readChunkOffsets(buffer) {
+    const stco = findChunkOffsetBox(buffer);
+    const entryCount = buffer.readUInt32BE(stco.dataStart + 4);
+    return Array.from({ length: entryCount }, (_, index) => buffer.readUInt32BE(stco.dataStart + 8 + index * 4));
+}
+
+function readChunkPrefixes(buffer) {
+    return readChunkOffsets(buffer).map((offset, index) => buffer.toString('latin1', offset, offset + CHUNK_PREFIXES[index].length));
+}
+
+function readMediaData(buffer) {
+    const mdat = parseBoxes(buffer).find(box => box.type === 'mdat');
+    return buffer.subarray(mdat.dataStart, mdat.end);
+}
+
+// Moves the moov box behind the media data, as files written without "faststart" have it.
+function moveMovieBoxToEnd(buffer) {
+    const [ftyp, moov, mdat] = parseBoxes(buffer);
+    const moovBuffer = Buffer.from(buffer.subarray(moov.start, moov.end));
+    const stco = findChunkOffsetBox(moovBuffer);
+    const shift = moov.size;
+    readChunkOffsets(moovBuffer).forEach((offset, index) => moovBuffer.writeUInt32BE(offset - shift, stco.dataStart + 8 + index * 4));
+    return Buffer.concat([buffer.subarray(ftyp.start, ftyp.end), buffer.subarray(mdat.start, mdat.end), moovBuffer]);
+}
+
+describe('MP4 freeform tags', () => {
+    let sampleM4a;
+    let tempDir;
+
+    before(async () => {
+        sampleM4a = await fs.readFile(SAMPLE_M4A_PATH);
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tidal-dl-mp4-'));
+    });
+
+    after(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    test('reads no tags from an untagged file', async () => {
+        assert.deepEqual(await readMp4FreeformTags(SAMPLE_M4A_PATH), {});
+        assert.deepEqual(readChunkPrefixes(sampleM4a), CHUNK_PREFIXES);
+    });
+
+    test('adds tags before the media data and moves the chunk offsets', async () => {
+        const filePath = path.join(tempDir, 'faststart.m4a');
+        await fs.writeFile(filePath, sampleM4a);
+
+        await writeMp4FreeformTags(filePath, { TIDAL_TRACK_ID: 123456789, TIDAL_QUALITY: 'HIGH', EMPTY: '' });
+
+        assert.deepEqual(await readMp4FreeformTags(filePath), { TIDAL_TRACK_ID: '123456789', TIDAL_QUALITY: 'HIGH' });
+        const tagged = await fs.readFile(filePath);
+        assert.deepEqual(parseBoxes(tagged).map(box => box.type), ['ftyp', 'moov', 'mdat']);
+        assert.deepEqual(readChunkPrefixes(tagged), CHUNK_PREFIXES);
+        assert.deepEqual(readMediaData(tagged), readMediaData(sampleM4a));
+        await assert.rejects(fs.access(`${filePath}.tagging`));
+    });
+
+    test('replaces existing tags of the same name', async () => {
+        const filePath = path.join(tempDir, 'retagged.m4a');
+        await fs.writeFile(filePath, sampleM4a);
+
+        await writeMp4FreeformTags(filePath, { TIDAL_TRACK_ID: '1', TIDAL_QUALITY: 'LOW' });
+        await writeMp4FreeformTags(filePath, { TIDAL_QUALITY: 'HIGH' });
+
+        assert.deepEqual(await readMp4FreeformTags(filePath), { TIDAL_TRACK_ID: '1', TIDAL_QUALITY: 'HIGH' });
+        const tagged = await fs.readFile(filePath);
+        const ilst = findBox(tagged, ['ilst'], findBox(tagged, ['moov', 'udta', 'meta']).dataStart + 4);
+        assert.equal(parseBoxes(tagged, ilst.dataStart, ilst.end).length, 2);
+        assert.deepEqual(readChunkPrefixes(tagged), CHUNK_PREFIXES);
+    });
+
+    test('keeps the chunk offsets when the moov box follows the media data', async () => {
+        const filePath = path.join(tempDir, 'moov-at-end.m4a');
+        const original = moveMovieBoxToEnd(sampleM4a);
+        assert.deepEqual(readChunkPrefixes(original), CHUNK_PREFIXES);
+        await fs.writeFile(filePath, original);
+
+        await writeMp4FreeformTags(filePath, { TIDAL_TRACK_ID: '1' });
+
+        const tagged = await fs.readFile(filePath);
+        assert.deepEqual(parseBoxes(tagged).map(box => box.type), ['ftyp', 'mdat', 'moov']);
+        assert.deepEqual(readChunkOffsets(tagged), readChunkOffsets(original));
+        assert.deepEqual(await readMp4FreeformTags(filePath), { TIDAL_TRACK_ID: '1' });
+    });
+
+    test('rejects files without a moov box', async () => {
+        const filePath = path.join(tempDir, 'no-moov.m4a');
+        await fs.writeFile(filePath, sampleM4a.subarray(0, parseBoxes(sampleM4a)[0].end));
+
+        await assert.rejects(writeMp4FreeformTags(filePath, { TIDAL_TRACK_ID: '1' }), /has no moov box/);
+        await assert.rejects(fs.access(`${filePath}.tagging`));
+    });
+});
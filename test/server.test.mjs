@@ -0,0 +1,138 @@
+'use strict';
+
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import http from 'node:http';
+import { after, before, beforeEach, describe, test } from 'node:test';
+
+import { startDownloadServer } from '../v2/server.mjs';
+
+const JOB_ID = '00000000-0000-4000-8000-000000000001';
+
+function createFakeQueue() {
+    const queue = {
+        events: new EventEmitter(),
+        added: [],
+        cancelled: [],
+        list: () => [],
+        get: jobId => (jobId === JOB_ID ? { id: JOB_ID } : null),
+        add(request) {
+            queue.added.push(request);
+            return { id: JOB_ID, ...request };
+        },
+        cancel(jobId) {
+            queue.cancelled.push(jobId);
+            return { id: jobId, status: 'cancelled' };
+        },
+    };
+    return queue;
+}
+
+function sendRequest(port, method, requestPath, { headers = {}, body = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path: requestPath, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// Resolves with the data of the first event of the given type on the job event stream.
+function readJobEvent(port, eventType, onConnected) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ host: '127.0.0.1', port, path: '/api/events' }, (res) => {
+            let buffered = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffered += chunk;
+                const messages = buffered.split('\n\n');
+                buffered = messages.pop();
+                for (const message of messages) {
+                    const type = message.match(/^event: (.+)$/m)?.[1];
+                    if (type === 'jobs') onConnected();
+                    if (type === eventType) {
+                        req.destroy();
+                        resolve(JSON.parse(message.match(/^data: (.+)$/m)[1]));
+                    }
+                }
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+describe('download server request checks', () => {
+    let server;
+    let port;
+    let queue;
+    const jsonHeaders = { 'Content-Type': 'application/json' };
+    const jobBody = JSON.stringify({ url: 'https://tidal.com/browse/album/11223344' });
+
+    before(async () => {
+        queue = createFakeQueue();
+        server = await startDownloadServer({ queue, host: '127.0.0.1', port: 0 });
+        port = server.address().port;
+    });
+
+    beforeEach(() => {
+        queue.added.length = 0;
+        queue.cancelled.length = 0;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('queues a job posted as JSON from the same origin', async () => {
+        const response = await sendRequest(port, 'POST', '/api/jobs', {
+            headers: { ...jsonHeaders, Origin: `http://127.0.0.1:${port}` },
+            body: jobBody,
+        });
+
+        assert.equal(response.status, 201);
+        assert.deepEqual(queue.added, [{ url: 'https://tidal.com/browse/album/11223344', quality: null }]);
+    });
+
+    test('queues a job from a client that sends no Origin', async () => {
+        const response = await sendRequest(port, 'POST', '/api/jobs', { headers: { 'Content-Type': 'application/json; charset=utf-8' }, body: jobBody });
+
+        assert.equal(response.status, 201);
+        assert.equal(queue.added.length, 1);
+    });
+
+    test('refuses bodies that are not sent as JSON', async () => {
+        for (const contentType of [null, 'text/plain', 'application/x-www-form-urlencoded', 'multipart/form-data; boundary=x']) {
+            const response = await sendRequest(port, 'POST', '/api/jobs', { headers: contentType ? { 'Content-Type': contentType } : {}, body: jobBody });
+            assert.equal(response.status, 415, `Content-Type ${contentType}`);
+        }
+        assert.deepEqual(queue.added, []);
+    });
+
+    test('refuses POST and DELETE requests from other origins', async () => {
+        for (const origin of ['https://evil.example', 'null', `http://localhost:${port}`]) {
+            const posted = await sendRequest(port, 'POST', '/api/jobs', { headers: { ...jsonHeaders, Origin: origin }, body: jobBody });
+            assert.equal(posted.status, 403, `POST from ${origin}`);
+            const deleted = await sendRequest(port, 'DELETE', `/api/jobs/${JOB_ID}`, { headers: { Origin: origin } });
+            assert.equal(deleted.status, 403, `DELETE from ${origin}`);
+        }
+        assert.deepEqual(queue.added, []);
+        assert.deepEqual(queue.cancelled, []);
+    });
+
+    test('cancels a job from the same origin', async () => {
+        const response = await sendRequest(port, 'DELETE', `/api/jobs/${JOB_ID}`, { headers: { Origin: `http://127.0.0.1:${port}` } });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(queue.cancelled, [JOB_ID]);
+    });
+
+    test('forwards job progress as server-sent events', async () => {
+        const progress = { jobId: JOB_ID, phase: 'bytes', completed: 2, total: 5, bytes: 1024, totalBytes: null };
+        const received = await readJobEvent(port, 'progress', () => queue.events.emit('progress', progress));
+
+        assert.deepEqual(received, progress);
+    });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { describe, test } from 'node:test';
+
+import { buildTrackTemplateFields, renderPathTemplate } from '../v2/template.mjs';
+
+const SAMPLE_TRACK = {
+    id: 111,
+    title: 'Song',
+    artists: [{ name: 'Artist' }],
+    album: { title: 'Album', artists: [{ name: 'Artist' }], numberOfVolumes: 1 },
+    trackNumber: 3,
+    discNumber: 1,
+};
+
+describe('track path templates', () => {
+    test('fills the quality fields from the delivered quality', () => {
+        const quality = { audioQuality: 'HI_RES_LOSSLESS', bitDepth: 24, sampleRate: 96000 };
+        const fields = buildTrackTemplateFields(SAMPLE_TRACK, { quality });
+
+        const { outputDir, outputBasename } = renderPathTemplate('{album} [{quality}]/{disctrack} - {title} ({bitdepth}-{samplerate})', fields, { baseDir: 'music' });
+
+        assert.equal(outputDir, path.join('music', 'Album [HI_RES_LOSSLESS]'));
+        assert.equal(outputBasename, '03 - Song (24-96)');
+    });
+
+    test('drops the quality fields when the delivered quality is unknown', () => {
+        const fields = buildTrackTemplateFields(SAMPLE_TRACK, { quality: { audioQuality: 'HIGH', bitDepth: null, sampleRate: 44100 } });
+
+        assert.equal(renderPathTemplate('{title} [{bitdepth}]', fields, {}).outputBasename, 'Song');
+        assert.equal(renderPathTemplate('{title} [{quality}]', buildTrackTemplateFields(SAMPLE_TRACK), {}).outputBasename, 'Song');
+        assert.equal(fields.samplerate, 44.1);
+    });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+import path from 'path';
+
+import { describeApiError } from './api.mjs';
+import { downloadMusicTrack } from './music.mjs';
+import { ARCHIVE_ITEM_TYPE } from './archive.mjs';
+import { getPrimaryArtistName, formatTrackTitle } from './naming.mjs';
+import { renderPathTemplate, buildTrackTemplateFields, DEFAULT_ALBUM_TRACK_TEMPLATE } from './template.mjs';
+import { fetchAlbumMetadata, normalizeTrackMetadata } from './metadata.mjs';
+import { saveAlbumCover } from './artwork.mjs';
+
+const DEFAULT_MAX_PATH_LENGTH = 200;
+
+async function fetchAlbumTracks(albumId, { client }) {
+    const tracks = await client.fetchAllPages(`/albums/${albumId}/tracks`);
+    return tracks.sort((a, b) => ((a.volumeNumber || 1) - (b.volumeNumber || 1)) || ((a.trackNumber || 0) - (b.trackNumber || 0)));
+}
+
+function getTrackDeduplicationKey(track) {
+    return track.isrc ? `isrc:${track.isrc}` : `id:${track.id}`;
+}
+
+function getItemUnavailabilityReason(item, countryCode) {
+    if (item.streamReady === false) return `Not available for streaming in country '${countryCode || 'unknown'}'.`;
+    if (item.allowStreaming === false) return 'Streaming is not allowed for this item.';
+    return null;
+}
+
+async function downloadAlbum(options) {
+    const {
+        albumId,
+        audioQuality,
+        client,
+        outputBaseDir = '.',
+        maxPathLength = DEFAULT_MAX_PATH_LENGTH,
+        seenTrackKeys = new Set(),
+        downloadOptions,
+        fallbackQualities,
+        lyrics = null,
+        artwork = null,
+        archive = null,
+        trackTemplate = DEFAULT_ALBUM_TRACK_TEMPLATE,
+    } = options;
+
+    if (!albumId || !audioQuality || !client) {
+        throw new Error('albumId, audioQuality, and client are mandatory options.');
+    }
+
+    console.log(`Fetching album details for album ${albumId}...`);
+    const album = await fetchAlbumMetadata(albumId, { client });
+    const tracks = await fetchAlbumTracks(albumId, { client });
+    const isMultiDisc = album.numberOfVolumes > 1 || tracks.some(track => (track.volumeNumber || 1) > 1);
+
+    const resolveTrackPath = (trackMetadata, { quality = null, fileExtension } = {}) => renderPathTemplate(trackTemplate, buildTrackTemplateFields(trackMetadata, { isMultiDisc, quality }), {
+        baseDir: outputBaseDir,
+        fileExtension,
+        maxPathLength,
+    });
+    const albumDir = tracks.length > 0 ? resolveTrackPath(normalizeTrackMetadata(tracks[0], album)).outputDir : outputBaseDir;
+    console.log(`Album: "${album.title}" by ${getPrimaryArtistName(album)} - ${tracks.length} track(s)${isMultiDisc ? `, ${album.numberOfVolumes} discs` : ''}.`);
+    console.log(`Album directory: ${path.resolve(albumDir)}`);
+    if (artwork?.saveCover && tracks.length > 0) {
+        await saveAlbumCover(album.coverId, albumDir, artwork.coverSize);
+    }
+
+    const summary = { album, outputDir: albumDir, succeeded: [], failed: [], skipped: [] };
+
+    for (const [index, track] of tracks.entries()) {
+        downloadOptions?.signal?.throwIfAborted();
+        const title = formatTrackTitle(track);
+        const trackLabel = `[${index + 1}/${tracks.length}] ${isMultiDisc ? `Disc ${track.volumeNumber || 1} ` : ''}#${track.trackNumber} "${title}"`;
+
+        const unavailabilityReason = getItemUnavailabilityReason(track, client.countryCode);
+        if (unavailabilityReason) {
+            console.warn(`\n⏭️  Skipping ${trackLabel}: ${unavailabilityReason}`);
+            summary.skipped.push({ itemId: track.id, title, reason: unavailabilityReason });
+            continue;
+        }
+
+        const deduplicationKey = getTrackDeduplicationKey(track);
+        if (seenTrackKeys.has(deduplicationKey)) {
+            console.log(`\n⏭️  Skipping ${trackLabel}: already downloaded as part of another release.`);
+            summary.skipped.push({ itemId: track.id, title, reason: 'Already downloaded as part of another release.' });
+            continue;
+        }
+
+        const archivedEntry = archive ? await archive.findEntry(ARCHIVE_ITEM_TYPE.TRACK, track.id, audioQuality) : null;
+        if (archivedEntry) {
+            console.log(`\n⏭️  Skipping ${trackLabel}: already in the download archive (${archivedEntry.path}).`);
+            summary.skipped.push({ itemId: track.id, title, reason: 'Already in the download archive.', filePath: archivedEntry.path });
+            seenTrackKeys.add(deduplicationKey);
+            continue;
+        }
+
+        console.log(`\n🎵 ${trackLabel}`);
+        const trackMetadata = normalizeTrackMetadata(track, album);
+        try {
+            const result = await downloadMusicTrack({
+                trackId: track.id,
+                audioQuality,
+                client,
+                resolveOutputPath: outputPathOptions => resolveTrackPath(trackMetadata, outputPathOptions),
+                metadata: trackMetadata,
+                downloadOptions,
+                fallbackQualities,
+                lyrics,
+                coverSize: artwork?.coverSize,
+            });
+            summary.succeeded.push({ itemId: track.id, title, filePath: result.filePath, quality: result.quality, lyrics: result.lyrics });
+            seenTrackKeys.add(deduplicationKey);
+            if (archive) {
+                await archive.recordDownload({ type: ARCHIVE_ITEM_TYPE.TRACK, id: track.id, quality: audioQuality, deliveredQuality: result.quality, filePath: result.filePath });
+            }
+        } catch (error) {
+            summary.failed.push({ itemId: track.id, title, error: describeApiError(error) });
+        }
+    }
+
+    return summary;
+}
+
+export { downloadAlbum, fetchAlbumTracks, getItemUnavailabilityReason };
@@ -0,0 +1,197 @@
+'use strict';
+
+import axios from 'axios';
+
+import { ensureFreshAccessToken } from './login.mjs';
+
+const TIDAL_API_BASE_URL = 'https://listen.tidal.com/v1';
+const DEFAULT_API_TIMEOUT_MS = 15000;
+const DEFAULT_PAGE_LIMIT = 100;
+const DEFAULT_LOCALE = 'en_US';
+const DEFAULT_REQUESTS_PER_SECOND = 4;
+const DEFAULT_MAX_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_JITTER_MS = 250;
+const MAX_RETRY_DELAY_MS = 60000;
+const RETRYABLE_NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK'];
+
+class TidalApiError extends Error {
+    constructor(message, { endpoint = null, status = null, subStatus = null, userMessage = null, data = null, cause = null } = {}) {
+        super(message, { cause });
+        this.name = 'TidalApiError';
+        this.endpoint = endpoint;
+        this.status = status;
+        this.subStatus = subStatus;
+        this.userMessage = userMessage;
+        this.data = data;
+    }
+}
+
+function toTidalApiError(error, endpoint) {
+    if (!axios.isAxiosError(error)) return error;
+    if (!error.response) {
+        return new TidalApiError(`API request to ${endpoint} failed: ${error.code || error.message}`, { endpoint, cause: error });
+    }
+    const { status, data } = error.response;
+    const userMessage = data?.userMessage || null;
+    const detail = userMessage || data?.title || (typeof data === 'string' && data.length < 250 ? data : null);
+    return new TidalApiError(detail ? `API request failed with status ${status}: ${detail}` : `API request failed with status ${status}.`, {
+        endpoint,
+        status,
+        subStatus: data?.subStatus ?? null,
+        userMessage,
+        data: data ?? null,
+        cause: error,
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Allows bursts of `capacity` requests and refills at `ratePerSecond`. Callers are served in order.
+function createTokenBucket(ratePerSecond, capacity = ratePerSecond) {
+    let tokens = capacity;
+    let lastRefillTimestamp = Date.now();
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - lastRefillTimestamp) / 1000) * ratePerSecond);
+        lastRefillTimestamp = now;
+    };
+    const takeToken = async () => {
+        refill();
+        if (tokens < 1) {
+            await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+            refill();
+        }
+        tokens -= 1;
+    };
+    return {
+        take() {
+            queue = queue.then(takeToken);
+            return queue;
+        },
+    };
+}
+
+function isRetryableError(error) {
+    if (!axios.isAxiosError(error)) return false;
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+    return RETRYABLE_NETWORK_ERROR_CODES.includes(error.code);
+}
+
+// Retry-After is either a number of seconds or an HTTP date.
+function parseRetryAfterMs(headerValue) {
+    if (!headerValue) return null;
+    const seconds = Number(headerValue);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(headerValue);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function computeRetryDelayMs(error, attempt) {
+    const retryAfterMs = parseRetryAfterMs(error.response?.headers?.['retry-after']);
+    const backoffMs = RETRY_BASE_DELAY_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_JITTER_MS);
+    return Math.min(MAX_RETRY_DELAY_MS, retryAfterMs ?? backoffMs);
+}
+
+// One client per session, shared by every module that talks to the Tidal API. It adds the bearer token
+// (refreshed shortly before expiry and once more after a 401), countryCode and locale, keeps requests
+// under a token-bucket rate limit and retries 429, 5xx and network errors with exponential backoff.
+class TidalApiClient {
+    constructor(session, options = {}) {
+        if (!session) {
+            throw new Error('A Tidal session is required to create an API client.');
+        }
+        const {
+            baseUrl = TIDAL_API_BASE_URL,
+            countryCode = session.countryCode,
+            locale = DEFAULT_LOCALE,
+            timeoutMs = DEFAULT_API_TIMEOUT_MS,
+            requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND,
+            maxRetries = DEFAULT_MAX_RETRIES,
+        } = options;
+        this.session = session;
+        this.baseUrl = baseUrl;
+        this.countryCode = countryCode;
+        this.locale = locale;
+        this.timeoutMs = timeoutMs;
+        this.maxRetries = maxRetries;
+        this.rateLimiter = createTokenBucket(requestsPerSecond);
+    }
+
+    // Returns the response body; failed requests throw a TidalApiError.
+    async request(endpoint, { method = 'get', params = {}, data, headers = {} } = {}) {
+        let rejectedToken = null;
+        for (let attempt = 0; ; attempt++) {
+            await this.rateLimiter.take();
+            const accessToken = await ensureFreshAccessToken(this.session, { rejectedToken });
+            try {
+                const response = await axios.request({
+                    method,
+                    url: `${this.baseUrl}${endpoint}`,
+                    params: { countryCode: this.countryCode, locale: this.locale, ...params },
+                    data,
+                    headers: { ...headers, 'Authorization': `Bearer ${accessToken}` },
+                    timeout: this.timeoutMs,
+                });
+                return response.data;
+            } catch (error) {
+                if (error.response?.status === 401 && rejectedToken === null) {
+                    console.warn(`The access token was rejected for ${endpoint} (401). Refreshing it and retrying once...`);
+                    rejectedToken = accessToken;
+                    attempt--;
+                    continue;
+                }
+                if (attempt >= this.maxRetries || !isRetryableError(error)) {
+                    throw toTidalApiError(error, endpoint);
+                }
+                const delayMs = computeRetryDelayMs(error, attempt);
+                const reason = error.response ? `status ${error.response.status}` : (error.code || error.message);
+                console.warn(`Request to ${endpoint} failed (${reason}). Retrying in ${(delayMs / 1000).toFixed(1)}s (${attempt + 1}/${this.maxRetries})...`);
+                await sleep(delayMs);
+            }
+        }
+    }
+
+    get(endpoint, params = {}) {
+        return this.request(endpoint, { params });
+    }
+
+    // For requests made outside the client, e.g. to the CDN, that still need the bearer token.
+    async getAuthorizationHeaders() {
+        return { 'Authorization': `Bearer ${await ensureFreshAccessToken(this.session)}` };
+    }
+
+    async fetchAllPages(endpoint, params = {}, pageLimit = DEFAULT_PAGE_LIMIT) {
+        const items = [];
+        let offset = 0;
+
+        while (true) {
+            const page = await this.get(endpoint, { ...params, limit: pageLimit, offset });
+            const pageItems = Array.isArray(page?.items) ? page.items : [];
+            for (const item of pageItems) {
+                items.push(item);
+            }
+            offset += pageItems.length;
+
+            const totalItems = Number.isInteger(page?.totalNumberOfItems) ? page.totalNumberOfItems : offset;
+            if (pageItems.length === 0 || offset >= totalItems) {
+                break;
+            }
+        }
+        return items;
+    }
+}
+
+function describeApiError(error) {
+    if (error instanceof TidalApiError || !axios.isAxiosError(error)) {
+        return error.message;
+    }
+    return toTidalApiError(error, error.config?.url || 'unknown').message;
+}
+
+export { TidalApiClient, TidalApiError, describeApiError, TIDAL_API_BASE_URL, DEFAULT_LOCALE };
@@ -0,0 +1,216 @@
+'use strict';
+
+import crypto from 'crypto';
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+
+import { readFlacTagsFromFile } from './flac.mjs';
+import { readMp4FreeformTags } from './mp4.mjs';
+import { ARCHIVE_TAGS } from './tagging.mjs';
+
+const ARCHIVE_ITEM_TYPE = {
+    TRACK: 'track',
+    VIDEO: 'video',
+};
+
+const CHECKSUM_ALGORITHM = 'sha256';
+const TRACK_QUALITY_CODES = ['LOW', 'HIGH', 'LOSSLESS', 'HI_RES_LOSSLESS'];
+const ID_BASED_TRACK_NAME_PATTERN = new RegExp(`^(\\d+)_(${TRACK_QUALITY_CODES.join('|')})(?=_|$)`);
+const ID_BASED_VIDEO_NAME_PATTERN = /^(\d+)_(\d+x\d+)$/;
+const TRACK_FILE_EXTENSIONS = ['.flac', '.m4a'];
+const VIDEO_FILE_EXTENSIONS = ['.ts', '.mp4'];
+const MP4_FILE_EXTENSIONS = ['.m4a', '.mp4'];
+const CD_QUALITY_MAX_BIT_DEPTH = 16;
+const CD_QUALITY_MAX_SAMPLE_RATE = 48000;
+
+function buildArchiveKey(type, id, quality) {
+    return `${type}:${id}:${quality}`;
+}
+
+async function computeFileChecksum(filePath) {
+    const hash = crypto.createHash(CHECKSUM_ALGORITHM);
+    await pipeline(createReadStream(filePath), hash);
+    return `${CHECKSUM_ALGORITHM}:${hash.digest('hex')}`;
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function readArchiveEntries(archivePath) {
+    let content;
+    try {
+        content = await fs.readFile(archivePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw new Error(`Could not read download archive ${archivePath}: ${error.message}`);
+    }
+
+    const entries = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            const entry = JSON.parse(line);
+            if (entry?.type && entry?.id && entry?.quality) {
+                entries.push(entry);
+                return;
+            }
+        } catch (error) { /* Reported below like any other malformed line */ }
+        console.warn(`Ignoring malformed line ${index + 1} in download archive ${archivePath}.`);
+    });
+    return entries;
+}
+
+async function buildArchiveEntry({ type, id, quality, deliveredQuality = null, filePath }) {
+    const resolvedPath = path.resolve(filePath);
+    const { size } = await fs.stat(resolvedPath);
+    return {
+        type,
+        id: String(id),
+        quality,
+        deliveredQuality,
+        path: resolvedPath,
+        size,
+        checksum: await computeFileChecksum(resolvedPath),
+        downloadedAt: new Date().toISOString(),
+    };
+}
+
+async function openDownloadArchive(archivePath, { ignoreExisting = false } = {}) {
+    const entriesByKey = new Map();
+    for (const entry of await readArchiveEntries(archivePath)) {
+        entriesByKey.set(buildArchiveKey(entry.type, entry.id, entry.quality), entry);
+    }
+    let pendingWrite = Promise.resolve();
+
+    return {
+        archivePath,
+        get size() {
+            return entriesByKey.size;
+        },
+
+        async findEntry(type, id, quality) {
+            if (ignoreExisting) return null;
+            const entry = entriesByKey.get(buildArchiveKey(type, String(id), quality));
+            if (!entry) return null;
+            if (!await fileExists(entry.path)) {
+                console.log(`Archived file for ${type} ${id} (${quality}) no longer exists at ${entry.path}. Downloading it again.`);
+                return null;
+            }
+            return entry;
+        },
+
+        async recordDownload(details) {
+            try {
+                const entry = await buildArchiveEntry(details);
+                const write = pendingWrite.then(async () => {
+                    await fs.mkdir(path.dirname(path.resolve(archivePath)), { recursive: true });
+                    await fs.appendFile(archivePath, `${JSON.stringify(entry)}\n`);
+                });
+                pendingWrite = write.catch(() => {});
+                await write;
+                entriesByKey.set(buildArchiveKey(entry.type, entry.id, entry.quality), entry);
+                return entry;
+            } catch (error) {
+                console.warn(`Could not record ${details.type} ${details.id} in the download archive: ${error.message}`);
+                return null;
+            }
+        },
+    };
+}
+
+async function listFilesRecursively(directory) {
+    const files = [];
+    for (const dirEntry of await fs.readdir(directory, { withFileTypes: true })) {
+        const entryPath = path.join(directory, dirEntry.name);
+        if (dirEntry.isDirectory()) {
+            files.push(...await listFilesRecursively(entryPath));
+        } else if (dirEntry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+function describeStreamInfoQuality(streamInfo) {
+    const isHiRes = streamInfo.bitsPerSample > CD_QUALITY_MAX_BIT_DEPTH || streamInfo.sampleRate > CD_QUALITY_MAX_SAMPLE_RATE;
+    return { audioQuality: isHiRes ? 'HI_RES_LOSSLESS' : 'LOSSLESS', bitDepth: streamInfo.bitsPerSample, sampleRate: streamInfo.sampleRate };
+}
+
+function getFirstTagValue(tags, name) {
+    const value = [].concat(tags[name] ?? [])[0];
+    return value ? String(value) : null;
+}
+
+async function readEmbeddedTags(filePath, extension) {
+    if (extension === '.flac') return readFlacTagsFromFile(filePath);
+    if (MP4_FILE_EXTENSIONS.includes(extension)) return { tags: await readMp4FreeformTags(filePath), streamInfo: null };
+    return { tags: {}, streamInfo: null };
+}
+
+// Entries are keyed on the requested quality, which tagged files carry in TIDAL_QUALITY. Files without the tag
+// fall back to their ID-based name, which holds the delivered quality, or for FLAC files written before the tag
+// existed, to a quality inferred from the stream.
+async function identifyDownloadedFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const baseName = path.basename(filePath, path.extname(filePath));
+    const isTrack = TRACK_FILE_EXTENSIONS.includes(extension);
+    const type = isTrack ? ARCHIVE_ITEM_TYPE.TRACK : ARCHIVE_ITEM_TYPE.VIDEO;
+
+    const { tags, streamInfo } = await readEmbeddedTags(filePath, extension).catch((error) => {
+        console.warn(`Could not read the tags of ${filePath}: ${error.message}`);
+        return { tags: {}, streamInfo: null };
+    });
+    const deliveredQuality = streamInfo ? describeStreamInfoQuality(streamInfo) : null;
+    const taggedId = getFirstTagValue(tags, isTrack ? ARCHIVE_TAGS.TRACK_ID : ARCHIVE_TAGS.VIDEO_ID);
+    const taggedQuality = getFirstTagValue(tags, ARCHIVE_TAGS.QUALITY);
+    if (taggedId && taggedQuality) {
+        return { type, id: taggedId, quality: taggedQuality, deliveredQuality };
+    }
+
+    const nameMatch = baseName.match(isTrack ? ID_BASED_TRACK_NAME_PATTERN : ID_BASED_VIDEO_NAME_PATTERN);
+    if (nameMatch) {
+        return { type, id: nameMatch[1], quality: nameMatch[2], deliveredQuality };
+    }
+    if (taggedId && deliveredQuality) {
+        return { type, id: taggedId, quality: deliveredQuality.audioQuality, deliveredQuality };
+    }
+    return null;
+}
+
+async function rebuildDownloadArchive(archivePath, downloadsDir) {
+    console.log(`Scanning ${path.resolve(downloadsDir)} to rebuild the download archive...`);
+    const files = await listFilesRecursively(downloadsDir);
+    const entries = [];
+    let unrecognized = 0;
+
+    for (const filePath of files) {
+        const extension = path.extname(filePath).toLowerCase();
+        if (!TRACK_FILE_EXTENSIONS.includes(extension) && !VIDEO_FILE_EXTENSIONS.includes(extension)) continue;
+        try {
+            const identity = await identifyDownloadedFile(filePath);
+            if (!identity) {
+                unrecognized++;
+                continue;
+            }
+            entries.push(await buildArchiveEntry({ ...identity, filePath }));
+        } catch (error) {
+            unrecognized++;
+            console.warn(`Could not inspect ${filePath}: ${error.message}`);
+        }
+    }
+
+    const tempArchivePath = `${archivePath}.rebuilding`;
+    await fs.mkdir(path.dirname(path.resolve(archivePath)), { recursive: true });
+    await fs.writeFile(tempArchivePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    await fs.rename(tempArchivePath, archivePath);
+    return { archivePath, recorded: entries.length, unrecognized };
+}
+
+export { openDownloadArchive, rebuildDownloadArchive, computeFileChecksum, ARCHIVE_ITEM_TYPE };
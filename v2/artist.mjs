@@ -0,0 +1,144 @@
+'use strict';
+
+import path from 'path';
+
+import { describeApiError } from './api.mjs';
+import { downloadAlbum } from './album.mjs';
+import { getReleaseYear } from './naming.mjs';
+import { saveArtistPicture } from './artwork.mjs';
+
+const RELEASE_TYPES = [
+    { key: 'albums', name: 'Albums', apiFilter: null },
+    { key: 'eps', name: 'EPs & Singles', apiFilter: 'EPSANDSINGLES' },
+    { key: 'compilations', name: 'Compilations', apiFilter: 'COMPILATIONS' },
+];
+
+function parseReleaseTypeList(value) {
+    const requestedKeys = String(value || '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+    if (requestedKeys.length === 0 || requestedKeys.includes('all')) {
+        return RELEASE_TYPES.map(type => type.key);
+    }
+
+    const aliases = { album: 'albums', ep: 'eps', singles: 'eps', single: 'eps', compilation: 'compilations' };
+    const releaseTypeKeys = [];
+    for (const requestedKey of requestedKeys) {
+        const key = aliases[requestedKey] || requestedKey;
+        if (!RELEASE_TYPES.some(type => type.key === key)) {
+            throw new Error(`Unknown release type '${requestedKey}'. Valid types: ${RELEASE_TYPES.map(type => type.key).join(', ')}, all.`);
+        }
+        if (!releaseTypeKeys.includes(key)) releaseTypeKeys.push(key);
+    }
+    return releaseTypeKeys;
+}
+
+async function fetchArtistDetails(artistId, { client }) {
+    return client.get(`/artists/${artistId}`);
+}
+
+async function fetchArtistReleases(artistId, releaseTypeKeys, { client }) {
+    const releases = [];
+    const seenAlbumIds = new Set();
+
+    for (const releaseType of RELEASE_TYPES) {
+        if (!releaseTypeKeys.includes(releaseType.key)) continue;
+
+        const params = releaseType.apiFilter ? { filter: releaseType.apiFilter } : {};
+        const albums = await client.fetchAllPages(`/artists/${artistId}/albums`, params);
+        for (const album of albums) {
+            if (seenAlbumIds.has(album.id)) continue;
+            seenAlbumIds.add(album.id);
+            releases.push({ releaseType: releaseType.key, album });
+        }
+    }
+    return releases;
+}
+
+function describeRelease(release) {
+    const { album } = release;
+    const year = getReleaseYear(album);
+    return `${album.title}${year ? ` (${year})` : ''} - ${album.numberOfTracks ?? '?'} track(s)`;
+}
+
+// Album folders only share an artist folder when the album template nests them, e.g. "{albumartist}/{album}/...".
+// Compilations may land under another album artist, so the folder holding most releases wins.
+function findArtistDirectory(results, outputBaseDir) {
+    const baseDir = path.resolve(outputBaseDir);
+    const releaseCounts = new Map();
+    for (const { summary } of results) {
+        if (!summary?.outputDir) continue;
+        const parentDir = path.dirname(path.resolve(summary.outputDir));
+        if (parentDir.startsWith(`${baseDir}${path.sep}`)) {
+            releaseCounts.set(parentDir, (releaseCounts.get(parentDir) || 0) + 1);
+        }
+    }
+    const [artistDir = null] = [...releaseCounts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+    return artistDir;
+}
+
+async function downloadArtistReleases(options) {
+    const {
+        releases,
+        audioQuality,
+        client,
+        outputBaseDir = '.',
+        maxPathLength,
+        downloadOptions,
+        fallbackQualities,
+        lyrics,
+        artwork,
+        archive,
+        trackTemplate,
+        artist = null,
+    } = options;
+
+    if (!Array.isArray(releases) || !audioQuality || !client) {
+        throw new Error('releases, audioQuality, and client are mandatory options.');
+    }
+
+    const seenTrackKeys = new Set();
+    const results = [];
+
+    for (const [index, release] of releases.entries()) {
+        downloadOptions?.signal?.throwIfAborted();
+        console.log(`\n💿 Release ${index + 1}/${releases.length}: ${describeRelease(release)}`);
+        try {
+            const summary = await downloadAlbum({
+                albumId: release.album.id,
+                audioQuality,
+                client,
+                outputBaseDir,
+                maxPathLength,
+                seenTrackKeys,
+                downloadOptions,
+                fallbackQualities,
+                lyrics,
+                artwork,
+                archive,
+                trackTemplate,
+            });
+            results.push({ release, summary });
+        } catch (error) {
+            console.error(`❌ Could not download release "${release.album.title}": ${describeApiError(error)}`);
+            results.push({ release, error: describeApiError(error) });
+        }
+    }
+
+    if (artwork?.saveArtistPicture && artist?.picture) {
+        const artistDir = findArtistDirectory(results, outputBaseDir);
+        if (artistDir) {
+            await saveArtistPicture(artist.picture, artistDir, artwork.coverSize);
+        } else {
+            console.log('The album template does not create an artist folder. Skipping the artist picture.');
+        }
+    }
+    return results;
+}
+
+export {
+    downloadArtistReleases,
+    fetchArtistDetails,
+    fetchArtistReleases,
+    parseReleaseTypeList,
+    describeRelease,
+    RELEASE_TYPES,
+};
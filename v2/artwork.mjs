@@ -0,0 +1,108 @@
+'use strict';
+
+import axios from 'axios';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { describeApiError } from './api.mjs';
+
+const TIDAL_IMAGE_BASE_URL = 'https://resources.tidal.com/images';
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_CACHED_IMAGES = 16;
+
+const COVER_SIZES = ['80', '160', '320', '640', '1280', 'origin'];
+const DEFAULT_COVER_SIZE = '1280';
+// Artist pictures and video images are only rendered in these sizes (besides 'origin').
+const ARTIST_PICTURE_SIZE = '750';
+const VIDEO_THUMBNAIL_SIZE = '1080x720';
+
+const ALBUM_COVER_FILENAME = 'cover.jpg';
+const ARTIST_PICTURE_FILENAME = 'artist.jpg';
+const THUMBNAIL_EXTENSION = '.jpg';
+
+// Keyed by "<imageId>@<size>"; holds promises so concurrent requests for the same image share one download.
+const imageCache = new Map();
+
+function buildTidalImageUrl(imageId, size = DEFAULT_COVER_SIZE) {
+    const imagePath = imageId.replace(/-/g, '/');
+    const sizeName = String(size);
+    if (sizeName === 'origin') return `${TIDAL_IMAGE_BASE_URL}/${imagePath}/origin.jpg`;
+    return `${TIDAL_IMAGE_BASE_URL}/${imagePath}/${sizeName.includes('x') ? sizeName : `${sizeName}x${sizeName}`}.jpg`;
+}
+
+function fetchTidalImage(imageId, size = DEFAULT_COVER_SIZE) {
+    if (!imageId) return Promise.resolve(null);
+    const cacheKey = `${imageId}@${size}`;
+    if (imageCache.has(cacheKey)) {
+        const cached = imageCache.get(cacheKey);
+        imageCache.delete(cacheKey);
+        imageCache.set(cacheKey, cached);
+        return cached;
+    }
+
+    const download = axios.get(buildTidalImageUrl(imageId, size), { responseType: 'arraybuffer', timeout: IMAGE_DOWNLOAD_TIMEOUT_MS })
+        .then(response => Buffer.from(response.data))
+        .catch(error => {
+            console.warn(`Could not download image ${imageId} (${size}): ${describeApiError(error)}`);
+            return null;
+        });
+    imageCache.set(cacheKey, download);
+    if (imageCache.size > MAX_CACHED_IMAGES) {
+        imageCache.delete(imageCache.keys().next().value);
+    }
+    return download;
+}
+
+async function saveTidalImage(imageId, size, filePath) {
+    try {
+        await fs.access(filePath);
+        return filePath;
+    } catch (error) { /* Not saved yet */ }
+
+    const image = await fetchTidalImage(imageId, size);
+    if (!image) return null;
+    try {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, image);
+        console.log(`Saved image to ${filePath}`);
+        return filePath;
+    } catch (error) {
+        console.warn(`Could not write image ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+async function saveAlbumCover(coverId, albumDir, size = DEFAULT_COVER_SIZE) {
+    return coverId ? saveTidalImage(coverId, size, path.join(albumDir, ALBUM_COVER_FILENAME)) : null;
+}
+
+async function saveArtistPicture(pictureId, artistDir, size = DEFAULT_COVER_SIZE) {
+    if (!pictureId) return null;
+    return saveTidalImage(pictureId, size === 'origin' ? 'origin' : ARTIST_PICTURE_SIZE, path.join(artistDir, ARTIST_PICTURE_FILENAME));
+}
+
+function toVideoImageSize(size) {
+    return size === 'origin' ? 'origin' : VIDEO_THUMBNAIL_SIZE;
+}
+
+function fetchVideoImage(imageId, size = DEFAULT_COVER_SIZE) {
+    return fetchTidalImage(imageId, toVideoImageSize(size));
+}
+
+async function saveVideoThumbnail(imageId, videoFilePath, size = DEFAULT_COVER_SIZE) {
+    if (!imageId) return null;
+    const parsedPath = path.parse(videoFilePath);
+    const thumbnailPath = path.join(parsedPath.dir, `${parsedPath.name}${THUMBNAIL_EXTENSION}`);
+    return saveTidalImage(imageId, toVideoImageSize(size), thumbnailPath);
+}
+
+export {
+    fetchTidalImage,
+    fetchVideoImage,
+    buildTidalImageUrl,
+    saveAlbumCover,
+    saveArtistPicture,
+    saveVideoThumbnail,
+    COVER_SIZES,
+    DEFAULT_COVER_SIZE,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+import path from 'path';
+import { promises as fs } from 'fs';
+
+const STDIN_SOURCE = '-';
+const HEADER_LINE_PATTERN = /^\s*"?url"?\s*(,|\s|$)/i;
+
+function stripCsvQuotes(value) {
+    const trimmed = value.trim();
+    return trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')
+        ? trimmed.slice(1, -1).replace(/""/g, '"').trim()
+        : trimmed;
+}
+
+function parseBatchLines(content, sourceName = 'input') {
+    const entries = [];
+    const lines = content.split(/\r?\n/);
+
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('#')) return;
+        if (entries.length === 0 && HEADER_LINE_PATTERN.test(line)) return;
+
+        const fields = (line.includes(',') ? line.split(',') : line.split(/\s+/)).map(stripCsvQuotes);
+        entries.push({
+            source: sourceName,
+            line: index + 1,
+            url: fields[0],
+            qualityOverride: fields[1] || null,
+        });
+    });
+    return entries;
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readBatchEntries(source) {
+    if (source === STDIN_SOURCE) {
+        return parseBatchLines(await readStream(process.stdin), 'stdin');
+    }
+    const content = await fs.readFile(source, 'utf8');
+    return parseBatchLines(content, source);
+}
+
+async function writeBatchReport(reportPath, items) {
+    const report = {
+        generatedAt: new Date().toISOString(),
+        total: items.length,
+        succeeded: items.filter(item => item.status === 'success').length,
+        skipped: items.filter(item => item.status === 'skipped').length,
+        failed: items.filter(item => item.status === 'failed').length,
+        items,
+    };
+    await fs.mkdir(path.dirname(path.resolve(reportPath)), { recursive: true });
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+    return report;
+}
+
+export { parseBatchLines, readBatchEntries, writeBatchReport, STDIN_SOURCE };
@@ -0,0 +1,210 @@
+'use strict';
+
+import { parseArgs } from 'util';
+
+const CLI_COMMANDS = {
+    PROFILE: 'profile',
+    SERVE: 'serve',
+    SEARCH: 'search',
+};
+
+const PROFILE_ACTIONS = ['list', 'login', 'logout', 'current'];
+
+const CLI_OPTIONS = {
+    profile: { type: 'string', short: 'p' },
+    quality: { type: 'string', short: 'q' },
+    'video-quality': { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    config: { type: 'string', short: 'c' },
+    'no-rename': { type: 'boolean', default: false },
+    'track-template': { type: 'string' },
+    'album-template': { type: 'string' },
+    'video-template': { type: 'string' },
+    'no-quality-fallback': { type: 'boolean', default: false },
+    lyrics: { type: 'boolean' },
+    'embed-lyrics': { type: 'boolean' },
+    'no-lyrics': { type: 'boolean', default: false },
+    'cover-size': { type: 'string' },
+    'no-cover': { type: 'boolean', default: false },
+    'artist-picture': { type: 'boolean', default: false },
+    'video-thumbnail': { type: 'boolean', default: false },
+    remuxer: { type: 'string' },
+    'keep-ts': { type: 'boolean', default: false },
+    force: { type: 'boolean', short: 'f', default: false },
+    archive: { type: 'string' },
+    'rebuild-archive': { type: 'boolean', default: false },
+    yes: { type: 'boolean', short: 'y', default: false },
+    'release-types': { type: 'string' },
+    input: { type: 'string', short: 'i' },
+    concurrency: { type: 'string', default: '1' },
+    downloader: { type: 'string' },
+    'segment-concurrency': { type: 'string' },
+    report: { type: 'string' },
+    'no-progress': { type: 'boolean', default: false },
+    type: { type: 'string' },
+    limit: { type: 'string' },
+    page: { type: 'string' },
+    pick: { type: 'string' },
+    host: { type: 'string' },
+    port: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+const USAGE_TEXT = `Usage:
+  node startup.mjs                         Start the interactive menu.
+  node startup.mjs <url...> [options]      Download the given Tidal URLs without any prompts.
+  node startup.mjs --input <file|-> [options]
+                                           Download every URL listed in a text/CSV file (or stdin with '-').
+  node startup.mjs profile <action> [--profile <name>]
+                                           Manage Tidal accounts. Actions: list (all profiles), login,
+                                           logout (revoke and delete the tokens), current (user ID,
+                                           country and token expiry of the selected profile; default).
+  node startup.mjs serve [--host <addr>] [--port <n>] [options]
+                                           Run a download queue with a REST API and a web page, e.g. to
+                                           queue downloads from a phone. Set TIDAL_DL_SERVE_TOKEN to
+                                           require a token.
+  node startup.mjs search <query...> [--type <list>] [--page <n>] [--pick <n>] [options]
+                                           Search Tidal and print a numbered list of tracks, albums,
+                                           artists, playlists and videos. --pick downloads that result.
+
+Options:
+  -p, --profile <name>        Tidal account profile to use (default: default). Each profile keeps its own
+                              login session in ~/.config/tidal-dl/profiles/<name>.json.
+  -q, --quality <code>        Audio quality: LOW, HIGH, LOSSLESS or HI_RES_LOSSLESS (default: LOSSLESS).
+      --video-quality <pref>  Video quality: best, worst or a maximum height such as 720p (default: best).
+  -o, --output <dir>          Base output directory (default: ./downloads).
+  -c, --config <file>         Settings file to use instead of ./tidal-dl.config.json or
+                              ~/.config/tidal-dl/config.json. Defaults below can be changed there or
+                              through TIDAL_DL_* environment variables.
+      --no-rename             Keep ID-based filenames instead of the filename templates below.
+      --track-template <tpl>  Path template for single songs (default: "{artist} - {title}").
+      --album-template <tpl>  Path template for album and discography tracks
+                              (default: "{albumartist}/{album} ({year})/{disctrack} - {title}").
+      --video-template <tpl>  Path template for music videos (default: "{artist} - {title}").
+                              Track fields: {id} {title} {artist} {artists} {albumartist} {album} {year}
+                              {track} {disc} {disctrack} {isrc} {quality} {bitdepth} {samplerate}.
+                              Video fields: {id} {title} {artist} {artists} {album} {year} {resolution}.
+                              Use {track:02} to zero-pad and '/' to create folders.
+      --no-quality-fallback   Fail instead of trying the next lower audio quality when the requested one
+                              is not available for a track.
+      --lyrics                Save lyrics next to each track: .lrc when time-synced lyrics exist,
+                              .txt otherwise. Tracks without lyrics are skipped quietly.
+      --embed-lyrics          Also embed the lyrics as a LYRICS tag (FLAC only).
+      --no-lyrics             Do not fetch lyrics, even if enabled in the config file.
+      --cover-size <size>     Cover art size: 80, 160, 320, 640, 1280 or origin (default: 1280). Used for
+                              cover.jpg and the embedded cover.
+      --no-cover              Do not save cover.jpg into album folders.
+      --artist-picture        Save artist.jpg into the artist folder for discography downloads.
+      --video-thumbnail       Save a .jpg thumbnail next to each music video.
+      --remuxer <engine>      How music videos are converted to MP4: auto, ffmpeg, native or none
+                              (default: auto, which uses ffmpeg when it is installed and the built-in
+                              remuxer otherwise; 'none' keeps the downloaded .ts file).
+      --keep-ts               Keep the original .ts file next to the remuxed .mp4.
+  -f, --force                 Download items again even if they are listed in the download archive.
+      --archive <file>        Download archive file (default: <output>/download-archive.jsonl).
+      --rebuild-archive       Rebuild the download archive by scanning the output directory, then exit
+                              (or continue with the given URLs).
+  -y, --yes                   Answer "yes" to confirmations (required for artist downloads without prompts).
+      --release-types <list>  Artist release types: albums, eps, compilations or all (comma-separated).
+  -i, --input <file|->        Read URLs from a file or stdin, one per line: "<url>[,<quality>]".
+                              The optional quality overrides --quality or --video-quality for that line.
+      --concurrency <n>       Number of queue items (or serve jobs) to download in parallel (default: 1).
+      --downloader <engine>   Segment download engine: auto, aria2c or native (default: auto, which uses
+                              aria2c when it is installed and the built-in downloader otherwise).
+      --segment-concurrency <n>
+                              Parallel segment downloads for the built-in downloader (default: 8).
+      --report <file>         Where to write the JSON report (default: <output>/batch-report-<time>.json
+                              when --input is used).
+      --no-progress           Do not draw progress bars (they are only drawn when stderr is a terminal).
+      --type <list>           Search result types: tracks, albums, artists, playlists, videos or all
+                              (comma-separated; default: all).
+      --limit <n>             Search results per page, shared between the types (default: 20).
+      --page <n>              Search result page to show (default: 1).
+      --pick <n>              Download search result <n> of the shown page.
+      --host <addr>           Address the serve command listens on (default: 127.0.0.1; use 0.0.0.0 to
+                              accept connections from other machines).
+      --port <n>              Port for the serve command (default: 8787).
+  -h, --help                  Show this help text.`;
+
+function parsePositiveInteger(value, optionName) {
+    const number = parseInt(value, 10);
+    if (!Number.isInteger(number) || number < 1 || String(number) !== value.trim()) {
+        throw new Error(`Invalid --${optionName} value '${value}'. It must be a positive integer.`);
+    }
+    return number;
+}
+
+function parseCommandLineArguments(argv = process.argv.slice(2)) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        throw new Error(`Invalid command-line arguments: ${error.message}`);
+    }
+
+    const { values, positionals } = parsed;
+    const [firstPositional, ...commandArguments] = positionals;
+    const command = Object.values(CLI_COMMANDS).includes(firstPositional) ? { name: firstPositional, args: commandArguments } : null;
+    if (command?.name === CLI_COMMANDS.PROFILE) {
+        const action = command.args[0] || 'current';
+        if (!PROFILE_ACTIONS.includes(action) || command.args.length > 1) {
+            throw new Error(`Unknown profile command '${command.args.join(' ')}'. Use one of: ${PROFILE_ACTIONS.join(', ')}.`);
+        }
+        command.action = action;
+    }
+    if (command?.name === CLI_COMMANDS.SEARCH && command.args.join(' ').trim() === '') {
+        throw new Error('The search command needs a search query, e.g. node startup.mjs search "artist name".');
+    }
+    if (command?.name === CLI_COMMANDS.SERVE && command.args.length > 0) {
+        throw new Error(`The serve command takes no arguments, got '${command.args.join(' ')}'.`);
+    }
+    const concurrency = parsePositiveInteger(values.concurrency, 'concurrency');
+    const segmentConcurrency = values['segment-concurrency'] ? parsePositiveInteger(values['segment-concurrency'], 'segment-concurrency') : null;
+    const servePort = values.port ? parsePositiveInteger(values.port, 'port') : null;
+    const searchLimit = values.limit ? parsePositiveInteger(values.limit, 'limit') : null;
+    const searchPage = values.page ? parsePositiveInteger(values.page, 'page') : null;
+    const searchPick = values.pick ? parsePositiveInteger(values.pick, 'pick') : null;
+
+    return {
+        urls: command ? [] : positionals,
+        command,
+        profile: values.profile || null,
+        showHelp: values.help,
+        audioQuality: values.quality ? values.quality.toUpperCase() : null,
+        videoQuality: values['video-quality'] || null,
+        outputBaseDir: values.output || null,
+        configPath: values.config || null,
+        rename: !values['no-rename'],
+        trackTemplate: values['track-template'] || null,
+        albumTemplate: values['album-template'] || null,
+        videoTemplate: values['video-template'] || null,
+        qualityFallback: !values['no-quality-fallback'],
+        lyrics: values['no-lyrics'] ? false : (values.lyrics || null),
+        embedLyrics: values['no-lyrics'] ? false : (values['embed-lyrics'] || null),
+        coverSize: values['cover-size'] ? values['cover-size'].toLowerCase() : null,
+        saveCover: values['no-cover'] ? false : null,
+        saveArtistPicture: values['artist-picture'] || null,
+        saveVideoThumbnail: values['video-thumbnail'] || null,
+        videoRemuxer: values.remuxer ? values.remuxer.toLowerCase() : null,
+        keepTs: values['keep-ts'] || null,
+        force: values.force,
+        archivePath: values.archive || null,
+        rebuildArchive: values['rebuild-archive'],
+        assumeYes: values.yes,
+        releaseTypes: values['release-types'] || null,
+        inputSource: values.input || null,
+        concurrency,
+        reportPath: values.report || null,
+        progressBars: values['no-progress'] ? false : null,
+        downloadEngine: values.downloader ? values.downloader.toLowerCase() : null,
+        segmentConcurrency,
+        serveHost: values.host || null,
+        servePort,
+        searchTypes: values.type || null,
+        searchLimit,
+        searchPage,
+        searchPick,
+    };
+}
+
+export { parseCommandLineArguments, USAGE_TEXT, CLI_COMMANDS };
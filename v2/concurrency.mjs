@@ -0,0 +1,19 @@
+'use strict';
+
+async function runWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+    let nextIndex = 0;
+
+    async function runWorker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: workerCount }, () => runWorker()));
+    return results;
+}
+
+export { runWithConcurrency };
@@ -0,0 +1,188 @@
+'use strict';
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { validatePathTemplate, DEFAULT_TRACK_TEMPLATE, DEFAULT_ALBUM_TRACK_TEMPLATE, DEFAULT_VIDEO_TEMPLATE, TRACK_TEMPLATE_FIELDS, VIDEO_TEMPLATE_FIELDS } from './template.mjs';
+import { DOWNLOAD_ENGINES } from './downloader.mjs';
+import { COVER_SIZES, DEFAULT_COVER_SIZE } from './artwork.mjs';
+import { REMUX_ENGINES } from './remux.mjs';
+
+const ENV_PREFIX = 'TIDAL_DL_';
+const CONFIG_PATH_ENV_VARIABLE = `${ENV_PREFIX}CONFIG`;
+const LOCAL_CONFIG_FILENAME = 'tidal-dl.config.json';
+const USER_CONFIG_DIRNAME = 'tidal-dl';
+const USER_CONFIG_FILENAME = 'config.json';
+
+const AUDIO_QUALITY_CODES = ['LOW', 'HIGH', 'LOSSLESS', 'HI_RES_LOSSLESS'];
+const VIDEO_QUALITY_PATTERN = /^(best|worst|\d+p?)$/i;
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const LOCALE_PATTERN = /^[a-z]{2,3}_[A-Z]{2}$/;
+
+const CONFIG_SCHEMA = {
+    outputBaseDir: { type: 'string', default: './downloads' },
+    musicSubdir: { type: 'string', default: 'music' },
+    videoSubdir: { type: 'string', default: 'videos' },
+    playlistSubdir: { type: 'string', default: 'playlists' },
+    archiveFilename: { type: 'string', default: 'download-archive.jsonl' },
+    encryptSession: { type: 'boolean', default: false },
+    profile: { type: 'string', pattern: PROFILE_NAME_PATTERN, patternHint: 'a profile name made of letters, digits, - and _', default: 'default' },
+    locale: { type: 'string', pattern: LOCALE_PATTERN, patternHint: "a locale such as 'en_US'", default: 'en_US' },
+    apiRequestsPerSecond: { type: 'integer', min: 1, default: 4 },
+    apiRetries: { type: 'integer', min: 0, default: 4 },
+    maxFilenameLength: { type: 'integer', min: 50, default: 200 },
+    defaultAudioQuality: { type: 'enum', values: AUDIO_QUALITY_CODES, default: 'LOSSLESS', normalize: value => value.toUpperCase() },
+    defaultVideoQuality: { type: 'string', pattern: VIDEO_QUALITY_PATTERN, patternHint: "'best', 'worst' or a height such as '720p'", default: 'best' },
+    audioQualityFallback: { type: 'boolean', default: true },
+    lyrics: { type: 'boolean', default: false },
+    embedLyrics: { type: 'boolean', default: false },
+    coverSize: { type: 'enum', values: COVER_SIZES, default: DEFAULT_COVER_SIZE, normalize: value => value.toLowerCase() },
+    saveCover: { type: 'boolean', default: true },
+    saveArtistPicture: { type: 'boolean', default: false },
+    saveVideoThumbnail: { type: 'boolean', default: false },
+    videoRemuxer: { type: 'enum', values: Object.values(REMUX_ENGINES), default: REMUX_ENGINES.AUTO, normalize: value => value.toLowerCase() },
+    keepTs: { type: 'boolean', default: false },
+    trackTemplate: { type: 'template', fields: TRACK_TEMPLATE_FIELDS, default: DEFAULT_TRACK_TEMPLATE },
+    albumTrackTemplate: { type: 'template', fields: TRACK_TEMPLATE_FIELDS, default: DEFAULT_ALBUM_TRACK_TEMPLATE },
+    videoTemplate: { type: 'template', fields: VIDEO_TEMPLATE_FIELDS, default: DEFAULT_VIDEO_TEMPLATE },
+    downloadEngine: { type: 'enum', values: Object.values(DOWNLOAD_ENGINES), default: DOWNLOAD_ENGINES.AUTO, normalize: value => value.toLowerCase() },
+    segmentConcurrency: { type: 'integer', min: 1, default: 8 },
+    segmentRetries: { type: 'integer', min: 0, default: 3 },
+    progressBars: { type: 'boolean', default: true },
+    serveHost: { type: 'string', default: '127.0.0.1' },
+    servePort: { type: 'integer', min: 1, max: 65535, default: 8787 },
+    serveToken: { type: 'string', default: null },
+    aria2cOptions: { type: 'string', default: '-c -x 16 -s 16 -k 1M -j 16 --console-log-level=warn --allow-overwrite=true --auto-file-renaming=false' },
+    aria2cVideoOptions: { type: 'string', default: '--console-log-level=warn -c -x 16 -s 16 -k 1M -j 16 --allow-overwrite=true --auto-file-renaming=false' },
+};
+
+const DEFAULT_CONFIG = Object.freeze(Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, spec]) => [key, spec.default])));
+
+function toEnvVariableName(key) {
+    return `${ENV_PREFIX}${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+function parseEnvValue(spec, rawValue) {
+    if (spec.type === 'integer') return /^-?\d+$/.test(rawValue.trim()) ? parseInt(rawValue, 10) : rawValue;
+    if (spec.type === 'boolean') {
+        if (/^(1|true|yes|on)$/i.test(rawValue.trim())) return true;
+        if (/^(0|false|no|off)$/i.test(rawValue.trim())) return false;
+    }
+    return rawValue;
+}
+
+function validateConfigValue(key, value, sourceName) {
+    const spec = CONFIG_SCHEMA[key];
+    const fail = (expectation) => {
+        throw new Error(`Invalid value for '${key}' in ${sourceName}: expected ${expectation}, got ${JSON.stringify(value)}.`);
+    };
+
+    switch (spec.type) {
+        case 'integer':
+            if (!Number.isInteger(value) || value < spec.min || value > (spec.max ?? Infinity)) {
+                fail(spec.max ? `an integer from ${spec.min} to ${spec.max}` : `an integer >= ${spec.min}`);
+            }
+            return value;
+        case 'boolean':
+            if (typeof value !== 'boolean') fail('true or false');
+            return value;
+        case 'enum': {
+            const normalized = typeof value === 'string' || typeof value === 'number' ? spec.normalize(String(value).trim()) : value;
+            if (!spec.values.includes(normalized)) fail(`one of ${spec.values.join(', ')}`);
+            return normalized;
+        }
+        case 'template':
+            if (typeof value !== 'string') fail('a filename template string');
+            try {
+                return validatePathTemplate(value, spec.fields);
+            } catch (error) {
+                throw new Error(`Invalid value for '${key}' in ${sourceName}: ${error.message}`);
+            }
+        default:
+            if (typeof value !== 'string' || !value.trim()) fail('a non-empty string');
+            if (spec.pattern && !spec.pattern.test(value)) fail(spec.patternHint);
+            return value;
+    }
+}
+
+function getUserConfigDirectory(env = process.env) {
+    const configHome = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(configHome, USER_CONFIG_DIRNAME);
+}
+
+function getUserConfigPath(env = process.env) {
+    return path.join(getUserConfigDirectory(env), USER_CONFIG_FILENAME);
+}
+
+async function readConfigFile(configPath) {
+    let rawContent;
+    try {
+        rawContent = await fs.readFile(configPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(rawContent);
+    } catch (error) {
+        throw new Error(`Config file ${configPath} is not valid JSON: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error(`Config file ${configPath} must contain a JSON object.`);
+    }
+
+    const unknownKeys = Object.keys(parsed).filter(key => !CONFIG_SCHEMA[key]);
+    if (unknownKeys.length > 0) {
+        throw new Error(`Unknown setting(s) ${unknownKeys.map(key => `'${key}'`).join(', ')} in ${configPath}. Valid settings: ${Object.keys(CONFIG_SCHEMA).join(', ')}.`);
+    }
+    return parsed;
+}
+
+async function findConfigFile({ explicitPath, env = process.env, cwd = process.cwd() }) {
+    const requestedPath = explicitPath || env[CONFIG_PATH_ENV_VARIABLE];
+    if (requestedPath) {
+        const values = await readConfigFile(requestedPath);
+        if (!values) {
+            throw new Error(`Config file ${requestedPath} does not exist.`);
+        }
+        return { configPath: requestedPath, values };
+    }
+
+    for (const candidatePath of [path.join(cwd, LOCAL_CONFIG_FILENAME), getUserConfigPath(env)]) {
+        const values = await readConfigFile(candidatePath);
+        if (values) return { configPath: candidatePath, values };
+    }
+    return { configPath: null, values: {} };
+}
+
+async function loadConfig(options = {}) {
+    const { env = process.env } = options;
+    const { configPath, values: fileValues } = await findConfigFile(options);
+    const config = { ...DEFAULT_CONFIG };
+
+    for (const [key, value] of Object.entries(fileValues)) {
+        config[key] = validateConfigValue(key, value, configPath);
+    }
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        const envName = toEnvVariableName(key);
+        if (env[envName] !== undefined && env[envName] !== '') {
+            config[key] = validateConfigValue(key, parseEnvValue(spec, env[envName]), `environment variable ${envName}`);
+        }
+    }
+
+    return { config: Object.freeze(config), configPath };
+}
+
+export {
+    loadConfig,
+    DEFAULT_CONFIG,
+    AUDIO_QUALITY_CODES,
+    PROFILE_NAME_PATTERN,
+    LOCAL_CONFIG_FILENAME,
+    getUserConfigDirectory,
+    getUserConfigPath,
+    toEnvVariableName,
+};
@@ -0,0 +1,260 @@
+'use strict';
+
+import axios from 'axios';
+import { exec } from 'child_process';
+import { promises as fs, createWriteStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import util from 'util';
+
+import { runWithConcurrency } from './concurrency.mjs';
+import { PROGRESS_PHASES } from './progress.mjs';
+
+const execAsync = util.promisify(exec);
+
+const DOWNLOAD_ENGINES = {
+    AUTO: 'auto',
+    ARIA2C: 'aria2c',
+    NATIVE: 'native',
+};
+
+const DEFAULT_SEGMENT_CONCURRENCY = 8;
+const DEFAULT_SEGMENT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const DEFAULT_SEGMENT_TIMEOUT_MS = 60000;
+const PARTIAL_FILE_SUFFIX = '.part';
+const RETRYABLE_CLIENT_STATUSES = [408, 425, 429];
+// Local filesystem errors fail at once; network errors, short reads and empty bodies are retried and resumed.
+const LOCAL_FILE_ERROR_CODES = ['ENOSPC', 'EACCES', 'EPERM', 'EROFS', 'ENOENT', 'ENOTDIR', 'EISDIR'];
+const BYTES_PROGRESS_INTERVAL_MS = 250;
+const ARIA2C_PROGRESS_POLL_INTERVAL_MS = 1000;
+const ARIA2C_CONTROL_FILE_SUFFIX = '.aria2';
+
+let aria2cAvailabilityPromise = null;
+
+function isAria2cAvailable() {
+    if (!aria2cAvailabilityPromise) {
+        aria2cAvailabilityPromise = execAsync('aria2c --version').then(() => true, () => false);
+    }
+    return aria2cAvailabilityPromise;
+}
+
+async function resolveDownloadEngine(engine = DOWNLOAD_ENGINES.AUTO) {
+    const normalizedEngine = String(engine || DOWNLOAD_ENGINES.AUTO).trim().toLowerCase();
+    if (!Object.values(DOWNLOAD_ENGINES).includes(normalizedEngine)) {
+        throw new Error(`Unknown download engine '${engine}'. Use one of: ${Object.values(DOWNLOAD_ENGINES).join(', ')}.`);
+    }
+    if (normalizedEngine !== DOWNLOAD_ENGINES.AUTO) {
+        return normalizedEngine;
+    }
+    if (await isAria2cAvailable()) {
+        return DOWNLOAD_ENGINES.ARIA2C;
+    }
+    console.log('aria2c was not found on PATH. Using the built-in downloader.');
+    return DOWNLOAD_ENGINES.NATIVE;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRetryableError(error) {
+    const status = error.response?.status;
+    if (status) return status >= 500 || RETRYABLE_CLIENT_STATUSES.includes(status);
+    return !LOCAL_FILE_ERROR_CODES.includes(error.code);
+}
+
+function parseTotalSizeFromContentRange(contentRange) {
+    const match = typeof contentRange === 'string' ? contentRange.match(/\/(\d+)\s*$/) : null;
+    return match ? parseInt(match[1], 10) : null;
+}
+
+async function getFileSize(filePath) {
+    try {
+        return (await fs.stat(filePath)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+}
+
+// Keeps the downloaded byte count of every segment file, so retries and resumed files are counted once.
+function createSegmentProgressTracker(total, onProgress) {
+    const fileBytes = new Map();
+    const fileSizes = new Map();
+    let completed = 0;
+    let bytes = 0;
+    let lastBytesReportAt = 0;
+
+    const report = (phase) => {
+        const knownSizes = [...fileSizes.values()];
+        // Until every size is known, the other files are assumed to be as large as the known ones on average.
+        const totalBytes = knownSizes.length > 0 ? Math.round(knownSizes.reduce((sum, size) => sum + size, 0) / knownSizes.length * total) : null;
+        onProgress({ phase, completed, total, bytes, totalBytes });
+    };
+
+    const setFileBytes = (fileName, count) => {
+        bytes += count - (fileBytes.get(fileName) || 0);
+        fileBytes.set(fileName, count);
+    };
+
+    return {
+        setFileSize(fileName, size) {
+            fileSizes.set(fileName, size);
+        },
+        setFileBytes(fileName, count) {
+            setFileBytes(fileName, count);
+            if (Date.now() - lastBytesReportAt >= BYTES_PROGRESS_INTERVAL_MS) {
+                lastBytesReportAt = Date.now();
+                report(PROGRESS_PHASES.BYTES);
+            }
+        },
+        completeFile(fileName, size) {
+            fileSizes.set(fileName, size);
+            setFileBytes(fileName, size);
+            completed++;
+            report(PROGRESS_PHASES.SEGMENTS);
+        },
+    };
+}
+
+async function downloadFileOnce(url, filePath, { headers, timeoutMs = DEFAULT_SEGMENT_TIMEOUT_MS, signal, progress }) {
+    const partialFilePath = `${filePath}${PARTIAL_FILE_SUFFIX}`;
+    const resumeOffset = await getFileSize(partialFilePath);
+    const requestHeaders = resumeOffset > 0 ? { ...headers, Range: `bytes=${resumeOffset}-` } : headers;
+
+    let response;
+    try {
+        response = await axios.get(url, { headers: requestHeaders, responseType: 'stream', timeout: timeoutMs, signal });
+    } catch (error) {
+        if (error.response?.status === 416 && resumeOffset > 0) {
+            const totalSize = parseTotalSizeFromContentRange(error.response.headers?.['content-range']);
+            if (totalSize === resumeOffset) {
+                await fs.rename(partialFilePath, filePath);
+                progress?.completeFile(path.basename(filePath), resumeOffset);
+                return resumeOffset;
+            }
+            await fs.rm(partialFilePath, { force: true });
+        }
+        throw error;
+    }
+
+    const isResumed = response.status === 206;
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    const expectedSize = isResumed
+        ? parseTotalSizeFromContentRange(response.headers['content-range'])
+        : (Number.isFinite(contentLength) ? contentLength : null);
+
+    const fileName = path.basename(filePath);
+    let receivedBytes = isResumed ? resumeOffset : 0;
+    if (expectedSize !== null) progress?.setFileSize(fileName, expectedSize);
+    progress?.setFileBytes(fileName, receivedBytes);
+    response.data.on('data', chunk => {
+        receivedBytes += chunk.length;
+        progress?.setFileBytes(fileName, receivedBytes);
+    });
+    await pipeline(response.data, createWriteStream(partialFilePath, { flags: isResumed ? 'a' : 'w' }), { signal });
+
+    const downloadedSize = await getFileSize(partialFilePath);
+    if (expectedSize !== null && downloadedSize !== expectedSize) {
+        if (downloadedSize > expectedSize) {
+            await fs.rm(partialFilePath, { force: true });
+        }
+        throw new Error(`Size mismatch for ${path.basename(filePath)}: expected ${expectedSize} bytes, got ${downloadedSize}.`);
+    }
+    if (downloadedSize === 0) {
+        throw new Error(`Downloaded file ${path.basename(filePath)} is empty.`);
+    }
+
+    await fs.rename(partialFilePath, filePath);
+    progress?.completeFile(fileName, downloadedSize);
+    return downloadedSize;
+}
+
+async function downloadFileWithRetry(url, filePath, options) {
+    const { retries = DEFAULT_SEGMENT_RETRIES, retryDelayMs = DEFAULT_RETRY_DELAY_MS, signal } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+        try {
+            return await downloadFileOnce(url, filePath, options);
+        } catch (error) {
+            signal?.throwIfAborted();
+            if (attempt >= retries || !isRetryableError(error)) {
+                throw new Error(`Failed to download ${path.basename(filePath)} after ${attempt + 1} attempt(s): ${error.message}`);
+            }
+            const backoffMs = retryDelayMs * 2 ** attempt;
+            console.warn(`Download of ${path.basename(filePath)} failed (${error.message}). Retrying in ${backoffMs}ms...`);
+            await delay(backoffMs);
+        }
+    }
+}
+
+async function downloadSegmentsNative(segments, destinationDir, options) {
+    const { concurrency = DEFAULT_SEGMENT_CONCURRENCY } = options;
+    await runWithConcurrency(segments, concurrency, segment => downloadFileWithRetry(segment.url, path.join(destinationDir, segment.fileName), options));
+}
+
+// aria2c only reports progress on a terminal, so finished files are picked up from the destination directory instead.
+// A file is finished once its .aria2 control file is gone; sizes of unfinished files are not counted because aria2c
+// may preallocate them.
+async function collectAria2cProgress(segments, destinationDir, progress, finishedFiles) {
+    const entries = new Set(await fs.readdir(destinationDir).catch(() => []));
+    for (const { fileName } of segments) {
+        if (finishedFiles.has(fileName) || !entries.has(fileName) || entries.has(`${fileName}${ARIA2C_CONTROL_FILE_SUFFIX}`)) continue;
+        finishedFiles.add(fileName);
+        progress.completeFile(fileName, await getFileSize(path.join(destinationDir, fileName)));
+    }
+}
+
+// `aria2cOptions` comes from the config (see aria2cOptions in config.mjs), which holds the only defaults.
+async function downloadSegmentsWithAria2c(segments, destinationDir, { headers, aria2cOptions, signal, progress }) {
+    if (typeof aria2cOptions !== 'string') {
+        throw new Error('aria2cOptions is mandatory for the aria2c download engine.');
+    }
+    const headerLines = Object.entries(headers || {}).map(([name, value]) => ` header=${name}: ${value}`);
+    const inputFileLines = segments.flatMap(segment => [segment.url, ` out=${segment.fileName}`, ...headerLines]);
+    const aria2cInputFilePath = path.join(destinationDir, 'segment_urls.txt');
+    await fs.writeFile(aria2cInputFilePath, inputFileLines.join('\n'));
+    console.log('Generated URL list for aria2c.');
+
+    const aria2cCommand = `aria2c ${aria2cOptions} -d "${destinationDir}" -i "${aria2cInputFilePath}"`;
+    console.log(`Executing: ${aria2cCommand}`);
+    if (!progress) {
+        await execAsync(aria2cCommand, { signal });
+        return;
+    }
+
+    const finishedFiles = new Set();
+    let pollInProgress = null;
+    const pollTimer = setInterval(() => {
+        pollInProgress ??= collectAria2cProgress(segments, destinationDir, progress, finishedFiles).finally(() => { pollInProgress = null; });
+    }, ARIA2C_PROGRESS_POLL_INTERVAL_MS);
+    try {
+        await execAsync(aria2cCommand, { signal });
+    } finally {
+        clearInterval(pollTimer);
+        await pollInProgress;
+    }
+    await collectAria2cProgress(segments, destinationDir, progress, finishedFiles);
+}
+
+// `options.signal` (an AbortSignal) stops the download: aria2c is terminated and pending segments are not started.
+// `options.onProgress` receives 'segments' and 'bytes' events (see PROGRESS_PHASES in progress.mjs).
+async function downloadSegments(segments, destinationDir, options = {}) {
+    options.signal?.throwIfAborted();
+    const engine = await resolveDownloadEngine(options.engine);
+    console.log(`Downloading ${segments.length} file(s) with ${engine === DOWNLOAD_ENGINES.ARIA2C ? 'aria2c' : 'the built-in downloader'}...`);
+
+    const { onProgress, ...engineOptions } = options;
+    const progress = onProgress ? createSegmentProgressTracker(segments.length, onProgress) : null;
+    if (engine === DOWNLOAD_ENGINES.ARIA2C) {
+        await downloadSegmentsWithAria2c(segments, destinationDir, { ...engineOptions, progress });
+    } else {
+        await downloadSegmentsNative(segments, destinationDir, { ...engineOptions, progress });
+    }
+    console.log('Segment download completed.');
+    return engine;
+}
+
+export { downloadSegments, resolveDownloadEngine, isAria2cAvailable, DOWNLOAD_ENGINES };
@@ -0,0 +1,333 @@
+'use strict';
+
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+
+const FLAC_MAGIC = 'fLaC';
+const METADATA_BLOCK_HEADER_SIZE = 4;
+const MAX_METADATA_BLOCK_LENGTH = 0xFFFFFF;
+const DEFAULT_PADDING_LENGTH = 4096;
+const DEFAULT_VENDOR_STRING = 'tidal-dl';
+
+const BLOCK_TYPE = {
+    STREAMINFO: 0,
+    PADDING: 1,
+    APPLICATION: 2,
+    SEEKTABLE: 3,
+    VORBIS_COMMENT: 4,
+    CUESHEET: 5,
+    PICTURE: 6,
+};
+
+const PICTURE_TYPE_FRONT_COVER = 3;
+
+function isFlacBuffer(buffer) {
+    return buffer.length >= FLAC_MAGIC.length && buffer.toString('latin1', 0, FLAC_MAGIC.length) === FLAC_MAGIC;
+}
+
+function parseMetadataBlocks(buffer) {
+    if (!isFlacBuffer(buffer)) {
+        throw new Error('Not a native FLAC stream (missing fLaC signature).');
+    }
+
+    const blocks = [];
+    let offset = FLAC_MAGIC.length;
+    let isLastBlock = false;
+
+    while (!isLastBlock) {
+        if (offset + METADATA_BLOCK_HEADER_SIZE > buffer.length) {
+            throw new Error('Truncated FLAC metadata: block header extends past the available data.');
+        }
+        const header = buffer.readUInt8(offset);
+        isLastBlock = (header & 0x80) !== 0;
+        const type = header & 0x7F;
+        const length = buffer.readUIntBE(offset + 1, 3);
+        const dataStart = offset + METADATA_BLOCK_HEADER_SIZE;
+        if (dataStart + length > buffer.length) {
+            throw new Error(`Truncated FLAC metadata: block of type ${type} extends past the available data.`);
+        }
+        blocks.push({ type, data: buffer.subarray(dataStart, dataStart + length) });
+        offset = dataStart + length;
+    }
+
+    return { blocks, audioOffset: offset };
+}
+
+function parseVorbisComment(data) {
+    let offset = 0;
+    const vendorLength = data.readUInt32LE(offset);
+    offset += 4;
+    const vendor = data.toString('utf8', offset, offset + vendorLength);
+    offset += vendorLength;
+
+    const commentCount = data.readUInt32LE(offset);
+    offset += 4;
+    const comments = [];
+    for (let i = 0; i < commentCount; i++) {
+        const commentLength = data.readUInt32LE(offset);
+        offset += 4;
+        const comment = data.toString('utf8', offset, offset + commentLength);
+        offset += commentLength;
+        const separatorIndex = comment.indexOf('=');
+        if (separatorIndex > 0) {
+            comments.push([comment.substring(0, separatorIndex).toUpperCase(), comment.substring(separatorIndex + 1)]);
+        }
+    }
+    return { vendor, comments };
+}
+
+function parsePicture(data) {
+    let offset = 0;
+    const readUInt32 = () => {
+        const value = data.readUInt32BE(offset);
+        offset += 4;
+        return value;
+    };
+    const pictureType = readUInt32();
+    const mimeLength = readUInt32();
+    const mimeType = data.toString('latin1', offset, offset + mimeLength);
+    offset += mimeLength;
+    const descriptionLength = readUInt32();
+    const description = data.toString('utf8', offset, offset + descriptionLength);
+    offset += descriptionLength;
+    const width = readUInt32();
+    const height = readUInt32();
+    const colorDepth = readUInt32();
+    const indexedColors = readUInt32();
+    const dataLength = readUInt32();
+    return { pictureType, mimeType, description, width, height, colorDepth, indexedColors, data: data.subarray(offset, offset + dataLength) };
+}
+
+function normalizeComments(tags) {
+    const comments = [];
+    for (const [key, value] of Object.entries(tags)) {
+        const values = Array.isArray(value) ? value : [value];
+        for (const entry of values) {
+            if (entry === null || entry === undefined || entry === '') continue;
+            comments.push([key.toUpperCase(), String(entry)]);
+        }
+    }
+    return comments;
+}
+
+function buildVorbisCommentBlock(comments, vendor = DEFAULT_VENDOR_STRING) {
+    const vendorBuffer = Buffer.from(vendor, 'utf8');
+    const commentBuffers = comments.map(([key, value]) => Buffer.from(`${key}=${value}`, 'utf8'));
+
+    const parts = [];
+    const vendorLength = Buffer.alloc(4);
+    vendorLength.writeUInt32LE(vendorBuffer.length);
+    parts.push(vendorLength, vendorBuffer);
+
+    const commentCount = Buffer.alloc(4);
+    commentCount.writeUInt32LE(commentBuffers.length);
+    parts.push(commentCount);
+    for (const commentBuffer of commentBuffers) {
+        const commentLength = Buffer.alloc(4);
+        commentLength.writeUInt32LE(commentBuffer.length);
+        parts.push(commentLength, commentBuffer);
+    }
+    return Buffer.concat(parts);
+}
+
+function readImageDimensions(imageData) {
+    if (imageData.length >= 24 && imageData.readUInt32BE(0) === 0x89504E47) {
+        return { width: imageData.readUInt32BE(16), height: imageData.readUInt32BE(20), colorDepth: 24 };
+    }
+
+    if (imageData.length >= 4 && imageData[0] === 0xFF && imageData[1] === 0xD8) {
+        let offset = 2;
+        while (offset + 9 < imageData.length) {
+            if (imageData[offset] !== 0xFF) {
+                offset++;
+                continue;
+            }
+            const marker = imageData[offset + 1];
+            const segmentLength = imageData.readUInt16BE(offset + 2);
+            const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+            if (isStartOfFrame) {
+                const precision = imageData[offset + 4];
+                const components = imageData[offset + 9];
+                return {
+                    height: imageData.readUInt16BE(offset + 5),
+                    width: imageData.readUInt16BE(offset + 7),
+                    colorDepth: precision * components,
+                };
+            }
+            offset += 2 + segmentLength;
+        }
+    }
+    return { width: 0, height: 0, colorDepth: 0 };
+}
+
+function detectImageMimeType(imageData) {
+    if (imageData.length >= 4 && imageData.readUInt32BE(0) === 0x89504E47) return 'image/png';
+    return 'image/jpeg';
+}
+
+function buildPictureBlock(picture) {
+    const imageData = picture.data;
+    const mimeBuffer = Buffer.from(picture.mimeType || detectImageMimeType(imageData), 'latin1');
+    const descriptionBuffer = Buffer.from(picture.description || '', 'utf8');
+    const dimensions = readImageDimensions(imageData);
+
+    const header = Buffer.alloc(32 + mimeBuffer.length + descriptionBuffer.length);
+    let offset = 0;
+    offset = header.writeUInt32BE(picture.pictureType ?? PICTURE_TYPE_FRONT_COVER, offset);
+    offset = header.writeUInt32BE(mimeBuffer.length, offset);
+    offset += mimeBuffer.copy(header, offset);
+    offset = header.writeUInt32BE(descriptionBuffer.length, offset);
+    offset += descriptionBuffer.copy(header, offset);
+    offset = header.writeUInt32BE(picture.width ?? dimensions.width, offset);
+    offset = header.writeUInt32BE(picture.height ?? dimensions.height, offset);
+    offset = header.writeUInt32BE(picture.colorDepth ?? dimensions.colorDepth, offset);
+    offset = header.writeUInt32BE(0, offset);
+    header.writeUInt32BE(imageData.length, offset);
+    return Buffer.concat([header, imageData]);
+}
+
+function serializeMetadataBlocks(blocks) {
+    const parts = [Buffer.from(FLAC_MAGIC, 'latin1')];
+    blocks.forEach((block, index) => {
+        if (block.data.length > MAX_METADATA_BLOCK_LENGTH) {
+            throw new Error(`FLAC metadata block of type ${block.type} is too large (${block.data.length} bytes).`);
+        }
+        const header = Buffer.alloc(METADATA_BLOCK_HEADER_SIZE);
+        header.writeUInt8((index === blocks.length - 1 ? 0x80 : 0) | block.type, 0);
+        header.writeUIntBE(block.data.length, 1, 3);
+        parts.push(header, block.data);
+    });
+    return Buffer.concat(parts);
+}
+
+function buildTaggedMetadata(existingBlocks, tags, picture = null) {
+    const streamInfo = existingBlocks.find(block => block.type === BLOCK_TYPE.STREAMINFO);
+    if (!streamInfo) {
+        throw new Error('FLAC stream has no STREAMINFO block.');
+    }
+
+    const replacesPicture = picture && picture.data && picture.data.length > 0;
+    const keptBlocks = existingBlocks.filter(block => {
+        if ([BLOCK_TYPE.STREAMINFO, BLOCK_TYPE.VORBIS_COMMENT, BLOCK_TYPE.PADDING].includes(block.type)) return false;
+        if (replacesPicture && block.type === BLOCK_TYPE.PICTURE) {
+            return parsePicture(block.data).pictureType !== (picture.pictureType ?? PICTURE_TYPE_FRONT_COVER);
+        }
+        return true;
+    });
+
+    const newBlocks = [streamInfo, ...keptBlocks, { type: BLOCK_TYPE.VORBIS_COMMENT, data: buildVorbisCommentBlock(normalizeComments(tags)) }];
+    if (replacesPicture) {
+        const pictureBlockData = buildPictureBlock(picture);
+        if (pictureBlockData.length <= MAX_METADATA_BLOCK_LENGTH) {
+            newBlocks.push({ type: BLOCK_TYPE.PICTURE, data: pictureBlockData });
+        } else {
+            console.warn(`Cover image is too large to embed (${picture.data.length} bytes). Skipping PICTURE block.`);
+        }
+    }
+    newBlocks.push({ type: BLOCK_TYPE.PADDING, data: Buffer.alloc(DEFAULT_PADDING_LENGTH) });
+    return serializeMetadataBlocks(newBlocks);
+}
+
+function writeFlacTags(flacBuffer, tags, picture = null) {
+    const { blocks, audioOffset } = parseMetadataBlocks(flacBuffer);
+    return Buffer.concat([buildTaggedMetadata(blocks, tags, picture), flacBuffer.subarray(audioOffset)]);
+}
+
+function parseStreamInfo(data) {
+    return {
+        sampleRate: (data.readUInt8(10) << 12) | (data.readUInt8(11) << 4) | (data.readUInt8(12) >> 4),
+        channels: ((data.readUInt8(12) >> 1) & 0x07) + 1,
+        bitsPerSample: (((data.readUInt8(12) & 0x01) << 4) | (data.readUInt8(13) >> 4)) + 1,
+    };
+}
+
+function extractTagsFromBlocks(blocks) {
+    const commentBlock = blocks.find(block => block.type === BLOCK_TYPE.VORBIS_COMMENT);
+    const { vendor, comments } = commentBlock ? parseVorbisComment(commentBlock.data) : { vendor: null, comments: [] };
+
+    const tags = {};
+    for (const [key, value] of comments) {
+        tags[key] = tags[key] ? [].concat(tags[key], value) : value;
+    }
+    const pictures = blocks.filter(block => block.type === BLOCK_TYPE.PICTURE).map(block => parsePicture(block.data));
+    const streamInfoBlock = blocks.find(block => block.type === BLOCK_TYPE.STREAMINFO);
+    const streamInfo = streamInfoBlock ? parseStreamInfo(streamInfoBlock.data) : null;
+    return { vendor, tags, pictures, streamInfo };
+}
+
+function readFlacTags(flacBuffer) {
+    return extractTagsFromBlocks(parseMetadataBlocks(flacBuffer).blocks);
+}
+
+async function readMetadataRegion(fileHandle) {
+    let buffer = Buffer.alloc(64 * 1024);
+    let bytesInBuffer = 0;
+
+    while (true) {
+        const { bytesRead } = await fileHandle.read(buffer, bytesInBuffer, buffer.length - bytesInBuffer, bytesInBuffer);
+        bytesInBuffer += bytesRead;
+        try {
+            return parseMetadataBlocks(buffer.subarray(0, bytesInBuffer));
+        } catch (error) {
+            if (bytesRead === 0 || !error.message.startsWith('Truncated FLAC metadata')) throw error;
+            const grownBuffer = Buffer.alloc(buffer.length * 2);
+            buffer.copy(grownBuffer, 0, 0, bytesInBuffer);
+            buffer = grownBuffer;
+        }
+    }
+}
+
+async function writeFlacTagsToFile(filePath, tags, picture = null) {
+    const fileHandle = await fs.open(filePath, 'r');
+    let metadata;
+    try {
+        metadata = await readMetadataRegion(fileHandle);
+    } finally {
+        await fileHandle.close();
+    }
+
+    const newHeader = buildTaggedMetadata(metadata.blocks, tags, picture);
+    const tempFilePath = `${filePath}.tagging`;
+    try {
+        const outputStream = createWriteStream(tempFilePath);
+        outputStream.write(newHeader);
+        await pipeline(createReadStream(filePath, { start: metadata.audioOffset }), outputStream);
+        await fs.rename(tempFilePath, filePath);
+    } catch (error) {
+        await fs.rm(tempFilePath, { force: true });
+        throw error;
+    }
+}
+
+async function readFlacTagsFromFile(filePath) {
+    const fileHandle = await fs.open(filePath, 'r');
+    try {
+        return extractTagsFromBlocks((await readMetadataRegion(fileHandle)).blocks);
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+async function isFlacFile(filePath) {
+    const fileHandle = await fs.open(filePath, 'r');
+    try {
+        const signature = Buffer.alloc(FLAC_MAGIC.length);
+        const { bytesRead } = await fileHandle.read(signature, 0, signature.length, 0);
+        return bytesRead === signature.length && isFlacBuffer(signature);
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+export {
+    writeFlacTags,
+    writeFlacTagsToFile,
+    readFlacTags,
+    readFlacTagsFromFile,
+    isFlacFile,
+    isFlacBuffer,
+    parseMetadataBlocks,
+    serializeMetadataBlocks,
+    readImageDimensions,
+    BLOCK_TYPE,
+};
@@ -0,0 +1,314 @@
+'use strict';
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { downloadSegments } from './downloader.mjs';
+import { PROGRESS_PHASES } from './progress.mjs';
+
+const PLAYLIST_TIMEOUT_MS = 30000;
+const AES_128_KEY_LENGTH = 16;
+const KEY_METHODS = {
+    NONE: 'NONE',
+    AES_128: 'AES-128',
+};
+
+// Media playlists are stored as one file per container type after the segments are joined.
+const CONTAINER_EXTENSIONS = {
+    TS: '.ts',
+    FMP4: '.mp4',
+    AAC: '.aac',
+};
+const PACKED_AUDIO_EXTENSIONS = ['.aac'];
+
+function parseAttributeList(text) {
+    const attributes = {};
+    const attributePattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    for (const [, name, rawValue] of text.matchAll(attributePattern)) {
+        attributes[name] = rawValue.startsWith('"') ? rawValue.slice(1, -1) : rawValue;
+    }
+    return attributes;
+}
+
+function splitTag(line) {
+    const separatorIndex = line.indexOf(':');
+    return separatorIndex === -1
+        ? { tag: line, value: '' }
+        : { tag: line.substring(0, separatorIndex), value: line.substring(separatorIndex + 1) };
+}
+
+function resolveUri(uri, baseUrl) {
+    return new URL(uri, baseUrl).href;
+}
+
+function parseByteRange(value, previousRange = null) {
+    const match = String(value).trim().match(/^(\d+)(?:@(\d+))?$/);
+    if (!match) {
+        throw new Error(`Invalid HLS byte range '${value}'.`);
+    }
+    const length = parseInt(match[1], 10);
+    const offset = match[2] !== undefined ? parseInt(match[2], 10) : (previousRange ? previousRange.offset + previousRange.length : null);
+    if (offset === null) {
+        throw new Error(`HLS byte range '${value}' has no offset and does not follow another range of the same resource.`);
+    }
+    return { offset, length };
+}
+
+function parseIv(value) {
+    const hex = value.replace(/^0x/i, '');
+    if (!/^[0-9a-f]{1,32}$/i.test(hex)) {
+        throw new Error(`Invalid HLS key IV '${value}'.`);
+    }
+    return Buffer.from(hex.padStart(32, '0'), 'hex');
+}
+
+function buildSequenceIv(mediaSequence) {
+    const iv = Buffer.alloc(16);
+    iv.writeBigUInt64BE(BigInt(mediaSequence), 8);
+    return iv;
+}
+
+function parseHlsMasterPlaylist(content, playlistUrl) {
+    const lines = content.split(/\r?\n/).map(line => line.trim());
+    const variants = [];
+    const renditions = [];
+    let pendingVariant = null;
+
+    for (const line of lines) {
+        if (!line) continue;
+        if (line.startsWith('#')) {
+            const { tag, value } = splitTag(line);
+            if (tag === '#EXT-X-STREAM-INF') {
+                pendingVariant = parseAttributeList(value);
+            } else if (tag === '#EXT-X-MEDIA') {
+                const attributes = parseAttributeList(value);
+                renditions.push({
+                    type: attributes.TYPE,
+                    groupId: attributes['GROUP-ID'],
+                    name: attributes.NAME || null,
+                    language: attributes.LANGUAGE || null,
+                    isDefault: attributes.DEFAULT === 'YES',
+                    url: attributes.URI ? resolveUri(attributes.URI, playlistUrl) : null,
+                });
+            }
+            continue;
+        }
+        if (pendingVariant) {
+            variants.push({
+                resolution: pendingVariant.RESOLUTION || 'Unknown',
+                bandwidth: parseInt(pendingVariant.BANDWIDTH, 10) || 0,
+                codecs: pendingVariant.CODECS || 'Unknown',
+                audioGroupId: pendingVariant.AUDIO || null,
+                url: resolveUri(line, playlistUrl),
+            });
+            pendingVariant = null;
+        }
+    }
+
+    // A media playlist served in place of a master playlist is treated as its only variant.
+    if (variants.length === 0 && lines.some(line => line.startsWith('#EXTINF'))) {
+        variants.push({ resolution: 'Unknown', bandwidth: 0, codecs: 'Unknown', audioGroupId: null, url: playlistUrl });
+    }
+    variants.sort((a, b) => b.bandwidth - a.bandwidth);
+    return { variants, renditions };
+}
+
+// Audio renditions without a URI are muxed into the variant stream itself.
+function selectAudioRendition(renditions, audioGroupId) {
+    if (!audioGroupId) return null;
+    const candidates = renditions.filter(rendition => rendition.type === 'AUDIO' && rendition.groupId === audioGroupId && rendition.url);
+    return candidates.find(rendition => rendition.isDefault) || candidates[0] || null;
+}
+
+function parseHlsMediaPlaylist(content, playlistUrl) {
+    const lines = content.split(/\r?\n/).map(line => line.trim());
+    const segments = [];
+    let mediaSequence = 0;
+    let currentKey = null;
+    let currentMap = null;
+    let pendingDuration = null;
+    let pendingByteRange = null;
+    let previousRange = null;
+    let isEndList = false;
+
+    for (const line of lines) {
+        if (!line) continue;
+        if (line.startsWith('#')) {
+            const { tag, value } = splitTag(line);
+            switch (tag) {
+                case '#EXT-X-MEDIA-SEQUENCE':
+                    mediaSequence = parseInt(value, 10) || 0;
+                    break;
+                case '#EXTINF':
+                    pendingDuration = parseFloat(value) || 0;
+                    break;
+                case '#EXT-X-BYTERANGE':
+                    pendingByteRange = value;
+                    break;
+                case '#EXT-X-KEY': {
+                    const attributes = parseAttributeList(value);
+                    if (attributes.METHOD === KEY_METHODS.NONE) {
+                        currentKey = null;
+                    } else if (attributes.METHOD === KEY_METHODS.AES_128) {
+                        if (!attributes.URI) throw new Error('HLS AES-128 key without a URI.');
+                        currentKey = { url: resolveUri(attributes.URI, playlistUrl), iv: attributes.IV ? parseIv(attributes.IV) : null };
+                    } else {
+                        throw new Error(`Unsupported HLS encryption method '${attributes.METHOD}'.`);
+                    }
+                    break;
+                }
+                case '#EXT-X-MAP': {
+                    const attributes = parseAttributeList(value);
+                    currentMap = {
+                        url: resolveUri(attributes.URI, playlistUrl),
+                        byteRange: attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE.includes('@') ? attributes.BYTERANGE : `${attributes.BYTERANGE}@0`) : null,
+                        key: currentKey,
+                    };
+                    break;
+                }
+                case '#EXT-X-ENDLIST':
+                    isEndList = true;
+                    break;
+                default:
+                    break;
+            }
+            continue;
+        }
+
+        const url = resolveUri(line, playlistUrl);
+        const sequence = mediaSequence + segments.length;
+        const byteRange = pendingByteRange
+            ? parseByteRange(pendingByteRange, previousRange?.url === url ? previousRange : null)
+            : null;
+        segments.push({
+            url,
+            sequence,
+            duration: pendingDuration,
+            byteRange,
+            key: currentKey ? { url: currentKey.url, iv: currentKey.iv || buildSequenceIv(sequence) } : null,
+            map: currentMap,
+        });
+        previousRange = byteRange ? { url, ...byteRange } : null;
+        pendingDuration = null;
+        pendingByteRange = null;
+    }
+
+    return { segments, mediaSequence, isEndList };
+}
+
+function getPlaylistContainerExtension({ segments }) {
+    if (segments.some(segment => segment.map)) return CONTAINER_EXTENSIONS.FMP4;
+    const firstExtension = segments.length > 0 ? path.extname(new URL(segments[0].url).pathname).toLowerCase() : '';
+    return PACKED_AUDIO_EXTENSIONS.includes(firstExtension) ? CONTAINER_EXTENSIONS.AAC : CONTAINER_EXTENSIONS.TS;
+}
+
+async function fetchHlsPlaylist(playlistUrl, headers = {}) {
+    const response = await axios.get(playlistUrl, { headers, responseType: 'text', timeout: PLAYLIST_TIMEOUT_MS });
+    return String(response.data);
+}
+
+async function fetchKey(keyUrl, headers, keyCache) {
+    if (!keyCache.has(keyUrl)) {
+        keyCache.set(keyUrl, axios.get(keyUrl, { headers, responseType: 'arraybuffer', timeout: PLAYLIST_TIMEOUT_MS }).then(response => {
+            const key = Buffer.from(response.data);
+            if (key.length !== AES_128_KEY_LENGTH) {
+                throw new Error(`HLS key ${keyUrl} is ${key.length} bytes long; expected ${AES_128_KEY_LENGTH}.`);
+            }
+            return key;
+        }));
+    }
+    return keyCache.get(keyUrl);
+}
+
+function decryptAes128(data, key, iv) {
+    const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+async function readResource(filePath, byteRange) {
+    if (!byteRange) return fs.readFile(filePath);
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(byteRange.length);
+        const { bytesRead } = await handle.read(buffer, 0, byteRange.length, byteRange.offset);
+        if (bytesRead !== byteRange.length) {
+            throw new Error(`${path.basename(filePath)} is shorter than its byte range ${byteRange.length}@${byteRange.offset}.`);
+        }
+        return buffer;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Byte-range segments usually share one resource, so every distinct URL is downloaded once and sliced locally.
+function planResourceDownloads(segments, filePrefix) {
+    const resourceFiles = new Map();
+    const addResource = (url) => {
+        if (!resourceFiles.has(url)) {
+            const extension = path.extname(new URL(url).pathname) || '.bin';
+            resourceFiles.set(url, `${filePrefix}_${String(resourceFiles.size + 1).padStart(5, '0')}${extension}`);
+        }
+    };
+    for (const segment of segments) {
+        if (segment.map) addResource(segment.map.url);
+        addResource(segment.url);
+    }
+    return resourceFiles;
+}
+
+async function readDecryptedPart(part, resourceFiles, tempDir, headers, keyCache, fallbackIv) {
+    const data = await readResource(path.join(tempDir, resourceFiles.get(part.url)), part.byteRange);
+    if (!part.key) return data;
+    const key = await fetchKey(part.key.url, headers, keyCache);
+    return decryptAes128(data, key, part.key.iv || fallbackIv);
+}
+
+// Joins all segments into `<outputPathWithoutExtension><ext>`; the extension follows the segment
+// container (.ts, .mp4 for fMP4 with an init map, or .aac for packed audio).
+async function downloadHlsMediaPlaylist(playlistUrl, outputPathWithoutExtension, { tempDir, headers = {}, downloadOptions = {}, filePrefix = 'segment' }) {
+    console.log(`Fetching media playlist: ${playlistUrl}`);
+    const playlist = parseHlsMediaPlaylist(await fetchHlsPlaylist(playlistUrl, headers), playlistUrl);
+    const { segments } = playlist;
+    if (segments.length === 0) {
+        throw new Error(`No segments found in the media playlist ${playlistUrl}.`);
+    }
+    const encryptedCount = segments.filter(segment => segment.key).length;
+    console.log(`Found ${segments.length} segment(s)${encryptedCount > 0 ? `, ${encryptedCount} encrypted with AES-128` : ''}.`);
+    downloadOptions.onProgress?.({ phase: PROGRESS_PHASES.MANIFEST, segmentCount: segments.length, stream: filePrefix });
+
+    const resourceFiles = planResourceDownloads(segments, filePrefix);
+    await fs.mkdir(tempDir, { recursive: true });
+    await downloadSegments([...resourceFiles].map(([url, fileName]) => ({ url, fileName })), tempDir, { headers, ...downloadOptions });
+
+    const outputFilePath = `${outputPathWithoutExtension}${getPlaylistContainerExtension(playlist)}`;
+    console.log(`Joining ${segments.length} segment(s) into ${outputFilePath}...`);
+    downloadOptions.onProgress?.({ phase: PROGRESS_PHASES.CONCATENATE, segmentCount: segments.length });
+    const keyCache = new Map();
+    const output = await fs.open(outputFilePath, 'w');
+    try {
+        let writtenMap = null;
+        for (const segment of segments) {
+            if (segment.map && segment.map !== writtenMap) {
+                await output.write(await readDecryptedPart(segment.map, resourceFiles, tempDir, headers, keyCache, buildSequenceIv(segment.sequence)));
+                writtenMap = segment.map;
+            }
+            await output.write(await readDecryptedPart(segment, resourceFiles, tempDir, headers, keyCache, null));
+        }
+    } catch (error) {
+        await output.close();
+        await fs.rm(outputFilePath, { force: true });
+        throw error;
+    }
+    await output.close();
+    return outputFilePath;
+}
+
+export {
+    parseHlsMasterPlaylist,
+    parseHlsMediaPlaylist,
+    selectAudioRendition,
+    fetchHlsPlaylist,
+    downloadHlsMediaPlaylist,
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import util from 'util';
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    CANCELLING: 'cancelling',
+    COMPLETED: 'completed',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+const FINISHED_JOB_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.SKIPPED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+// Maps the status of a queue entry result (see runQueueEntry in startup.mjs) to a job status.
+const RESULT_JOB_STATUSES = { success: JOB_STATUS.COMPLETED, skipped: JOB_STATUS.SKIPPED, failed: JOB_STATUS.FAILED };
+const MAX_LOG_LINES_PER_JOB = 500;
+const MAX_FINISHED_JOBS = 200;
+const CAPTURED_CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+// Progress events of the same phase are published at most this often; see PROGRESS_PHASES in progress.mjs.
+const PROGRESS_EVENT_INTERVAL_MS = 250;
+
+// Holds the log callback of the job whose code is currently running, across awaits.
+const jobLogContext = new AsyncLocalStorage();
+let isConsoleCaptureInstalled = false;
+
+// Console output written while a job runs still goes to the terminal, and is also added to that job's log.
+function installConsoleCapture() {
+    if (isConsoleCaptureInstalled) return;
+    isConsoleCaptureInstalled = true;
+    for (const method of CAPTURED_CONSOLE_METHODS) {
+        const writeToConsole = console[method].bind(console);
+        console[method] = (...args) => {
+            writeToConsole(...args);
+            jobLogContext.getStore()?.(util.format(...args));
+        };
+    }
+}
+
+function describeJob(job, { includeLog = false } = {}) {
+    return {
+        id: job.id,
+        number: job.number,
+        url: job.request.url,
+        quality: job.request.quality,
+        type: job.request.type,
+        itemId: job.request.itemId,
+        status: job.status,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        filePaths: job.filePaths,
+        error: job.error,
+        lastLogLine: job.log.length > 0 ? job.log[job.log.length - 1] : null,
+        progress: job.progress,
+        ...(includeLog ? { log: [...job.log] } : {}),
+    };
+}
+
+// `validateRequest(request)` normalizes a new job request or throws; `runJob(request, { signal, onProgress })` downloads
+// it and resolves to `{ status: 'success'|'skipped'|'failed', filePaths, error }`. Emits 'job' (job summary), 'log' and
+// 'progress' ({ jobId, phase, ...details }) events.
+function createJobQueue({ runJob, validateRequest = request => request, concurrency = 1 }) {
+    installConsoleCapture();
+    const events = new EventEmitter();
+    const jobs = new Map();
+    const pendingJobs = [];
+    let runningJobCount = 0;
+    let jobCount = 0;
+
+    const publish = job => events.emit('job', describeJob(job));
+
+    const appendLogLine = (job, line) => {
+        job.log.push(line);
+        if (job.log.length > MAX_LOG_LINES_PER_JOB) job.log.shift();
+        events.emit('log', { jobId: job.id, line });
+    };
+
+    const reportProgress = (job, event) => {
+        const isNewPhase = job.progress?.phase !== event.phase;
+        job.progress = event;
+        const now = Date.now();
+        if (!isNewPhase && now - job.progressPublishedAt < PROGRESS_EVENT_INTERVAL_MS) return;
+        job.progressPublishedAt = now;
+        events.emit('progress', { jobId: job.id, ...event });
+    };
+
+    const pruneFinishedJobs = () => {
+        const finishedJobs = [...jobs.values()].filter(job => FINISHED_JOB_STATUSES.includes(job.status));
+        for (const job of finishedJobs.slice(0, Math.max(0, finishedJobs.length - MAX_FINISHED_JOBS))) {
+            jobs.delete(job.id);
+        }
+    };
+
+    const finishJob = (job, status) => {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        job.progress = null;
+        publish(job);
+        pruneFinishedJobs();
+    };
+
+    async function runNextJob(job) {
+        runningJobCount++;
+        job.status = JOB_STATUS.RUNNING;
+        job.startedAt = new Date().toISOString();
+        publish(job);
+
+        let status;
+        try {
+            const runOptions = { signal: job.abortController.signal, onProgress: event => reportProgress(job, event) };
+            const result = await jobLogContext.run(line => appendLogLine(job, line), () => runJob(job.request, runOptions));
+            job.filePaths = result?.filePaths || [];
+            job.error = result?.error || null;
+            status = RESULT_JOB_STATUSES[result?.status] || JOB_STATUS.FAILED;
+        } catch (error) {
+            job.error = error.message;
+            status = JOB_STATUS.FAILED;
+        }
+        runningJobCount--;
+        finishJob(job, job.abortController.signal.aborted ? JOB_STATUS.CANCELLED : status);
+        startPendingJobs();
+    }
+
+    function startPendingJobs() {
+        while (runningJobCount < concurrency && pendingJobs.length > 0) {
+            runNextJob(pendingJobs.shift());
+        }
+    }
+
+    return {
+        events,
+
+        add(request) {
+            const validatedRequest = validateRequest(request);
+            const job = {
+                id: crypto.randomUUID(),
+                number: ++jobCount,
+                request: validatedRequest,
+                status: JOB_STATUS.QUEUED,
+                createdAt: new Date().toISOString(),
+                startedAt: null,
+                finishedAt: null,
+                filePaths: [],
+                error: null,
+                log: [],
+                progress: null,
+                progressPublishedAt: 0,
+                abortController: new AbortController(),
+            };
+            jobs.set(job.id, job);
+            pendingJobs.push(job);
+            publish(job);
+            startPendingJobs();
+            return describeJob(job);
+        },
+
+        list() {
+            return [...jobs.values()].map(job => describeJob(job));
+        },
+
+        get(jobId) {
+            const job = jobs.get(jobId);
+            return job ? describeJob(job, { includeLog: true }) : null;
+        },
+
+        // Queued jobs are cancelled right away; running jobs stop at their next download step.
+        cancel(jobId) {
+            const job = jobs.get(jobId);
+            if (!job) return null;
+            if (job.status === JOB_STATUS.QUEUED) {
+                pendingJobs.splice(pendingJobs.indexOf(job), 1);
+                job.abortController.abort();
+                finishJob(job, JOB_STATUS.CANCELLED);
+            } else if (job.status === JOB_STATUS.RUNNING) {
+                job.status = JOB_STATUS.CANCELLING;
+                job.abortController.abort();
+                publish(job);
+            }
+            return describeJob(job);
+        },
+    };
+}
+
+export { createJobQueue, JOB_STATUS };
@@ -1,5 +1,7 @@
 import { promises as fs } from 'fs';
 
+import { readSessionFile, writeSessionFile } from './tokenstore.mjs';
+
 const API_CLIENT_CONFIG = {
     clientId: '7m7Ap0JC9j1cOM3n',
     clientSecret: 'vRAdA108tlvkJpTsGZS8rGZ7xTlbJ0qaZ2K9saEzsgY=',
@@ -11,6 +13,13 @@ const SESSION_PERSISTENCE_FILE = 'tidal_session.json';
 const DEFAULT_HTTP_RETRY_DELAY_SECONDS = 20;
 const DEFAULT_FETCH_MAX_RETRIES = 3;
 const GENERIC_RETRY_BASE_MILLISECONDS = 2000;
+// Tokens are refreshed this long before they expire, so requests started just before expiry still succeed.
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const REFRESH_REJECTED_STATUSES = [400, 401];
+const REFRESH_REJECTED_ERROR = 'invalid_grant';
+
+// In-flight refreshes per session; concurrent requests wait for the same refresh instead of racing.
+const pendingTokenRefreshes = new WeakMap();
 
 class TidalAuthSession {
     constructor(initialSessionData = {}) {
@@ -25,6 +34,8 @@ class TidalAuthSession {
             accessToken: null,
             refreshToken: null,
             tokenExpiresAtTimestamp: null,
+            persistenceFile: SESSION_PERSISTENCE_FILE,
+            persistencePassphrase: null,
         };
         Object.assign(this, defaults, initialSessionData);
     }
@@ -66,7 +77,7 @@ class TidalAuthSession {
     }
 }
 
-async function persistSession(sessionInstance) {
+async function persistSession(sessionInstance, sessionFile = sessionInstance.persistenceFile) {
     const dataToPersist = {
         userId: sessionInstance.userId,
         countryCode: sessionInstance.countryCode,
@@ -75,26 +86,60 @@ async function persistSession(sessionInstance) {
         tokenExpiresAtTimestamp: sessionInstance.tokenExpiresAtTimestamp,
     };
     try {
-        await fs.writeFile(SESSION_PERSISTENCE_FILE, JSON.stringify(dataToPersist, null, 2));
-        console.log(`Session data saved to ${SESSION_PERSISTENCE_FILE}`);
+        await writeSessionFile(sessionFile, dataToPersist, { passphrase: sessionInstance.persistencePassphrase });
+        console.log(`Session data saved to ${sessionFile}${sessionInstance.persistencePassphrase ? ' (encrypted)' : ''}`);
     } catch (error) {
-        console.error(`Failed to save session to ${SESSION_PERSISTENCE_FILE}:`, error.message);
+        console.error(`Failed to save session to ${sessionFile}:`, error.message);
     }
 }
 
-async function retrievePersistedSession() {
+// With `encrypt`, plain-text session files are re-saved encrypted with the passphrase from `getPassphrase`.
+// Wrong passphrases throw instead of starting over, so an encrypted session is never replaced by accident.
+async function retrievePersistedSession(sessionFile = SESSION_PERSISTENCE_FILE, { quiet = false, encrypt = false, getPassphrase = null } = {}) {
+    const requirePassphrase = async ({ confirm }) => {
+        if (!getPassphrase) {
+            throw new Error(`The session file ${sessionFile} is encrypted, but no passphrase source was given.`);
+        }
+        return getPassphrase({ confirm });
+    };
+
+    let stored;
     try {
-        const rawData = await fs.readFile(SESSION_PERSISTENCE_FILE, 'utf8');
-        const loadedSessionData = JSON.parse(rawData);
-        console.log(`Session data loaded from ${SESSION_PERSISTENCE_FILE}`);
-        return new TidalAuthSession(loadedSessionData);
+        stored = await readSessionFile(sessionFile, { getPassphrase: requirePassphrase });
     } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log(`No session file found (${SESSION_PERSISTENCE_FILE}). A new session will be initiated.`);
-        } else {
-            console.warn(`Could not load session from ${SESSION_PERSISTENCE_FILE} (${error.message}). A new session will be initiated.`);
-        }
-        return new TidalAuthSession();
+        if (!(error instanceof SyntaxError) && !error.code) throw error;
+        console.warn(`Could not load session from ${sessionFile} (${error.message}). A new session will be initiated.`);
+        stored = null;
+    }
+    if (!stored) {
+        if (!quiet) console.log(`No usable session file found (${sessionFile}). A new session will be initiated.`);
+        return new TidalAuthSession({
+            persistenceFile: sessionFile,
+            persistencePassphrase: encrypt ? await requirePassphrase({ confirm: true }) : null,
+        });
+    }
+
+    if (!quiet) console.log(`Session data loaded from ${sessionFile}${stored.isEncrypted ? ' (encrypted)' : ''}`);
+    const session = new TidalAuthSession({ ...stored.data, persistenceFile: sessionFile, persistencePassphrase: stored.passphrase });
+    if (encrypt && !stored.isEncrypted) {
+        console.log(`Encrypting the existing session file ${sessionFile}...`);
+        session.persistencePassphrase = await requirePassphrase({ confirm: true });
+        await persistSession(session);
+    } else if (stored.hasLoosePermissions) {
+        console.log(`Restricting the permissions of ${sessionFile} to the current user...`);
+        await persistSession(session);
+    }
+    return session;
+}
+
+async function deletePersistedSession(sessionFile) {
+    try {
+        await fs.unlink(sessionFile);
+        console.log(`Session file ${sessionFile} deleted.`);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
     }
 }
 
@@ -228,14 +273,20 @@ async function attemptTokenRefresh(sessionInstance) {
         scope: API_CLIENT_CONFIG.scope
     });
 
-    const response = await fetchWithRetries(`${TIDAL_AUTH_BASE_URL}/token`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'Authorization': basicAuthToken
-        },
-        body: requestBody.toString()
-    });
+    let response;
+    try {
+        response = await fetchWithRetries(`${TIDAL_AUTH_BASE_URL}/token`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Authorization': basicAuthToken
+            },
+            body: requestBody.toString()
+        });
+    } catch (error) {
+        console.error(`Failed to refresh access token: ${error.message}. Keeping the current session.`);
+        return false;
+    }
 
     if (response.ok) {
         const tokenData = await response.json();
@@ -248,13 +299,79 @@ async function attemptTokenRefresh(sessionInstance) {
     const errorData = await parseErrorResponse(response);
     const userMessage = errorData.userMessage || errorData.error_description || errorData.messageFromStatus || 'Unknown token refresh error';
     console.error(`Failed to refresh access token: ${response.status} - ${userMessage}`);
-    sessionInstance.invalidateCurrentTokens();
-    await persistSession(sessionInstance);
+    // Only a rejected refresh token ends the session; server errors and rate limits keep it for a later attempt.
+    if (REFRESH_REJECTED_STATUSES.includes(response.status) && errorData.error === REFRESH_REJECTED_ERROR) {
+        sessionInstance.invalidateCurrentTokens();
+        await persistSession(sessionInstance);
+    } else {
+        console.warn("Keeping the current session; the refresh will be tried again later.");
+    }
     return false;
 }
 
-async function establishAuthenticatedSession() {
-    let currentSession = await retrievePersistedSession();
+function refreshAccessTokenOnce(sessionInstance) {
+    if (!pendingTokenRefreshes.has(sessionInstance)) {
+        const refresh = attemptTokenRefresh(sessionInstance).finally(() => pendingTokenRefreshes.delete(sessionInstance));
+        pendingTokenRefreshes.set(sessionInstance, refresh);
+    }
+    return pendingTokenRefreshes.get(sessionInstance);
+}
+
+// Returns an access token that is valid for at least TOKEN_REFRESH_MARGIN_MS, refreshing it when needed.
+// `rejectedToken` is the token a request just failed with (401); it forces a refresh unless another request already replaced it.
+async function ensureFreshAccessToken(sessionInstance, { rejectedToken = null } = {}) {
+    const expiresSoon = !sessionInstance.tokenExpiresAtTimestamp
+        || Date.now() >= sessionInstance.tokenExpiresAtTimestamp - TOKEN_REFRESH_MARGIN_MS;
+    const wasRejected = rejectedToken !== null && rejectedToken === sessionInstance.accessToken;
+    if (sessionInstance.accessToken && !expiresSoon && !wasRejected && !pendingTokenRefreshes.has(sessionInstance)) {
+        return sessionInstance.accessToken;
+    }
+
+    if (await refreshAccessTokenOnce(sessionInstance)) {
+        return sessionInstance.accessToken;
+    }
+    if (!wasRejected && sessionInstance.isAccessTokenCurrentlyValid()) {
+        return sessionInstance.accessToken;
+    }
+    if (sessionInstance.hasValidRefreshToken()) {
+        throw new Error('The Tidal access token has expired and the auth server could not refresh it right now. Try again later.');
+    }
+    throw new Error('The Tidal session has expired and could not be refreshed. Log in again with "node startup.mjs profile login".');
+}
+
+// Revokes the refresh token (and with it the access tokens issued from it) on Tidal's side.
+async function revokeSessionTokens(sessionInstance) {
+    const token = sessionInstance.refreshToken || sessionInstance.accessToken;
+    if (!token) {
+        return false;
+    }
+    const basicAuthToken = createBasicAuthHeader(API_CLIENT_CONFIG.clientId, API_CLIENT_CONFIG.clientSecret);
+    const requestBody = new URLSearchParams({
+        client_id: API_CLIENT_CONFIG.clientId,
+        token,
+        token_type_hint: sessionInstance.refreshToken ? 'refresh_token' : 'access_token',
+    });
+
+    const response = await fetchWithRetries(`${TIDAL_AUTH_BASE_URL}/revoke`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Authorization': basicAuthToken
+        },
+        body: requestBody.toString()
+    });
+
+    if (!response.ok) {
+        const errorData = await parseErrorResponse(response);
+        const userMessage = errorData.userMessage || errorData.error_description || errorData.messageFromStatus || 'Unknown revocation error';
+        throw new Error(`Failed to revoke the session tokens: ${response.status} - ${userMessage}`);
+    }
+    sessionInstance.invalidateCurrentTokens();
+    return true;
+}
+
+async function establishAuthenticatedSession({ sessionFile = SESSION_PERSISTENCE_FILE, encrypt = false, getPassphrase = null } = {}) {
+    let currentSession = await retrievePersistedSession(sessionFile, { encrypt, getPassphrase });
 
     if (currentSession.isAccessTokenCurrentlyValid()) {
         console.log("Valid access token found. Authentication successful (using existing session).");
@@ -267,9 +384,13 @@ async function establishAuthenticatedSession() {
             console.log("Authentication successful (token refreshed).");
             return currentSession;
         }
+        // attemptTokenRefresh only drops the refresh token when Tidal rejected it; after an outage it is kept.
+        if (currentSession.hasValidRefreshToken()) {
+            throw new Error('The auth server could not refresh the access token right now. The stored session was kept; try again later.');
+        }
     }
 
-    console.log("No valid session or refresh failed. Initiating new device authentication.");
+    console.log("No valid session or the refresh token was rejected. Initiating new device authentication.");
     currentSession.invalidateCurrentTokens();
     try {
         await requestDeviceCode(currentSession);
@@ -291,7 +412,10 @@ export {
     TidalAuthSession as TidalSession,
     persistSession as saveSession,
     retrievePersistedSession as loadSession,
+    deletePersistedSession as deleteSession,
+    revokeSessionTokens as revokeSession,
     attemptTokenRefresh as refreshAccessToken,
+    ensureFreshAccessToken,
     requestDeviceCode as getDeviceCode,
     pollForDeviceAccessToken as pollForToken,
     API_CLIENT_CONFIG as API_CLIENT
@@ -0,0 +1,79 @@
+'use strict';
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { describeApiError, TidalApiError } from './api.mjs';
+
+const LYRICS_STATUS = {
+    SYNCED: 'synced',
+    PLAIN: 'plain',
+    MISSING: 'missing',
+};
+
+const SYNCED_LYRICS_EXTENSION = '.lrc';
+const PLAIN_LYRICS_EXTENSION = '.txt';
+const LRC_TIMESTAMP_PATTERN = /^\s*\[\d{1,2}:\d{2}(?:[.:]\d{1,3})?\]/m;
+
+function isSyncedLyrics(text) {
+    return typeof text === 'string' && LRC_TIMESTAMP_PATTERN.test(text);
+}
+
+async function fetchTrackLyrics(trackId, { client }) {
+    try {
+        const data = await client.get(`/tracks/${trackId}/lyrics`);
+        const synced = isSyncedLyrics(data?.subtitles) ? data.subtitles.trim() : null;
+        const plain = typeof data?.lyrics === 'string' && data.lyrics.trim() ? data.lyrics.trim() : null;
+        if (!synced && !plain) return null;
+        return { synced, plain, provider: data.lyricsProvider || null };
+    } catch (error) {
+        if (error instanceof TidalApiError && error.status === 404) return null;
+        throw error;
+    }
+}
+
+function buildLyricsSidecarPath(audioFilePath, extension) {
+    const parsedPath = path.parse(audioFilePath);
+    return path.join(parsedPath.dir, `${parsedPath.name}${extension}`);
+}
+
+// Never throws: a missing or failing lyrics lookup must not fail the track download.
+async function saveTrackLyrics(audioFilePath, trackId, { client, writeSidecar = true }) {
+    let lyrics;
+    try {
+        lyrics = await fetchTrackLyrics(trackId, { client });
+    } catch (error) {
+        console.warn(`Could not fetch lyrics for track ${trackId}: ${describeApiError(error)}`);
+        return { status: LYRICS_STATUS.MISSING, filePath: null, text: null };
+    }
+    if (!lyrics) {
+        return { status: LYRICS_STATUS.MISSING, filePath: null, text: null };
+    }
+
+    const status = lyrics.synced ? LYRICS_STATUS.SYNCED : LYRICS_STATUS.PLAIN;
+    const text = lyrics.synced || lyrics.plain;
+    let filePath = null;
+    if (writeSidecar) {
+        filePath = buildLyricsSidecarPath(audioFilePath, lyrics.synced ? SYNCED_LYRICS_EXTENSION : PLAIN_LYRICS_EXTENSION);
+        try {
+            await fs.writeFile(filePath, `${text}\n`);
+            console.log(`Saved ${status} lyrics to ${filePath}`);
+        } catch (error) {
+            console.warn(`Could not write lyrics file ${filePath}: ${error.message}`);
+            filePath = null;
+        }
+    }
+    return { status, filePath, text };
+}
+
+function countLyricsStatuses(entries) {
+    const counts = { synced: 0, plain: 0, missing: 0 };
+    for (const entry of entries) {
+        if (entry.lyrics && counts[entry.lyrics] !== undefined) {
+            counts[entry.lyrics]++;
+        }
+    }
+    return counts;
+}
+
+export { saveTrackLyrics, fetchTrackLyrics, countLyricsStatuses, LYRICS_STATUS };
@@ -0,0 +1,120 @@
+'use strict';
+
+import path from 'path';
+import { parseStringPromise } from 'xml2js';
+
+const MANIFEST_FORMAT = {
+    DASH: 'dash',
+    BTS: 'bts',
+};
+
+const MANIFEST_MIME_TYPES = {
+    'application/dash+xml': MANIFEST_FORMAT.DASH,
+    'application/vnd.tidal.bts': MANIFEST_FORMAT.BTS,
+};
+
+const SUPPORTED_ENCRYPTION_TYPES = ['NONE'];
+
+function buildSegmentBasename(segmentUrl, fallbackName) {
+    try {
+        const baseName = path.basename(new URL(segmentUrl, 'http://dummybase').pathname);
+        return baseName || fallbackName;
+    } catch (e) {
+        return fallbackName;
+    }
+}
+
+async function parseDashManifest(manifestXml) {
+    const parsedXml = await parseStringPromise(manifestXml);
+
+    const adaptationSet = parsedXml?.MPD?.Period?.[0]?.AdaptationSet?.[0];
+    const representation = adaptationSet?.Representation?.[0];
+    if (!representation) {
+        throw new Error('Could not find Representation element in XML manifest.');
+    }
+    const mimeType = representation.$?.mimeType || adaptationSet.$?.mimeType || null;
+    const codecs = representation.$?.codecs || adaptationSet.$?.codecs || null;
+
+    const segmentTemplate = representation.SegmentTemplate?.[0];
+    if (!segmentTemplate) {
+        throw new Error('Could not find SegmentTemplate element in XML manifest.');
+    }
+
+    const initializationUrlPath = segmentTemplate.$?.initialization;
+    const mediaUrlTemplate = segmentTemplate.$?.media;
+    const startNumberStr = segmentTemplate.$?.startNumber;
+
+    if (!initializationUrlPath || !mediaUrlTemplate || !startNumberStr) {
+        throw new Error('Manifest SegmentTemplate is missing critical attributes (initialization, media, or startNumber).');
+    }
+
+    const segmentTimelineSlices = segmentTemplate.SegmentTimeline?.[0]?.S;
+    if (!segmentTimelineSlices || !Array.isArray(segmentTimelineSlices) || segmentTimelineSlices.length === 0) {
+        throw new Error('Manifest SegmentTimeline S array is missing or empty.');
+    }
+
+    const segmentUrls = [initializationUrlPath];
+    const segmentBasenames = [path.basename(new URL(initializationUrlPath, 'http://dummybase').pathname)]; // Base URL for relative paths
+
+    let currentSegmentNumber = parseInt(startNumberStr, 10);
+    segmentTimelineSlices.forEach(segment => {
+        const repeatCount = segment.$.r ? parseInt(segment.$.r, 10) : 0;
+        for (let i = 0; i <= repeatCount; i++) {
+            const mediaUrl = mediaUrlTemplate.replace('$Number$', currentSegmentNumber.toString());
+            segmentUrls.push(mediaUrl);
+            segmentBasenames.push(path.basename(new URL(mediaUrl, 'http://dummybase').pathname).replace(/\?.*/, ''));
+            currentSegmentNumber++;
+        }
+    });
+
+    return { format: MANIFEST_FORMAT.DASH, segmentUrls, segmentBasenames, mimeType, codecs, encryptionType: 'NONE' };
+}
+
+function parseBtsManifest(manifestJson) {
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestJson);
+    } catch (error) {
+        throw new Error(`BTS manifest is not valid JSON: ${error.message}`);
+    }
+
+    const encryptionType = manifest.encryptionType || 'NONE';
+    if (!SUPPORTED_ENCRYPTION_TYPES.includes(encryptionType)) {
+        throw new Error(`Unsupported manifest encryption type '${encryptionType}'. Only unencrypted streams (NONE) can be downloaded.`);
+    }
+    if (!Array.isArray(manifest.urls) || manifest.urls.length === 0) {
+        throw new Error('BTS manifest does not contain any URLs.');
+    }
+
+    const segmentUrls = [...manifest.urls];
+    const segmentBasenames = segmentUrls.map((url, index) => buildSegmentBasename(url, `part_${index + 1}`));
+    if (new Set(segmentBasenames).size !== segmentBasenames.length) {
+        throw new Error('BTS manifest contains URLs that resolve to the same file name.');
+    }
+
+    return {
+        format: MANIFEST_FORMAT.BTS,
+        segmentUrls,
+        segmentBasenames,
+        mimeType: manifest.mimeType || null,
+        codecs: manifest.codecs || null,
+        encryptionType,
+    };
+}
+
+async function parsePlaybackManifest(playbackData) {
+    if (!playbackData?.manifest) {
+        throw new Error('Playback info response does not contain a manifest.');
+    }
+
+    const manifestMimeType = playbackData.manifestMimeType || 'application/dash+xml';
+    const format = MANIFEST_MIME_TYPES[manifestMimeType];
+    if (!format) {
+        throw new Error(`Unsupported manifest type '${manifestMimeType}'.`);
+    }
+
+    const manifestContent = Buffer.from(playbackData.manifest, 'base64').toString('utf8');
+    return format === MANIFEST_FORMAT.BTS ? parseBtsManifest(manifestContent) : parseDashManifest(manifestContent);
+}
+
+export { parsePlaybackManifest, parseDashManifest, parseBtsManifest, MANIFEST_FORMAT };
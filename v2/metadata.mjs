@@ -0,0 +1,110 @@
+'use strict';
+
+const METADATA_TYPE = {
+    TRACK: 'track',
+    ALBUM: 'album',
+    VIDEO: 'video',
+};
+
+function normalizeArtists(item) {
+    const artists = Array.isArray(item?.artists) && item.artists.length > 0
+        ? item.artists
+        : (item?.artist ? [item.artist] : []);
+    return artists
+        .filter(artist => artist?.name)
+        .map(artist => ({ id: artist.id ?? null, name: artist.name, type: artist.type || null }));
+}
+
+function toReleaseDate(...candidates) {
+    const date = candidates.find(candidate => typeof candidate === 'string' && /^\d{4}/.test(candidate));
+    return date ? date.substring(0, 10) : null;
+}
+
+function toNumberOrNull(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+function normalizeAlbumMetadata(album) {
+    return {
+        type: METADATA_TYPE.ALBUM,
+        id: album.id,
+        title: album.title,
+        version: album.version || null,
+        artists: normalizeArtists(album),
+        releaseDate: toReleaseDate(album.releaseDate, album.streamStartDate),
+        numberOfTracks: toNumberOrNull(album.numberOfTracks),
+        numberOfVolumes: album.numberOfVolumes || 1,
+        duration: toNumberOrNull(album.duration),
+        explicit: Boolean(album.explicit),
+        upc: album.upc || null,
+        copyright: album.copyright || null,
+        coverId: album.cover || null,
+    };
+}
+
+// `album` is the full /albums/{id} response when available; track listings only embed {id, title, cover}.
+function normalizeTrackMetadata(track, album = null) {
+    const albumMetadata = album
+        ? (album.type === METADATA_TYPE.ALBUM ? album : normalizeAlbumMetadata(album))
+        : (track.album?.id ? normalizeAlbumMetadata(track.album) : null);
+    return {
+        type: METADATA_TYPE.TRACK,
+        id: track.id,
+        title: track.title,
+        version: track.version || null,
+        artists: normalizeArtists(track),
+        album: albumMetadata,
+        trackNumber: toNumberOrNull(track.trackNumber),
+        discNumber: track.volumeNumber || 1,
+        isrc: track.isrc || null,
+        duration: toNumberOrNull(track.duration),
+        explicit: Boolean(track.explicit),
+        releaseDate: toReleaseDate(albumMetadata?.releaseDate, track.streamStartDate),
+        copyright: track.copyright || albumMetadata?.copyright || null,
+        replayGain: toNumberOrNull(track.replayGain),
+        peak: toNumberOrNull(track.peak),
+        coverId: albumMetadata?.coverId || track.album?.cover || null,
+    };
+}
+
+function normalizeVideoMetadata(video) {
+    return {
+        type: METADATA_TYPE.VIDEO,
+        id: video.id,
+        title: video.title,
+        version: video.version || null,
+        artists: normalizeArtists(video),
+        album: video.album?.id ? normalizeAlbumMetadata(video.album) : null,
+        trackNumber: toNumberOrNull(video.trackNumber),
+        discNumber: video.volumeNumber || 1,
+        isrc: video.isrc || null,
+        duration: toNumberOrNull(video.duration),
+        explicit: Boolean(video.explicit),
+        releaseDate: toReleaseDate(video.releaseDate, video.streamStartDate),
+        coverId: video.imageId || null,
+    };
+}
+
+async function fetchAlbumMetadata(albumId, { client }) {
+    return normalizeAlbumMetadata(await client.get(`/albums/${albumId}`));
+}
+
+async function fetchTrackMetadata(trackId, { client, includeAlbum = true }) {
+    const track = await client.get(`/tracks/${trackId}`);
+    const album = includeAlbum && track.album?.id ? await fetchAlbumMetadata(track.album.id, { client }) : null;
+    return normalizeTrackMetadata(track, album);
+}
+
+async function fetchVideoMetadata(videoId, { client }) {
+    return normalizeVideoMetadata(await client.get(`/videos/${videoId}`));
+}
+
+export {
+    fetchTrackMetadata,
+    fetchAlbumMetadata,
+    fetchVideoMetadata,
+    normalizeTrackMetadata,
+    normalizeAlbumMetadata,
+    normalizeVideoMetadata,
+    METADATA_TYPE,
+};
@@ -0,0 +1,623 @@
+'use strict';
+
+import { promises as fs } from 'fs';
+
+const BOX_HEADER_SIZE = 8;
+const LARGE_BOX_HEADER_SIZE = 16;
+const AUDIO_SAMPLE_ENTRY_SIZE = 28;
+const FLAC_MAGIC = 'fLaC';
+const UINT32_MAX = 0xFFFFFFFF;
+const FILE_COPY_CHUNK_SIZE = 1024 * 1024;
+const TEMP_TAGGING_SUFFIX = '.tagging';
+
+// iTunes-style freeform ('----') tags, used for values without a standard atom.
+const FREEFORM_TAG_MEAN = 'com.apple.iTunes';
+const MP4_UTF8_DATA_TYPE = 1;
+
+const TFHD_FLAGS = {
+    BASE_DATA_OFFSET: 0x01,
+    SAMPLE_DESCRIPTION_INDEX: 0x02,
+    DEFAULT_SAMPLE_DURATION: 0x08,
+    DEFAULT_SAMPLE_SIZE: 0x10,
+    DEFAULT_SAMPLE_FLAGS: 0x20,
+};
+
+const TRUN_FLAGS = {
+    DATA_OFFSET: 0x01,
+    FIRST_SAMPLE_FLAGS: 0x04,
+    SAMPLE_DURATION: 0x100,
+    SAMPLE_SIZE: 0x200,
+    SAMPLE_FLAGS: 0x400,
+    SAMPLE_COMPOSITION_TIME_OFFSET: 0x800,
+};
+
+function readBoxHeader(buffer, offset, end) {
+    if (offset + BOX_HEADER_SIZE > end) return null;
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = BOX_HEADER_SIZE;
+
+    if (size === 1) {
+        if (offset + LARGE_BOX_HEADER_SIZE > end) return null;
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = LARGE_BOX_HEADER_SIZE;
+    } else if (size === 0) {
+        size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) {
+        throw new Error(`Invalid MP4 box '${type}' at offset ${offset} (size ${size}).`);
+    }
+    return { type, start: offset, headerSize, size, dataStart: offset + headerSize, end: offset + size };
+}
+
+function parseBoxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let offset = start;
+    while (offset < end) {
+        const box = readBoxHeader(buffer, offset, end);
+        if (!box) break;
+        boxes.push(box);
+        offset = box.end;
+    }
+    return boxes;
+}
+
+function findBox(buffer, boxPath, start = 0, end = buffer.length) {
+    let currentBox = null;
+    let rangeStart = start;
+    let rangeEnd = end;
+    for (const type of boxPath) {
+        currentBox = parseBoxes(buffer, rangeStart, rangeEnd).find(box => box.type === type);
+        if (!currentBox) return null;
+        rangeStart = currentBox.dataStart;
+        rangeEnd = currentBox.end;
+    }
+    return currentBox;
+}
+
+function uint32(...values) {
+    const buffer = Buffer.alloc(values.length * 4);
+    values.forEach((value, index) => buffer.writeUInt32BE(value >>> 0, index * 4));
+    return buffer;
+}
+
+function buildBox(type, ...payloads) {
+    const payload = Buffer.concat(payloads);
+    const header = Buffer.alloc(BOX_HEADER_SIZE);
+    header.writeUInt32BE(BOX_HEADER_SIZE + payload.length, 0);
+    header.write(type, 4, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+function buildFullBox(type, version, flags, ...payloads) {
+    return buildBox(type, uint32(((version & 0xFF) << 24) | (flags & 0xFFFFFF)), ...payloads);
+}
+
+function buildRunLengthEntries(values) {
+    const entries = [];
+    for (const value of values) {
+        const lastEntry = entries[entries.length - 1];
+        if (lastEntry && lastEntry.value === value) {
+            lastEntry.count++;
+        } else {
+            entries.push({ value, count: 1 });
+        }
+    }
+    return entries;
+}
+
+function buildSampleTableBoxes({ sampleDurations, sampleSizes, chunkSampleCounts, chunkOffsets, compositionOffsets = null, syncSamples = null }) {
+    const sttsEntries = buildRunLengthEntries(sampleDurations);
+    const stts = buildFullBox('stts', 0, 0, uint32(sttsEntries.length), ...sttsEntries.map(entry => uint32(entry.count, entry.value)));
+
+    const stscEntries = [];
+    chunkSampleCounts.forEach((sampleCount, chunkIndex) => {
+        const lastEntry = stscEntries[stscEntries.length - 1];
+        if (!lastEntry || lastEntry.sampleCount !== sampleCount) {
+            stscEntries.push({ firstChunk: chunkIndex + 1, sampleCount });
+        }
+    });
+    const stsc = buildFullBox('stsc', 0, 0, uint32(stscEntries.length), ...stscEntries.map(entry => uint32(entry.firstChunk, entry.sampleCount, 1)));
+
+    const stsz = buildFullBox('stsz', 0, 0, uint32(0, sampleSizes.length), uint32(...sampleSizes));
+
+    const needsLargeOffsets = chunkOffsets.some(offset => offset > UINT32_MAX);
+    const chunkOffsetBox = needsLargeOffsets
+        ? buildFullBox('co64', 0, 0, uint32(chunkOffsets.length), ...chunkOffsets.map(offset => {
+            const entry = Buffer.alloc(8);
+            entry.writeBigUInt64BE(BigInt(offset));
+            return entry;
+        }))
+        : buildFullBox('stco', 0, 0, uint32(chunkOffsets.length, ...chunkOffsets));
+
+    const boxes = [stts];
+    if (compositionOffsets && compositionOffsets.some(offset => offset !== 0)) {
+        const cttsEntries = buildRunLengthEntries(compositionOffsets);
+        boxes.push(buildFullBox('ctts', 1, 0, uint32(cttsEntries.length), ...cttsEntries.map(entry => uint32(entry.count, entry.value))));
+    }
+    boxes.push(stsc, stsz, chunkOffsetBox);
+    if (syncSamples && syncSamples.length < sampleSizes.length) {
+        boxes.push(buildFullBox('stss', 0, 0, uint32(syncSamples.length, ...syncSamples)));
+    }
+    return boxes;
+}
+
+function readFullBoxVersion(buffer, box) {
+    return buffer.readUInt8(box.dataStart);
+}
+
+function parseInitSegment(buffer) {
+    const moov = findBox(buffer, ['moov']);
+    if (!moov) {
+        throw new Error('Initialization segment has no moov box.');
+    }
+    const trak = findBox(buffer, ['trak'], moov.dataStart, moov.end);
+    const mdhd = trak && findBox(buffer, ['mdia', 'mdhd'], trak.dataStart, trak.end);
+    const stsd = trak && findBox(buffer, ['mdia', 'minf', 'stbl', 'stsd'], trak.dataStart, trak.end);
+    if (!mdhd || !stsd) {
+        throw new Error('Initialization segment is missing the track media header or sample description.');
+    }
+
+    const mdhdVersion = readFullBoxVersion(buffer, mdhd);
+    const timescale = buffer.readUInt32BE(mdhd.dataStart + (mdhdVersion === 1 ? 20 : 12));
+    const sampleEntry = parseBoxes(buffer, stsd.dataStart + 8, stsd.end)[0];
+    if (!sampleEntry) {
+        throw new Error('Sample description box has no entries.');
+    }
+
+    const defaults = { sampleDuration: 0, sampleSize: 0 };
+    const trex = findBox(buffer, ['mvex', 'trex'], moov.dataStart, moov.end);
+    if (trex) {
+        defaults.sampleDuration = buffer.readUInt32BE(trex.dataStart + 12);
+        defaults.sampleSize = buffer.readUInt32BE(trex.dataStart + 16);
+    }
+
+    return { buffer, moov, trak, timescale, sampleEntry, defaults };
+}
+
+function parseFragmentSamples(buffer, defaults) {
+    const samples = [];
+
+    for (const moof of parseBoxes(buffer).filter(box => box.type === 'moof')) {
+        for (const traf of parseBoxes(buffer, moof.dataStart, moof.end).filter(box => box.type === 'traf')) {
+            const tfhd = findBox(buffer, ['tfhd'], traf.dataStart, traf.end);
+            if (!tfhd) {
+                throw new Error('Track fragment has no tfhd box.');
+            }
+            let cursor = tfhd.dataStart;
+            const tfhdFlags = buffer.readUInt32BE(cursor) & 0xFFFFFF;
+            cursor += 8;
+
+            let baseDataOffset = moof.start;
+            if (tfhdFlags & TFHD_FLAGS.BASE_DATA_OFFSET) {
+                baseDataOffset = Number(buffer.readBigUInt64BE(cursor));
+                cursor += 8;
+            }
+            if (tfhdFlags & TFHD_FLAGS.SAMPLE_DESCRIPTION_INDEX) cursor += 4;
+            let defaultDuration = defaults.sampleDuration;
+            if (tfhdFlags & TFHD_FLAGS.DEFAULT_SAMPLE_DURATION) {
+                defaultDuration = buffer.readUInt32BE(cursor);
+                cursor += 4;
+            }
+            let defaultSize = defaults.sampleSize;
+            if (tfhdFlags & TFHD_FLAGS.DEFAULT_SAMPLE_SIZE) {
+                defaultSize = buffer.readUInt32BE(cursor);
+            }
+
+            let nextDataOffset = baseDataOffset;
+            for (const trun of parseBoxes(buffer, traf.dataStart, traf.end).filter(box => box.type === 'trun')) {
+                let trunCursor = trun.dataStart;
+                const trunVersion = buffer.readUInt8(trunCursor);
+                const trunFlags = buffer.readUInt32BE(trunCursor) & 0xFFFFFF;
+                const sampleCount = buffer.readUInt32BE(trunCursor + 4);
+                trunCursor += 8;
+
+                if (trunFlags & TRUN_FLAGS.DATA_OFFSET) {
+                    nextDataOffset = baseDataOffset + buffer.readInt32BE(trunCursor);
+                    trunCursor += 4;
+                }
+                if (trunFlags & TRUN_FLAGS.FIRST_SAMPLE_FLAGS) trunCursor += 4;
+
+                for (let i = 0; i < sampleCount; i++) {
+                    let duration = defaultDuration;
+                    let size = defaultSize;
+                    let compositionOffset = 0;
+                    if (trunFlags & TRUN_FLAGS.SAMPLE_DURATION) {
+                        duration = buffer.readUInt32BE(trunCursor);
+                        trunCursor += 4;
+                    }
+                    if (trunFlags & TRUN_FLAGS.SAMPLE_SIZE) {
+                        size = buffer.readUInt32BE(trunCursor);
+                        trunCursor += 4;
+                    }
+                    if (trunFlags & TRUN_FLAGS.SAMPLE_FLAGS) trunCursor += 4;
+                    if (trunFlags & TRUN_FLAGS.SAMPLE_COMPOSITION_TIME_OFFSET) {
+                        compositionOffset = trunVersion === 1 ? buffer.readInt32BE(trunCursor) : buffer.readUInt32BE(trunCursor);
+                        trunCursor += 4;
+                    }
+                    if (nextDataOffset + size > buffer.length) {
+                        throw new Error('Fragment sample data extends past the end of the segment.');
+                    }
+                    samples.push({ offset: nextDataOffset, size, duration, compositionOffset });
+                    nextDataOffset += size;
+                }
+            }
+        }
+    }
+    return samples;
+}
+
+// A missing segment would leave a gap in the audio, so it fails the whole file.
+async function readSegmentFiles(segmentPaths, onSegment) {
+    for (const segmentPath of segmentPaths) {
+        let segmentData;
+        try {
+            segmentData = await fs.readFile(segmentPath);
+        } catch (readError) {
+            throw new Error(`Segment ${segmentPath} is missing or unreadable: ${readError.message}`);
+        }
+        await onSegment(segmentData, segmentPath);
+    }
+}
+
+function patchFlacTotalSamples(metadataBlocks, totalSamples) {
+    const streamInfoType = metadataBlocks.readUInt8(0) & 0x7F;
+    if (streamInfoType !== 0 || metadataBlocks.length < 4 + 18) return;
+
+    const totalSamplesOffset = 4 + 13;
+    const currentHigh = metadataBlocks.readUInt8(totalSamplesOffset) & 0x0F;
+    const currentLow = metadataBlocks.readUInt32BE(totalSamplesOffset + 1);
+    if (currentHigh !== 0 || currentLow !== 0 || totalSamples <= 0) return;
+
+    const high = Math.floor(totalSamples / 0x100000000) & 0x0F;
+    metadataBlocks.writeUInt8((metadataBlocks.readUInt8(totalSamplesOffset) & 0xF0) | high, totalSamplesOffset);
+    metadataBlocks.writeUInt32BE(totalSamples % 0x100000000, totalSamplesOffset + 1);
+}
+
+async function demuxFragmentedFlac(segmentPaths, outputFilePath) {
+    const [initPath, ...mediaPaths] = segmentPaths;
+    const init = parseInitSegment(await fs.readFile(initPath));
+    if (init.sampleEntry.type !== FLAC_MAGIC) {
+        throw new Error(`Expected a FLAC sample entry but found '${init.sampleEntry.type}'.`);
+    }
+    const dfLa = parseBoxes(init.buffer, init.sampleEntry.dataStart + AUDIO_SAMPLE_ENTRY_SIZE, init.sampleEntry.end).find(box => box.type === 'dfLa');
+    if (!dfLa) {
+        throw new Error('FLAC sample entry has no dfLa (FLAC specific) box.');
+    }
+    const metadataBlocks = Buffer.from(init.buffer.subarray(dfLa.dataStart + 4, dfLa.end));
+    const header = Buffer.concat([Buffer.from(FLAC_MAGIC, 'latin1'), metadataBlocks]);
+
+    const outputHandle = await fs.open(outputFilePath, 'w');
+    let totalSamples = 0;
+    let isComplete = false;
+    try {
+        await outputHandle.write(header);
+        await readSegmentFiles(mediaPaths, async (segmentData) => {
+            for (const sample of parseFragmentSamples(segmentData, init.defaults)) {
+                await outputHandle.write(segmentData, sample.offset, sample.size);
+                totalSamples += sample.duration;
+            }
+        });
+        patchFlacTotalSamples(metadataBlocks, totalSamples);
+        await outputHandle.write(Buffer.concat([Buffer.from(FLAC_MAGIC, 'latin1'), metadataBlocks]), 0, header.length, 0);
+        isComplete = true;
+    } finally {
+        await outputHandle.close();
+        if (!isComplete) await fs.rm(outputFilePath, { force: true });
+    }
+}
+
+function patchDuration(buffer, box, durationOffsets, duration) {
+    const patched = Buffer.from(buffer.subarray(box.start, box.end));
+    const version = readFullBoxVersion(buffer, box);
+    const offset = box.headerSize + durationOffsets[version === 1 ? 1 : 0];
+    if (version === 1) {
+        patched.writeBigUInt64BE(BigInt(duration), offset);
+    } else {
+        patched.writeUInt32BE(Math.min(duration, UINT32_MAX), offset);
+    }
+    return patched;
+}
+
+function rebuildContainerBox(buffer, box, transformChild) {
+    const childBuffers = [];
+    for (const child of parseBoxes(buffer, box.dataStart, box.end)) {
+        const result = transformChild(child);
+        if (result) childBuffers.push(result);
+    }
+    return buildBox(box.type, ...childBuffers);
+}
+
+function buildProgressiveMoov(init, sampleTable, mediaDuration) {
+    const { buffer, moov } = init;
+    const copyBox = (box) => buffer.subarray(box.start, box.end);
+    const mvhd = findBox(buffer, ['mvhd'], moov.dataStart, moov.end);
+    const movieTimescale = buffer.readUInt32BE(mvhd.dataStart + (readFullBoxVersion(buffer, mvhd) === 1 ? 20 : 12));
+    const movieDuration = Math.round(mediaDuration * movieTimescale / init.timescale);
+
+    return rebuildContainerBox(buffer, moov, (moovChild) => {
+        if (moovChild.type === 'mvhd') return patchDuration(buffer, moovChild, [16, 24], movieDuration);
+        if (moovChild.type === 'mvex' || moovChild.type === 'pssh') return null;
+        if (moovChild.type !== 'trak') return copyBox(moovChild);
+
+        return rebuildContainerBox(buffer, moovChild, (trakChild) => {
+            if (trakChild.type === 'tkhd') return patchDuration(buffer, trakChild, [20, 28], movieDuration);
+            if (trakChild.type === 'edts') return null;
+            if (trakChild.type !== 'mdia') return copyBox(trakChild);
+
+            return rebuildContainerBox(buffer, trakChild, (mdiaChild) => {
+                if (mdiaChild.type === 'mdhd') return patchDuration(buffer, mdiaChild, [16, 24], mediaDuration);
+                if (mdiaChild.type !== 'minf') return copyBox(mdiaChild);
+
+                return rebuildContainerBox(buffer, mdiaChild, (minfChild) => {
+                    if (minfChild.type !== 'stbl') return copyBox(minfChild);
+                    const stsd = findBox(buffer, ['stsd'], minfChild.dataStart, minfChild.end);
+                    return buildBox('stbl', copyBox(stsd), ...buildSampleTableBoxes(sampleTable));
+                });
+            });
+        });
+    });
+}
+
+function buildFileTypeBox(majorBrand, compatibleBrands) {
+    return buildBox('ftyp', Buffer.from(majorBrand, 'latin1'), uint32(0), ...compatibleBrands.map(brand => Buffer.from(brand, 'latin1')));
+}
+
+async function defragmentMp4(segmentPaths, outputFilePath, { majorBrand = 'M4A ', compatibleBrands = ['M4A ', 'mp42', 'isom'] } = {}) {
+    const [initPath, ...mediaPaths] = segmentPaths;
+    const init = parseInitSegment(await fs.readFile(initPath));
+
+    const chunks = [];
+    await readSegmentFiles(mediaPaths, (segmentData, segmentPath) => {
+        const samples = parseFragmentSamples(segmentData, init.defaults);
+        if (samples.length > 0) chunks.push({ segmentPath, samples });
+    });
+    if (chunks.length === 0) {
+        throw new Error('No media samples found in the downloaded segments.');
+    }
+
+    const allSamples = chunks.flatMap(chunk => chunk.samples);
+    const mediaDuration = allSamples.reduce((sum, sample) => sum + sample.duration, 0);
+    const sampleTable = {
+        sampleDurations: allSamples.map(sample => sample.duration),
+        sampleSizes: allSamples.map(sample => sample.size),
+        compositionOffsets: allSamples.map(sample => sample.compositionOffset),
+        chunkSampleCounts: chunks.map(chunk => chunk.samples.length),
+        chunkOffsets: chunks.map(() => 0),
+    };
+
+    const totalDataSize = allSamples.reduce((sum, sample) => sum + sample.size, 0);
+    const mdatHeaderSize = totalDataSize + BOX_HEADER_SIZE > UINT32_MAX ? LARGE_BOX_HEADER_SIZE : BOX_HEADER_SIZE;
+    const ftyp = buildFileTypeBox(majorBrand, compatibleBrands);
+
+    let moovBuffer = buildProgressiveMoov(init, sampleTable, mediaDuration);
+    const computeChunkOffsets = (moovLength) => {
+        let offset = ftyp.length + moovLength + mdatHeaderSize;
+        return chunks.map(chunk => {
+            const chunkOffset = offset;
+            offset += chunk.samples.reduce((sum, sample) => sum + sample.size, 0);
+            return chunkOffset;
+        });
+    };
+    sampleTable.chunkOffsets = computeChunkOffsets(moovBuffer.length);
+    moovBuffer = buildProgressiveMoov(init, sampleTable, mediaDuration);
+    sampleTable.chunkOffsets = computeChunkOffsets(moovBuffer.length);
+    moovBuffer = buildProgressiveMoov(init, sampleTable, mediaDuration);
+
+    const mdatHeader = Buffer.alloc(mdatHeaderSize);
+    if (mdatHeaderSize === LARGE_BOX_HEADER_SIZE) {
+        mdatHeader.writeUInt32BE(1, 0);
+        mdatHeader.write('mdat', 4, 4, 'latin1');
+        mdatHeader.writeBigUInt64BE(BigInt(totalDataSize + LARGE_BOX_HEADER_SIZE), 8);
+    } else {
+        mdatHeader.writeUInt32BE(totalDataSize + BOX_HEADER_SIZE, 0);
+        mdatHeader.write('mdat', 4, 4, 'latin1');
+    }
+
+    const outputHandle = await fs.open(outputFilePath, 'w');
+    let isComplete = false;
+    try {
+        await outputHandle.write(Buffer.concat([ftyp, moovBuffer, mdatHeader]));
+        for (const chunk of chunks) {
+            const segmentData = await fs.readFile(chunk.segmentPath);
+            for (const sample of chunk.samples) {
+                await outputHandle.write(segmentData, sample.offset, sample.size);
+            }
+        }
+        isComplete = true;
+    } finally {
+        await outputHandle.close();
+        if (!isComplete) await fs.rm(outputFilePath, { force: true });
+    }
+}
+
+async function readSampleEntryType(initSegmentPath) {
+    return parseInitSegment(await fs.readFile(initSegmentPath)).sampleEntry.type;
+}
+
+function buildFreeformTagItem(name, value) {
+    return buildBox('----',
+        buildFullBox('mean', 0, 0, Buffer.from(FREEFORM_TAG_MEAN, 'utf8')),
+        buildFullBox('name', 0, 0, Buffer.from(name, 'utf8')),
+        buildBox('data', uint32(MP4_UTF8_DATA_TYPE, 0), Buffer.from(String(value), 'utf8')));
+}
+
+function buildItunesMetaBox(items) {
+    const handler = buildFullBox('hdlr', 0, 0, uint32(0), Buffer.from('mdirappl', 'latin1'), uint32(0, 0), Buffer.from([0]));
+    return buildFullBox('meta', 0, 0, handler, buildBox('ilst', ...items));
+}
+
+function parseFreeformTagItem(buffer, item) {
+    const children = parseBoxes(buffer, item.dataStart, item.end);
+    const mean = children.find(child => child.type === 'mean');
+    const name = children.find(child => child.type === 'name');
+    const data = children.find(child => child.type === 'data');
+    if (!mean || !name || !data || buffer.toString('utf8', mean.dataStart + 4, mean.end) !== FREEFORM_TAG_MEAN) return null;
+    return { name: buffer.toString('utf8', name.dataStart + 4, name.end), value: buffer.toString('utf8', data.dataStart + 8, data.end) };
+}
+
+// Only the box headers are read, so large media data is never loaded.
+async function readTopLevelBoxes(fileHandle) {
+    const { size: fileSize } = await fileHandle.stat();
+    const header = Buffer.alloc(LARGE_BOX_HEADER_SIZE);
+    const boxes = [];
+    let offset = 0;
+    while (offset + BOX_HEADER_SIZE <= fileSize) {
+        const { bytesRead } = await fileHandle.read(header, 0, header.length, offset);
+        let size = header.readUInt32BE(0);
+        const type = header.toString('latin1', 4, 8);
+        const headerSize = size === 1 ? LARGE_BOX_HEADER_SIZE : BOX_HEADER_SIZE;
+        if (size === 1) {
+            size = bytesRead === LARGE_BOX_HEADER_SIZE ? Number(header.readBigUInt64BE(8)) : 0;
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+        if (size < headerSize || offset + size > fileSize) {
+            throw new Error(`Invalid MP4 box '${type}' at offset ${offset} (size ${size}).`);
+        }
+        boxes.push({ type, start: offset, size, end: offset + size });
+        offset += size;
+    }
+    return { boxes, fileSize };
+}
+
+async function readMovieBox(fileHandle) {
+    const { boxes, fileSize } = await readTopLevelBoxes(fileHandle);
+    const moov = boxes.find(box => box.type === 'moov');
+    if (!moov) return { boxes, fileSize, moov: null, moovBuffer: null };
+    const moovBuffer = Buffer.alloc(moov.size);
+    await fileHandle.read(moovBuffer, 0, moov.size, moov.start);
+    return { boxes, fileSize, moov, moovBuffer };
+}
+
+function findItunesItemList(moovBuffer) {
+    const meta = findBox(moovBuffer, ['moov', 'udta', 'meta']);
+    return meta ? findBox(moovBuffer, ['ilst'], meta.dataStart + 4, meta.end) : null;
+}
+
+// Adds or replaces freeform items in moov/udta/meta/ilst and keeps every other box as it is.
+function rebuildMovieBoxWithFreeformTags(moovBuffer, tagEntries) {
+    const copyBox = (box) => moovBuffer.subarray(box.start, box.end);
+    const tagNames = new Set(tagEntries.map(([name]) => name));
+    const moov = parseBoxes(moovBuffer)[0];
+    const udta = findBox(moovBuffer, ['udta'], moov.dataStart, moov.end);
+    const meta = udta ? findBox(moovBuffer, ['meta'], udta.dataStart, udta.end) : null;
+    const ilst = meta ? findBox(moovBuffer, ['ilst'], meta.dataStart + 4, meta.end) : null;
+
+    const keptItems = ilst
+        ? parseBoxes(moovBuffer, ilst.dataStart, ilst.end).filter(item => item.type !== '----' || !tagNames.has(parseFreeformTagItem(moovBuffer, item)?.name))
+        : [];
+    const items = [...keptItems.map(copyBox), ...tagEntries.map(([name, value]) => buildFreeformTagItem(name, value))];
+    const metaBox = meta
+        ? buildBox('meta', moovBuffer.subarray(meta.dataStart, meta.dataStart + 4),
+            ...parseBoxes(moovBuffer, meta.dataStart + 4, meta.end).filter(child => child.type !== 'ilst').map(copyBox),
+            buildBox('ilst', ...items))
+        : buildItunesMetaBox(items);
+    const udtaChildren = udta ? parseBoxes(moovBuffer, udta.dataStart, udta.end).filter(child => child.start !== meta?.start).map(copyBox) : [];
+    const moovChildren = parseBoxes(moovBuffer, moov.dataStart, moov.end).filter(child => child.type !== 'udta').map(copyBox);
+    return buildBox('moov', ...moovChildren, buildBox('udta', ...udtaChildren, metaBox));
+}
+
+function shiftChunkOffsets(moovBuffer, delta) {
+    const moov = parseBoxes(moovBuffer)[0];
+    for (const trak of parseBoxes(moovBuffer, moov.dataStart, moov.end).filter(box => box.type === 'trak')) {
+        const stbl = findBox(moovBuffer, ['mdia', 'minf', 'stbl'], trak.dataStart, trak.end);
+        for (const box of stbl ? parseBoxes(moovBuffer, stbl.dataStart, stbl.end) : []) {
+            if (box.type !== 'stco' && box.type !== 'co64') continue;
+            const entryCount = moovBuffer.readUInt32BE(box.dataStart + 4);
+            for (let index = 0; index < entryCount; index++) {
+                if (box.type === 'co64') {
+                    const entryOffset = box.dataStart + 8 + index * 8;
+                    moovBuffer.writeBigUInt64BE(moovBuffer.readBigUInt64BE(entryOffset) + BigInt(delta), entryOffset);
+                    continue;
+                }
+                const entryOffset = box.dataStart + 8 + index * 4;
+                const chunkOffset = moovBuffer.readUInt32BE(entryOffset) + delta;
+                if (chunkOffset > UINT32_MAX) {
+                    throw new Error('MP4 chunk offsets would not fit in 32 bits after adding tags.');
+                }
+                moovBuffer.writeUInt32BE(chunkOffset, entryOffset);
+            }
+        }
+    }
+}
+
+async function copyFileRange(input, output, start, end) {
+    const buffer = Buffer.alloc(FILE_COPY_CHUNK_SIZE);
+    for (let position = start; position < end;) {
+        const { bytesRead } = await input.read(buffer, 0, Math.min(buffer.length, end - position), position);
+        if (bytesRead === 0) throw new Error('MP4 file ended while it was being copied.');
+        await output.write(buffer, 0, bytesRead);
+        position += bytesRead;
+    }
+}
+
+async function readMp4FreeformTags(filePath) {
+    const fileHandle = await fs.open(filePath, 'r');
+    try {
+        const { moovBuffer } = await readMovieBox(fileHandle);
+        const ilst = moovBuffer ? findItunesItemList(moovBuffer) : null;
+        const tags = {};
+        for (const item of ilst ? parseBoxes(moovBuffer, ilst.dataStart, ilst.end) : []) {
+            const tag = item.type === '----' ? parseFreeformTagItem(moovBuffer, item) : null;
+            if (tag) tags[tag.name] = tag.value;
+        }
+        return tags;
+    } finally {
+        await fileHandle.close();
+    }
+}
+
+// Writes the tags into a progressive MP4 file through a temporary copy. When the moov box comes before the media
+// data, the chunk offsets are moved by the change in the moov size.
+async function writeMp4FreeformTags(filePath, tags) {
+    const tagEntries = Object.entries(tags).filter(([, value]) => value !== null && value !== undefined && value !== '');
+    if (tagEntries.length === 0) return;
+
+    const input = await fs.open(filePath, 'r');
+    const tempFilePath = `${filePath}${TEMP_TAGGING_SUFFIX}`;
+    try {
+        const { boxes, fileSize, moov, moovBuffer } = await readMovieBox(input);
+        if (!moov) {
+            throw new Error(`${filePath} has no moov box.`);
+        }
+        const newMoov = rebuildMovieBoxWithFreeformTags(moovBuffer, tagEntries);
+        const output = await fs.open(tempFilePath, 'w');
+        try {
+            if (boxes.some(box => box.type === 'mdat' && box.start > moov.start)) {
+                shiftChunkOffsets(newMoov, newMoov.length - moov.size);
+            }
+            await copyFileRange(input, output, 0, moov.start);
+            await output.write(newMoov);
+            await copyFileRange(input, output, moov.end, fileSize);
+        } finally {
+            await output.close();
+        }
+    } catch (error) {
+        await fs.rm(tempFilePath, { force: true });
+        throw error;
+    } finally {
+        await input.close();
+    }
+    await fs.rename(tempFilePath, filePath);
+}
+
+export {
+    parseBoxes,
+    findBox,
+    buildBox,
+    buildFullBox,
+    buildFileTypeBox,
+    buildSampleTableBoxes,
+    uint32,
+    parseInitSegment,
+    parseFragmentSamples,
+    demuxFragmentedFlac,
+    defragmentMp4,
+    readSampleEntryType,
+    buildFreeformTagItem,
+    buildItunesMetaBox,
+    readMp4FreeformTags,
+    writeMp4FreeformTags,
+};
@@ -0,0 +1,361 @@
+'use strict';
+
+import { createReadStream } from 'fs';
+
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+const PAT_PID = 0x0000;
+const TIMESTAMP_ROLLOVER = 2 ** 33;
+
+const STREAM_TYPES = {
+    AAC_ADTS: 0x0F,
+    H264: 0x1B,
+    HEVC: 0x24,
+};
+
+const H264_NAL_TYPES = {
+    IDR_SLICE: 5,
+    SPS: 7,
+    PPS: 8,
+    ACCESS_UNIT_DELIMITER: 9,
+};
+
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+const AAC_SAMPLES_PER_FRAME = 1024;
+const ADTS_HEADER_SIZE = 7;
+const ADTS_CRC_SIZE = 2;
+
+// Profiles whose SPS carries chroma format, bit depth and scaling lists (ITU-T H.264, 7.3.2.1.1).
+const H264_HIGH_PROFILES = [100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135];
+
+class BitReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.bitOffset = 0;
+    }
+
+    readBits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const byte = this.buffer[this.bitOffset >> 3];
+            if (byte === undefined) throw new Error('Unexpected end of H.264 parameter set.');
+            value = value * 2 + ((byte >> (7 - (this.bitOffset & 7))) & 1);
+            this.bitOffset++;
+        }
+        return value;
+    }
+
+    readUnsignedExpGolomb() {
+        let leadingZeros = 0;
+        while (this.readBits(1) === 0) {
+            leadingZeros++;
+            if (leadingZeros > 31) throw new Error('Invalid Exp-Golomb code in H.264 parameter set.');
+        }
+        return 2 ** leadingZeros - 1 + this.readBits(leadingZeros);
+    }
+
+    readSignedExpGolomb() {
+        const value = this.readUnsignedExpGolomb();
+        return value % 2 === 0 ? -(value / 2) : (value + 1) / 2;
+    }
+}
+
+function removeEmulationPreventionBytes(data) {
+    const output = [];
+    for (let i = 0; i < data.length; i++) {
+        if (i >= 2 && data[i] === 0x03 && data[i - 1] === 0x00 && data[i - 2] === 0x00) continue;
+        output.push(data[i]);
+    }
+    return Buffer.from(output);
+}
+
+function skipScalingList(reader, size) {
+    let lastScale = 8;
+    let nextScale = 8;
+    for (let j = 0; j < size; j++) {
+        if (nextScale !== 0) {
+            nextScale = (lastScale + reader.readSignedExpGolomb() + 256) % 256;
+        }
+        lastScale = nextScale === 0 ? lastScale : nextScale;
+    }
+}
+
+function parseH264Sps(nalUnit) {
+    const reader = new BitReader(removeEmulationPreventionBytes(nalUnit.subarray(1)));
+    const profileIdc = reader.readBits(8);
+    const profileCompatibility = reader.readBits(8);
+    const levelIdc = reader.readBits(8);
+    reader.readUnsignedExpGolomb(); // seq_parameter_set_id
+
+    let chromaFormatIdc = 1;
+    if (H264_HIGH_PROFILES.includes(profileIdc)) {
+        chromaFormatIdc = reader.readUnsignedExpGolomb();
+        if (chromaFormatIdc === 3) reader.readBits(1);
+        reader.readUnsignedExpGolomb(); // bit_depth_luma_minus8
+        reader.readUnsignedExpGolomb(); // bit_depth_chroma_minus8
+        reader.readBits(1);
+        if (reader.readBits(1)) {
+            const listCount = chromaFormatIdc === 3 ? 12 : 8;
+            for (let i = 0; i < listCount; i++) {
+                if (reader.readBits(1)) skipScalingList(reader, i < 6 ? 16 : 64);
+            }
+        }
+    }
+
+    reader.readUnsignedExpGolomb(); // log2_max_frame_num_minus4
+    const picOrderCountType = reader.readUnsignedExpGolomb();
+    if (picOrderCountType === 0) {
+        reader.readUnsignedExpGolomb();
+    } else if (picOrderCountType === 1) {
+        reader.readBits(1);
+        reader.readSignedExpGolomb();
+        reader.readSignedExpGolomb();
+        const cycleLength = reader.readUnsignedExpGolomb();
+        for (let i = 0; i < cycleLength; i++) reader.readSignedExpGolomb();
+    }
+    reader.readUnsignedExpGolomb(); // max_num_ref_frames
+    reader.readBits(1);
+
+    const widthInMacroblocks = reader.readUnsignedExpGolomb() + 1;
+    const heightInMapUnits = reader.readUnsignedExpGolomb() + 1;
+    const frameMbsOnly = reader.readBits(1);
+    if (!frameMbsOnly) reader.readBits(1);
+    reader.readBits(1); // direct_8x8_inference_flag
+
+    let crop = { left: 0, right: 0, top: 0, bottom: 0 };
+    if (reader.readBits(1)) {
+        crop = {
+            left: reader.readUnsignedExpGolomb(),
+            right: reader.readUnsignedExpGolomb(),
+            top: reader.readUnsignedExpGolomb(),
+            bottom: reader.readUnsignedExpGolomb(),
+        };
+    }
+    const cropUnitX = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+    const cropUnitY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+
+    return {
+        profileIdc,
+        profileCompatibility,
+        levelIdc,
+        width: widthInMacroblocks * 16 - (crop.left + crop.right) * cropUnitX,
+        height: (2 - frameMbsOnly) * heightInMapUnits * 16 - (crop.top + crop.bottom) * cropUnitY,
+    };
+}
+
+function splitAnnexBNalUnits(data) {
+    const startCodes = [];
+    for (let i = 0; i + 2 < data.length; i++) {
+        if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+            startCodes.push(i + 3);
+            i += 2;
+        }
+    }
+
+    return startCodes.map((start, index) => {
+        let end = index + 1 < startCodes.length ? startCodes[index + 1] - 3 : data.length;
+        while (end > start && data[end - 1] === 0) end--;
+        return data.subarray(start, end);
+    }).filter(nalUnit => nalUnit.length > 0);
+}
+
+function parseAdtsHeader(data, offset) {
+    if (offset + ADTS_HEADER_SIZE > data.length) return null;
+    if (data[offset] !== 0xFF || (data[offset + 1] & 0xF0) !== 0xF0) {
+        return { isSynced: false };
+    }
+    const protectionAbsent = data[offset + 1] & 0x01;
+    const sampleRateIndex = (data[offset + 2] >> 2) & 0x0F;
+    return {
+        isSynced: true,
+        objectType: ((data[offset + 2] >> 6) & 0x03) + 1,
+        sampleRateIndex,
+        sampleRate: AAC_SAMPLE_RATES[sampleRateIndex],
+        channelConfig: ((data[offset + 2] & 0x01) << 2) | (data[offset + 3] >> 6),
+        headerSize: ADTS_HEADER_SIZE + (protectionAbsent ? 0 : ADTS_CRC_SIZE),
+        frameLength: ((data[offset + 3] & 0x03) << 11) | (data[offset + 4] << 3) | (data[offset + 5] >> 5),
+    };
+}
+
+function readTimestamp(data, offset) {
+    return ((data[offset] >> 1) & 0x07) * 2 ** 30
+        + ((data[offset + 1] << 7) | (data[offset + 2] >> 1)) * 2 ** 15
+        + ((data[offset + 3] << 7) | (data[offset + 4] >> 1));
+}
+
+function parsePesPacket(data) {
+    if (data.length < 9 || data[0] !== 0 || data[1] !== 0 || data[2] !== 1) return null;
+    const timestampFlags = data[7] >> 6;
+    const payloadStart = 9 + data[8];
+    const pts = timestampFlags & 0x02 ? readTimestamp(data, 9) : null;
+    const dts = timestampFlags === 0x03 ? readTimestamp(data, 14) : pts;
+    return { pts, dts, payload: data.subarray(payloadStart) };
+}
+
+function unwrapTimestamp(timestamp, reference) {
+    if (timestamp === null || reference === null) return timestamp;
+    let unwrapped = timestamp;
+    while (unwrapped < reference - TIMESTAMP_ROLLOVER / 2) unwrapped += TIMESTAMP_ROLLOVER;
+    while (unwrapped > reference + TIMESTAMP_ROLLOVER / 2) unwrapped -= TIMESTAMP_ROLLOVER;
+    return unwrapped;
+}
+
+function parseProgramSection(payload, isUnitStart) {
+    const section = isUnitStart ? payload.subarray(1 + payload[0]) : payload;
+    const sectionLength = ((section[1] & 0x0F) << 8) | section[2];
+    return { tableId: section[0], section, end: Math.min(3 + sectionLength - 4, section.length) };
+}
+
+// Demuxes an MPEG-TS file with one H.264 and/or one ADTS AAC stream and reports every
+// access unit (video) and raw AAC frame (audio) through `onSample` in stream order.
+async function demuxTransportStream(filePath, onSample) {
+    const streamsByPid = new Map();
+    const pmtPids = new Set();
+    const tracks = { video: null, audio: null };
+    let leftover = Buffer.alloc(0);
+
+    const emitVideoAccessUnit = async (stream, pes) => {
+        const nalUnits = splitAnnexBNalUnits(pes.payload);
+        const track = tracks.video;
+        for (const nalUnit of nalUnits) {
+            const nalType = nalUnit[0] & 0x1F;
+            if (nalType === H264_NAL_TYPES.SPS && !track.sps) {
+                track.sps = Buffer.from(nalUnit);
+                Object.assign(track, parseH264Sps(nalUnit));
+            } else if (nalType === H264_NAL_TYPES.PPS && !track.pps) {
+                track.pps = Buffer.from(nalUnit);
+            }
+        }
+        const sampleNalUnits = nalUnits.filter(nalUnit => ![H264_NAL_TYPES.SPS, H264_NAL_TYPES.PPS, H264_NAL_TYPES.ACCESS_UNIT_DELIMITER].includes(nalUnit[0] & 0x1F));
+        if (sampleNalUnits.length === 0 || pes.dts === null) return;
+
+        const data = Buffer.concat(sampleNalUnits.flatMap(nalUnit => {
+            const lengthPrefix = Buffer.alloc(4);
+            lengthPrefix.writeUInt32BE(nalUnit.length);
+            return [lengthPrefix, nalUnit];
+        }));
+        const dts = unwrapTimestamp(pes.dts, stream.lastTimestamp);
+        const pts = unwrapTimestamp(pes.pts, dts);
+        stream.lastTimestamp = dts;
+        await onSample('video', {
+            data,
+            dts,
+            pts,
+            isKeyframe: sampleNalUnits.some(nalUnit => (nalUnit[0] & 0x1F) === H264_NAL_TYPES.IDR_SLICE),
+        });
+    };
+
+    const emitAudioFrames = async (stream, pes) => {
+        const data = stream.pendingAudio.length > 0 ? Buffer.concat([stream.pendingAudio, pes.payload]) : pes.payload;
+        const track = tracks.audio;
+        let offset = 0;
+        const basePts = pes.pts === null ? null : unwrapTimestamp(pes.pts, stream.lastTimestamp);
+        if (basePts !== null) stream.lastTimestamp = basePts;
+
+        while (offset < data.length) {
+            const header = parseAdtsHeader(data, offset);
+            if (!header) break;
+            if (!header.isSynced || header.frameLength < header.headerSize) {
+                offset++;
+                continue;
+            }
+            if (offset + header.frameLength > data.length) break;
+            if (!track.sampleRate) {
+                Object.assign(track, {
+                    objectType: header.objectType,
+                    sampleRateIndex: header.sampleRateIndex,
+                    sampleRate: header.sampleRate,
+                    channelConfig: header.channelConfig,
+                    firstPts: basePts,
+                });
+            }
+            await onSample('audio', { data: data.subarray(offset + header.headerSize, offset + header.frameLength) });
+            offset += header.frameLength;
+        }
+        stream.pendingAudio = Buffer.from(data.subarray(offset));
+    };
+
+    const flushPes = async (stream) => {
+        if (stream.chunks.length === 0) return;
+        const pes = parsePesPacket(Buffer.concat(stream.chunks));
+        stream.chunks = [];
+        if (!pes) return;
+        if (stream.kind === 'video') {
+            await emitVideoAccessUnit(stream, pes);
+        } else {
+            await emitAudioFrames(stream, pes);
+        }
+    };
+
+    const handlePacket = async (packet) => {
+        if (packet[0] !== TS_SYNC_BYTE) {
+            throw new Error('Lost MPEG-TS sync; the file is not a valid transport stream.');
+        }
+        const isUnitStart = (packet[1] & 0x40) !== 0;
+        const pid = ((packet[1] & 0x1F) << 8) | packet[2];
+        const adaptationFieldControl = (packet[3] >> 4) & 0x03;
+        if (adaptationFieldControl === 0 || adaptationFieldControl === 2) return;
+        const payloadStart = adaptationFieldControl === 3 ? 5 + packet[4] : 4;
+        if (payloadStart >= TS_PACKET_SIZE) return;
+        const payload = packet.subarray(payloadStart);
+
+        if (pid === PAT_PID) {
+            const { section, end } = parseProgramSection(payload, isUnitStart);
+            for (let offset = 8; offset + 4 <= end; offset += 4) {
+                const programNumber = section.readUInt16BE(offset);
+                if (programNumber !== 0) pmtPids.add(((section[offset + 2] & 0x1F) << 8) | section[offset + 3]);
+            }
+            return;
+        }
+
+        if (pmtPids.has(pid)) {
+            const { section, end } = parseProgramSection(payload, isUnitStart);
+            const programInfoLength = ((section[10] & 0x0F) << 8) | section[11];
+            for (let offset = 12 + programInfoLength; offset + 5 <= end;) {
+                const streamType = section[offset];
+                const streamPid = ((section[offset + 1] & 0x1F) << 8) | section[offset + 2];
+                const esInfoLength = ((section[offset + 3] & 0x0F) << 8) | section[offset + 4];
+                offset += 5 + esInfoLength;
+                if (streamsByPid.has(streamPid)) continue;
+
+                if (streamType === STREAM_TYPES.H264 && !tracks.video) {
+                    tracks.video = { codec: 'avc1', sps: null, pps: null };
+                    streamsByPid.set(streamPid, { kind: 'video', chunks: [], lastTimestamp: null });
+                } else if (streamType === STREAM_TYPES.AAC_ADTS && !tracks.audio) {
+                    tracks.audio = { codec: 'mp4a', sampleRate: null };
+                    streamsByPid.set(streamPid, { kind: 'audio', chunks: [], lastTimestamp: null, pendingAudio: Buffer.alloc(0) });
+                } else if (streamType === STREAM_TYPES.HEVC) {
+                    throw new Error('HEVC video streams are not supported by the built-in remuxer.');
+                }
+            }
+            return;
+        }
+
+        const stream = streamsByPid.get(pid);
+        if (!stream) return;
+        if (isUnitStart) await flushPes(stream);
+        stream.chunks.push(Buffer.from(payload));
+    };
+
+    for await (const chunk of createReadStream(filePath, { highWaterMark: TS_PACKET_SIZE * 1024 })) {
+        const data = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+        let offset = 0;
+        for (; offset + TS_PACKET_SIZE <= data.length; offset += TS_PACKET_SIZE) {
+            await handlePacket(data.subarray(offset, offset + TS_PACKET_SIZE));
+        }
+        leftover = Buffer.from(data.subarray(offset));
+    }
+    for (const stream of streamsByPid.values()) {
+        await flushPes(stream);
+    }
+
+    if (!tracks.video && !tracks.audio) {
+        throw new Error('No H.264 video or AAC audio stream found in the transport stream.');
+    }
+    if (tracks.video && (!tracks.video.sps || !tracks.video.pps)) {
+        throw new Error('The H.264 stream does not contain SPS/PPS parameter sets.');
+    }
+    return tracks;
+}
+
+export { demuxTransportStream, parseH264Sps, splitAnnexBNalUnits, AAC_SAMPLES_PER_FRAME };
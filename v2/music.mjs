@@ -1,163 +1,217 @@
 'use strict';
 
-import axios from 'axios';
-import { parseStringPromise } from 'xml2js';
-import { exec } from 'child_process';
-import { promises as fs, createWriteStream } from 'fs';
+import { promises as fs } from 'fs';
 import path from 'path';
-import util from 'util';
 
-const execAsync = util.promisify(exec);
-
-const TIDAL_API_BASE_URL = 'https://listen.tidal.com/v1';
-const ARIA2C_DEFAULT_OPTIONS = '-c -x 16 -s 16 -k 1M -j 16 --console-log-level=warn --allow-overwrite=true --auto-file-renaming=false';
-
-function buildPlaybackInfoUrl(trackId, audioQuality) {
-    return `${TIDAL_API_BASE_URL}/tracks/${trackId}/playbackinfo?audioquality=${audioQuality}&playbackmode=STREAM&assetpresentation=FULL`;
-}
-
-function buildApiErrorMessage(prefix, errorResponse, audioQualityForContext = null) {
-    let message = prefix;
-    const responseData = errorResponse?.data;
-
-    if (responseData?.userMessage) {
-        message += ` Server message: ${responseData.userMessage}`;
-    } else if (responseData?.title) {
-        message += ` Title: ${responseData.title}`;
-    } else if (typeof responseData === 'string' && responseData.length < 250) {
-        message += ` Body: ${responseData}`;
+import { embedMp4ArchiveTags, embedTrackMetadata } from './tagging.mjs';
+import { saveTrackLyrics } from './lyrics.mjs';
+import { describeApiError, TidalApiError } from './api.mjs';
+import { demuxFragmentedFlac, defragmentMp4 } from './mp4.mjs';
+import { parsePlaybackManifest, MANIFEST_FORMAT } from './manifest.mjs';
+import { downloadSegments } from './downloader.mjs';
+import { PROGRESS_PHASES } from './progress.mjs';
+
+const PLAYBACK_INFO_PARAMS = { playbackmode: 'STREAM', assetpresentation: 'FULL' };
+const QUALITY_UNAVAILABLE_STATUSES = [404];
+const QUALITY_UNAVAILABLE_SUB_STATUSES = [4005];
+
+const OUTPUT_CONTAINERS = {
+    FLAC: { id: 'flac', extension: '.flac' },
+    M4A: { id: 'm4a', extension: '.m4a' },
+};
+
+function buildApiErrorMessage(apiError, audioQualityForContext = null) {
+    let message = apiError.message;
+    if (apiError.subStatus) {
+        message += ` (subStatus ${apiError.subStatus})`;
     }
-
-    if (errorResponse?.status === 404 && audioQualityForContext) {
+    if (apiError.status === 404 && audioQualityForContext) {
         message += ` The audio quality '${audioQualityForContext}' might not be available for this track, or the track ID is invalid.`;
     }
     return message;
 }
 
-async function parseManifestAndExtractSegments(manifestXml) {
-    const parsedXml = await parseStringPromise(manifestXml);
+function isQualityUnavailableError(error) {
+    if (!(error instanceof TidalApiError) || !error.status) return false;
+    return QUALITY_UNAVAILABLE_STATUSES.includes(error.status)
+        || QUALITY_UNAVAILABLE_SUB_STATUSES.includes(error.subStatus);
+}
 
-    const representation = parsedXml?.MPD?.Period?.[0]?.AdaptationSet?.[0]?.Representation?.[0];
-    if (!representation) {
-        throw new Error('Could not find Representation element in XML manifest.');
+async function fetchPlaybackInfoWithFallback(trackId, qualityChain, client, onProgress) {
+    for (const [index, quality] of qualityChain.entries()) {
+        try {
+            console.log(`Requesting playback info for track ${trackId} (Quality: ${quality})...`);
+            onProgress?.({ phase: PROGRESS_PHASES.PLAYBACK_INFO, itemId: trackId, quality });
+            const playbackData = await client.get(`/tracks/${trackId}/playbackinfo`, { audioquality: quality, ...PLAYBACK_INFO_PARAMS });
+            return { playbackData, requestedQuality: quality };
+        } catch (error) {
+            const nextQuality = qualityChain[index + 1];
+            if (!nextQuality || !isQualityUnavailableError(error)) {
+                throw error;
+            }
+            console.warn(`Quality ${quality} is not available for track ${trackId}. Falling back to ${nextQuality}...`);
+        }
     }
+}
 
-    const segmentTemplate = representation.SegmentTemplate?.[0];
-    if (!segmentTemplate) {
-        throw new Error('Could not find SegmentTemplate element in XML manifest.');
-    }
+function describeDeliveredQuality(playbackData, requestedQuality) {
+    return {
+        audioQuality: playbackData.audioQuality || requestedQuality,
+        bitDepth: playbackData.bitDepth ?? null,
+        sampleRate: playbackData.sampleRate ?? null,
+    };
+}
 
-    const initializationUrlPath = segmentTemplate.$?.initialization;
-    const mediaUrlTemplate = segmentTemplate.$?.media;
-    const startNumberStr = segmentTemplate.$?.startNumber;
+function buildQualityTag({ audioQuality, bitDepth, sampleRate }) {
+    const parts = [audioQuality];
+    if (bitDepth) parts.push(`${bitDepth}bit`);
+    if (sampleRate) parts.push(`${sampleRate / 1000}kHz`);
+    return parts.join('_');
+}
 
-    if (!initializationUrlPath || !mediaUrlTemplate || !startNumberStr) {
-        throw new Error('Manifest SegmentTemplate is missing critical attributes (initialization, media, or startNumber).');
+function selectOutputContainer({ format, mimeType, codecs }) {
+    if (format === MANIFEST_FORMAT.BTS && /^audio\/flac$/i.test(mimeType || '')) {
+        return OUTPUT_CONTAINERS.FLAC;
     }
-
-    const segmentTimelineSlices = segmentTemplate.SegmentTimeline?.[0]?.S;
-    if (!segmentTimelineSlices || !Array.isArray(segmentTimelineSlices) || segmentTimelineSlices.length === 0) {
-        throw new Error('Manifest SegmentTimeline S array is missing or empty.');
+    if (mimeType && !/^audio\/mp4$/i.test(mimeType)) {
+        throw new Error(`Unsupported manifest mimeType '${mimeType}'. Expected 'audio/mp4'${format === MANIFEST_FORMAT.BTS ? " or 'audio/flac'" : ''}.`);
     }
+    return /^flac/i.test(codecs || '') ? OUTPUT_CONTAINERS.FLAC : OUTPUT_CONTAINERS.M4A;
+}
 
-    const segmentUrls = [initializationUrlPath];
-    const segmentBasenames = [path.basename(new URL(initializationUrlPath, 'http://dummybase').pathname)]; // Base URL for relative paths
-
-    let currentSegmentNumber = parseInt(startNumberStr, 10);
-    segmentTimelineSlices.forEach(segment => {
-        const repeatCount = segment.$.r ? parseInt(segment.$.r, 10) : 0;
-        for (let i = 0; i <= repeatCount; i++) {
-            const mediaUrl = mediaUrlTemplate.replace('$Number$', currentSegmentNumber.toString());
-            segmentUrls.push(mediaUrl);
-            segmentBasenames.push(path.basename(new URL(mediaUrl, 'http://dummybase').pathname).replace(/\?.*/, ''));
-            currentSegmentNumber++;
+async function concatenateFiles(inputPaths, outputFilePath) {
+    if (inputPaths.length === 1) {
+        await fs.rename(inputPaths[0], outputFilePath);
+        return;
+    }
+    const fileHandle = await fs.open(outputFilePath, 'w');
+    try {
+        for (const inputPath of inputPaths) {
+            await fileHandle.write(await fs.readFile(inputPath));
         }
-    });
+    } finally {
+        await fileHandle.close();
+    }
+}
 
-    return { segmentUrls, segmentBasenames };
+async function assembleOutputFile(manifest, container, segmentPaths, outputFilePath, onProgress) {
+    onProgress?.({ phase: PROGRESS_PHASES.CONCATENATE, segmentCount: segmentPaths.length });
+    const isFragmentedMp4 = !/^audio\/flac$/i.test(manifest.mimeType || '');
+    if (!isFragmentedMp4) {
+        console.log(`Writing FLAC stream from ${segmentPaths.length} file(s) into ${outputFilePath}...`);
+        await concatenateFiles(segmentPaths, outputFilePath);
+    } else if (container === OUTPUT_CONTAINERS.FLAC) {
+        console.log(`Extracting native FLAC stream from ${segmentPaths.length} segments into ${outputFilePath}...`);
+        await demuxFragmentedFlac(segmentPaths, outputFilePath);
+    } else {
+        console.log(`Assembling ${segmentPaths.length} segments into MPEG-4 audio file ${outputFilePath}...`);
+        await defragmentMp4(segmentPaths, outputFilePath);
+    }
 }
 
 async function downloadMusicTrack(options) {
     const {
         trackId,
         audioQuality,
-        accessToken,
+        client,
         outputDir = '.',
+        outputBasename,
+        resolveOutputPath = null,
+        embedMetadata = true,
+        metadata = null,
+        lyrics = null,
+        coverSize,
         tempDirPrefix = 'temp_tidal_music',
+        downloadOptions = {},
+        fallbackQualities = [],
     } = options;
 
-    if (!trackId || !audioQuality || !accessToken) {
-        throw new Error('trackId, audioQuality, and accessToken are mandatory options.');
+    if (!trackId || !audioQuality || !client) {
+        throw new Error('trackId, audioQuality, and client are mandatory options.');
     }
 
-    const playbackInfoUrl = buildPlaybackInfoUrl(trackId, audioQuality);
-    const apiHeaders = { 'Authorization': `Bearer ${accessToken}` };
+    downloadOptions.signal?.throwIfAborted();
+    const { onProgress } = downloadOptions;
+    const qualityChain = [audioQuality, ...fallbackQualities.filter(quality => quality !== audioQuality)];
 
-    const outputFileName = `${trackId}_${audioQuality}.flac`;
-    const outputFilePath = path.join(outputDir, outputFileName);
+    let outputFilePath = '';
     let tempDirPath = '';
 
     try {
-        console.log(`Requesting playback info for track ${trackId} (Quality: ${audioQuality})...`);
-        const response = await axios.get(playbackInfoUrl, { headers: apiHeaders });
-        const playbackData = response.data;
+        const { playbackData, requestedQuality } = await fetchPlaybackInfoWithFallback(trackId, qualityChain, client, onProgress);
 
         if (!playbackData?.manifest) {
             const detail = playbackData?.userMessage || playbackData?.title || 'Manifest not found in API response.';
             throw new Error(`Playback info response missing manifest: ${detail}`);
         }
-        console.log(`Received playback info for track ${playbackData.trackId}.`);
-
-        const manifestXml = Buffer.from(playbackData.manifest, 'base64').toString('utf8');
-        console.log('Parsing XML manifest...');
-        const { segmentUrls, segmentBasenames } = await parseManifestAndExtractSegments(manifestXml);
-        console.log(`Found ${segmentUrls.length} segments to download.`);
+        const deliveredQuality = describeDeliveredQuality(playbackData, requestedQuality);
+        const qualityTag = buildQualityTag(deliveredQuality);
+        console.log(`Received playback info for track ${playbackData.trackId} (Delivered: ${qualityTag}).`);
+        if (deliveredQuality.audioQuality !== audioQuality) {
+            console.warn(`Requested ${audioQuality}, but Tidal delivers ${deliveredQuality.audioQuality} for track ${trackId}.`);
+        }
 
-        tempDirPath = path.join(outputDir, `${tempDirPrefix}_${trackId}_${audioQuality}_${Date.now()}`);
+        console.log(`Parsing ${playbackData.manifestMimeType || 'DASH'} manifest...`);
+        const manifest = await parsePlaybackManifest(playbackData);
+        const { segmentUrls, segmentBasenames, mimeType, codecs } = manifest;
+        const container = selectOutputContainer(manifest);
+        // Paths are rendered here rather than by the caller so they can name the delivered quality and be
+        // shortened for the real file extension.
+        const outputPath = resolveOutputPath
+            ? resolveOutputPath({ quality: deliveredQuality, fileExtension: container.extension })
+            : { outputDir, outputBasename };
+        const outputFileBase = outputPath.outputBasename || `${trackId}_${qualityTag}`;
+        onProgress?.({ phase: PROGRESS_PHASES.MANIFEST, segmentCount: segmentUrls.length, stream: 'audio' });
+        outputFilePath = path.join(outputPath.outputDir, `${outputFileBase}${container.extension}`);
+        console.log(`Found ${segmentUrls.length} ${manifest.format === MANIFEST_FORMAT.BTS ? 'file(s)' : 'segments'} to download (${mimeType || 'unknown type'}, codecs: ${codecs || 'unknown'}).`);
+
+        tempDirPath = path.join(outputPath.outputDir, `${tempDirPrefix}_${trackId}_${audioQuality}_${Date.now()}`);
         await fs.mkdir(tempDirPath, { recursive: true });
         console.log(`Temporary directory created: ${tempDirPath}`);
 
-        const aria2cInputFilePath = path.join(tempDirPath, 'segment_urls.txt');
-        await fs.writeFile(aria2cInputFilePath, segmentUrls.join('\n'));
-        console.log('Generated URL list for aria2c.');
+        const segments = segmentUrls.map((url, index) => ({ url, fileName: segmentBasenames[index] }));
+        await downloadSegments(segments, tempDirPath, downloadOptions);
 
-        const aria2cCommand = `aria2c ${ARIA2C_DEFAULT_OPTIONS} -d "${tempDirPath}" -i "${aria2cInputFilePath}"`;
-        console.log('Starting download with aria2c...');
-        console.log(`Executing: ${aria2cCommand}`);
-        await execAsync(aria2cCommand);
-        console.log('aria2c download process completed.');
+        const segmentPaths = segmentBasenames.map(segmentName => path.join(tempDirPath, segmentName));
+        await assembleOutputFile(manifest, container, segmentPaths, outputFilePath, onProgress);
 
-        console.log(`Concatenating ${segmentBasenames.length} segments into ${outputFilePath}...`);
-        const outputStream = createWriteStream(outputFilePath);
+        console.log(`Successfully created output file: ${outputFilePath}`);
 
-        try {
-            for (const segmentName of segmentBasenames) {
-                const segmentPath = path.join(tempDirPath, segmentName);
-                try {
-                    const segmentData = await fs.readFile(segmentPath);
-                    outputStream.write(segmentData);
-                } catch (readError) {
-                    console.warn(`Segment ${segmentPath} unreadable or missing: ${readError.message}. Skipping.`);
+        let lyricsResult = null;
+        if (lyrics?.save || lyrics?.embed) {
+            onProgress?.({ phase: PROGRESS_PHASES.POSTPROCESS, step: 'lyrics' });
+            lyricsResult = await saveTrackLyrics(outputFilePath, trackId, { client, writeSidecar: Boolean(lyrics.save) });
+        }
+
+        if (embedMetadata) {
+            onProgress?.({ phase: PROGRESS_PHASES.POSTPROCESS, step: 'tags' });
+            try {
+                if (container === OUTPUT_CONTAINERS.FLAC) {
+                    const embeddedLyrics = lyrics?.embed ? lyricsResult?.text : null;
+                    await embedTrackMetadata(outputFilePath, { trackId, quality: audioQuality, metadata, playbackData, client, lyrics: embeddedLyrics, coverSize });
+                } else {
+                    await embedMp4ArchiveTags(outputFilePath, { trackId, quality: audioQuality });
                 }
+            } catch (tagError) {
+                console.warn(`Could not embed metadata into ${outputFilePath}: ${describeApiError(tagError)}`);
             }
-        } finally {
-            outputStream.end();
         }
 
-        await new Promise((resolve, reject) => {
-            outputStream.on('finish', resolve);
-            outputStream.on('error', (err) => reject(new Error(`Error writing to output file ${outputFilePath}: ${err.message}`)));
-        });
-
-        console.log(`Successfully created output file: ${outputFilePath}`);
-        return { success: true, filePath: path.resolve(outputFilePath) };
+        return {
+            success: true,
+            filePath: path.resolve(outputFilePath),
+            container: container.id,
+            codecs,
+            quality: { requested: audioQuality, ...deliveredQuality },
+            lyrics: lyricsResult?.status ?? null,
+        };
 
     } catch (error) {
         let errorMessage = `Error during download for track ${trackId} (Quality: ${audioQuality}): ${error.message}`;
-        if (axios.isAxiosError(error)) {
-            errorMessage = buildApiErrorMessage(`API request failed with status ${error.response?.status || 'unknown'}.`, error.response, audioQuality);
-            if (error.response?.data && typeof error.response.data === 'object') {
-                console.error(`Full API error response: ${JSON.stringify(error.response.data, null, 2)}`);
+        if (error instanceof TidalApiError) {
+            errorMessage = buildApiErrorMessage(error, audioQuality);
+            if (error.data && typeof error.data === 'object') {
+                console.error(`Full API error response: ${JSON.stringify(error.data, null, 2)}`);
             }
         } else if (error.stderr || error.stdout) {
             errorMessage += `\n  aria2c Stderr: ${error.stderr}\n  aria2c Stdout: ${error.stdout}`;
@@ -0,0 +1,42 @@
+'use strict';
+
+import path from 'path';
+
+const TRUNCATION_SUFFIX = '...';
+
+function sanitizeFilenameSegment(name) {
+    if (!name || typeof name !== 'string') return '';
+    let sanitized = name.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_');
+    sanitized = sanitized.replace(/\s+/g, ' ').trim();
+    return (sanitized === '' || sanitized.match(/^\.+$/)) ? 'untitled' : sanitized;
+}
+
+function getReleaseYear(album) {
+    const match = typeof album?.releaseDate === 'string' ? album.releaseDate.match(/^(\d{4})/) : null;
+    return match ? match[1] : null;
+}
+
+function getPrimaryArtistName(item) {
+    return item?.artist?.name || item?.artists?.[0]?.name || 'Unknown Artist';
+}
+
+function formatTrackTitle(track) {
+    return track.version ? `${track.title} (${track.version})` : track.title;
+}
+
+function fitBaseNameToPathLength(outputDir, baseName, fileExt, maxLength) {
+    const fullPath = path.join(outputDir, `${baseName}${fileExt}`);
+    if (fullPath.length <= maxLength) {
+        return baseName;
+    }
+
+    const excessLength = fullPath.length - maxLength;
+    if (baseName.length > excessLength + TRUNCATION_SUFFIX.length) {
+        return baseName.substring(0, baseName.length - excessLength - TRUNCATION_SUFFIX.length) + TRUNCATION_SUFFIX;
+    }
+
+    console.warn("Filename is too long even after attempting truncation. Using a generic short name.");
+    return `tidal_download_${Date.now()}`;
+}
+
+export { sanitizeFilenameSegment, fitBaseNameToPathLength, getPrimaryArtistName, getReleaseYear, formatTrackTitle };
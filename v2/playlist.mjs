@@ -0,0 +1,205 @@
+'use strict';
+
+import path from 'path';
+import { promises as fs } from 'fs';
+
+import { describeApiError } from './api.mjs';
+import { downloadMusicTrack } from './music.mjs';
+import { downloadVideo, fetchAvailableVideoStreams, selectStreamByPreference } from './video.mjs';
+import { getItemUnavailabilityReason } from './album.mjs';
+import { normalizeVideoMetadata } from './metadata.mjs';
+import { ARCHIVE_ITEM_TYPE } from './archive.mjs';
+import { sanitizeFilenameSegment, fitBaseNameToPathLength, getPrimaryArtistName, formatTrackTitle } from './naming.mjs';
+
+const COLLECTION_TYPE = {
+    PLAYLIST: 'playlist',
+    MIX: 'mix',
+};
+
+const DEFAULT_MAX_PATH_LENGTH = 200;
+const PLAYLIST_ITEM_TYPE = {
+    TRACK: 'track',
+    VIDEO: 'video',
+};
+const VIDEO_FILE_EXTENSION = '.mp4';
+
+async function fetchPlaylistDetails(playlistId, { client }) {
+    return client.get(`/playlists/${playlistId}`);
+}
+
+async function fetchMixTitle(mixId, { client }) {
+    try {
+        const page = await client.get('/pages/mix', { mixId, deviceType: 'BROWSER' });
+        return page?.title || `Mix ${mixId}`;
+    } catch (error) {
+        console.warn(`Could not fetch title for mix ${mixId} (${describeApiError(error)}). Using a generic name.`);
+        return `Mix ${mixId}`;
+    }
+}
+
+async function fetchCollectionInfo(collectionType, collectionId, client) {
+    if (collectionType === COLLECTION_TYPE.MIX) {
+        const title = await fetchMixTitle(collectionId, { client });
+        const items = await client.fetchAllPages(`/mixes/${collectionId}/items`);
+        return { title, items };
+    }
+    const playlist = await fetchPlaylistDetails(collectionId, { client });
+    const items = await client.fetchAllPages(`/playlists/${collectionId}/items`);
+    return { title: playlist.title || `Playlist ${collectionId}`, items };
+}
+
+function buildPlaylistEntryBaseName(position, totalItems, item) {
+    const positionPrefix = String(position).padStart(Math.max(2, String(totalItems).length), '0');
+    return `${positionPrefix} - ${sanitizeFilenameSegment(getPrimaryArtistName(item))} - ${sanitizeFilenameSegment(formatTrackTitle(item))}`;
+}
+
+async function findArchivedEntry(archive, type, itemId, quality) {
+    const archivedEntry = archive ? await archive.findEntry(type, itemId, quality) : null;
+    return archivedEntry ? { fromArchive: true, filePath: archivedEntry.path } : null;
+}
+
+async function recordArchivedDownload(archive, type, itemId, quality, result) {
+    if (archive) {
+        await archive.recordDownload({ type, id: itemId, quality, deliveredQuality: result.quality ?? null, filePath: result.filePath });
+    }
+    return result;
+}
+
+async function downloadPlaylistEntry(entry, context) {
+    const { type, item } = entry;
+    const { audioQuality, videoQuality, client, outputDir, baseName, maxPathLength, downloadOptions, fallbackQualities, lyrics, artwork, videoRemux, archive } = context;
+
+    if (type === PLAYLIST_ITEM_TYPE.VIDEO) {
+        const streams = await fetchAvailableVideoStreams(item.id, client, { onProgress: downloadOptions?.onProgress });
+        const selectedStream = selectStreamByPreference(streams, videoQuality);
+        console.log(`Selected video stream: ${selectedStream.resolution} @ ${selectedStream.bandwidth}bps`);
+        const archivedVideo = await findArchivedEntry(archive, ARCHIVE_ITEM_TYPE.VIDEO, item.id, selectedStream.resolution);
+        if (archivedVideo) return archivedVideo;
+
+        const result = await downloadVideo({
+            videoId: item.id,
+            client,
+            selectedStreamUrl: selectedStream.url,
+            audioStreamUrl: selectedStream.audioUrl,
+            outputDir,
+            outputBasename: fitBaseNameToPathLength(outputDir, baseName, VIDEO_FILE_EXTENSION, maxPathLength),
+            downloadOptions,
+            thumbnail: artwork?.saveVideoThumbnail ? { imageId: item.imageId, size: artwork.coverSize } : null,
+            quality: selectedStream.resolution,
+            metadata: normalizeVideoMetadata(item),
+            remux: videoRemux,
+        });
+        return recordArchivedDownload(archive, ARCHIVE_ITEM_TYPE.VIDEO, item.id, selectedStream.resolution, result);
+    }
+
+    const archivedTrack = await findArchivedEntry(archive, ARCHIVE_ITEM_TYPE.TRACK, item.id, audioQuality);
+    if (archivedTrack) return archivedTrack;
+
+    const result = await downloadMusicTrack({
+        trackId: item.id,
+        audioQuality,
+        client,
+        outputDir,
+        // The extension (.flac or .m4a) is only known once the manifest is read.
+        resolveOutputPath: ({ fileExtension }) => ({ outputDir, outputBasename: fitBaseNameToPathLength(outputDir, baseName, fileExtension, maxPathLength) }),
+        downloadOptions,
+        fallbackQualities,
+        lyrics,
+        coverSize: artwork?.coverSize,
+    });
+    return recordArchivedDownload(archive, ARCHIVE_ITEM_TYPE.TRACK, item.id, audioQuality, result);
+}
+
+function buildM3u8Content(playlistDir, entries) {
+    const lines = ['#EXTM3U'];
+    for (const { item, filePath } of entries) {
+        const duration = Number.isFinite(item.duration) ? Math.round(item.duration) : -1;
+        const relativePath = path.relative(playlistDir, filePath).split(path.sep).join('/');
+        lines.push(`#EXTINF:${duration},${getPrimaryArtistName(item)} - ${formatTrackTitle(item)}`);
+        lines.push(relativePath);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+async function downloadPlaylist(options) {
+    const {
+        collectionType = COLLECTION_TYPE.PLAYLIST,
+        collectionId,
+        audioQuality,
+        videoQuality = 'best',
+        client,
+        outputBaseDir = '.',
+        maxPathLength = DEFAULT_MAX_PATH_LENGTH,
+        downloadOptions,
+        fallbackQualities,
+        lyrics = null,
+        artwork = null,
+        videoRemux = null,
+        archive = null,
+    } = options;
+
+    if (!collectionId || !audioQuality || !client) {
+        throw new Error('collectionId, audioQuality, and client are mandatory options.');
+    }
+    if (!Object.values(COLLECTION_TYPE).includes(collectionType)) {
+        throw new Error(`Unsupported collection type '${collectionType}'.`);
+    }
+
+    console.log(`Fetching ${collectionType} ${collectionId} and its items...`);
+    const { title, items } = await fetchCollectionInfo(collectionType, collectionId, client);
+
+    const playlistDir = path.join(outputBaseDir, sanitizeFilenameSegment(title));
+    await fs.mkdir(playlistDir, { recursive: true });
+    console.log(`${collectionType === COLLECTION_TYPE.MIX ? 'Mix' : 'Playlist'}: "${title}" - ${items.length} item(s).`);
+    console.log(`Playlist directory: ${path.resolve(playlistDir)}`);
+
+    const summary = { title, outputDir: playlistDir, playlistFilePath: null, succeeded: [], failed: [], skipped: [] };
+    const downloadedEntries = [];
+
+    for (const [index, entry] of items.entries()) {
+        downloadOptions?.signal?.throwIfAborted();
+        const { type, item } = entry;
+        const position = index + 1;
+        const itemTitle = item ? `${getPrimaryArtistName(item)} - ${formatTrackTitle(item)}` : 'Unknown item';
+        const itemLabel = `[${position}/${items.length}] ${type} "${itemTitle}"`;
+
+        if (!item || !Object.values(PLAYLIST_ITEM_TYPE).includes(type)) {
+            console.warn(`\n⏭️  Skipping ${itemLabel}: unsupported item type '${type}'.`);
+            summary.skipped.push({ itemId: item?.id, title: itemTitle, reason: `Unsupported item type '${type}'.` });
+            continue;
+        }
+
+        const unavailabilityReason = getItemUnavailabilityReason(item, client.countryCode);
+        if (unavailabilityReason) {
+            console.warn(`\n⏭️  Skipping ${itemLabel}: ${unavailabilityReason}`);
+            summary.skipped.push({ itemId: item.id, title: itemTitle, reason: unavailabilityReason });
+            continue;
+        }
+
+        console.log(`\n${type === PLAYLIST_ITEM_TYPE.VIDEO ? '🎬' : '🎵'} ${itemLabel}`);
+        const baseName = buildPlaylistEntryBaseName(position, items.length, item);
+        try {
+            const result = await downloadPlaylistEntry(entry, { audioQuality, videoQuality, client, outputDir: playlistDir, baseName, maxPathLength, downloadOptions, fallbackQualities, lyrics, artwork, videoRemux, archive });
+            if (result.fromArchive) {
+                console.log(`⏭️  Already in the download archive: ${result.filePath}`);
+                summary.skipped.push({ itemId: item.id, title: itemTitle, reason: 'Already in the download archive.', filePath: result.filePath });
+            } else {
+                summary.succeeded.push({ itemId: item.id, title: itemTitle, filePath: result.filePath, quality: result.quality, lyrics: result.lyrics });
+            }
+            downloadedEntries.push({ item, filePath: result.filePath });
+        } catch (error) {
+            summary.failed.push({ itemId: item.id, title: itemTitle, error: describeApiError(error) });
+        }
+    }
+
+    if (downloadedEntries.length > 0) {
+        const playlistFilePath = path.join(playlistDir, `${sanitizeFilenameSegment(title)}.m3u8`);
+        await fs.writeFile(playlistFilePath, buildM3u8Content(playlistDir, downloadedEntries));
+        console.log(`\nPlaylist file written: ${playlistFilePath}`);
+        summary.playlistFilePath = playlistFilePath;
+    }
+
+    return summary;
+}
+
+export { downloadPlaylist, fetchPlaylistDetails, COLLECTION_TYPE };
@@ -0,0 +1,97 @@
+'use strict';
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { getUserConfigDirectory, PROFILE_NAME_PATTERN, DEFAULT_CONFIG } from './config.mjs';
+import { TidalSession } from './login.mjs';
+import { readSessionFile, writeSessionFile } from './tokenstore.mjs';
+
+const DEFAULT_PROFILE_NAME = DEFAULT_CONFIG.profile;
+const PROFILES_DIRNAME = 'profiles';
+const PROFILE_FILE_EXTENSION = '.json';
+// Where sessions were stored before profiles existed; adopted by the default profile.
+const LEGACY_SESSION_FILE = 'tidal_session.json';
+
+function validateProfileName(name) {
+    if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid profile name '${name}'. Use up to 64 letters, digits, '-' and '_'.`);
+    }
+    return name;
+}
+
+function getProfilesDirectory(env = process.env) {
+    return path.join(getUserConfigDirectory(env), PROFILES_DIRNAME);
+}
+
+function getProfileSessionFile(profileName, env = process.env) {
+    return path.join(getProfilesDirectory(env), `${validateProfileName(profileName)}${PROFILE_FILE_EXTENSION}`);
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function adoptLegacySessionFile(sessionFile, cwd) {
+    const legacyFile = path.join(cwd, LEGACY_SESSION_FILE);
+    if (await fileExists(sessionFile) || !await fileExists(legacyFile)) return;
+    const { data } = await readSessionFile(legacyFile);
+    await writeSessionFile(sessionFile, data);
+    await fs.unlink(legacyFile);
+    console.log(`Moved the existing session from ${legacyFile} to the '${DEFAULT_PROFILE_NAME}' profile (${sessionFile}).`);
+}
+
+async function resolveProfile(profileName = DEFAULT_PROFILE_NAME, { env = process.env, cwd = process.cwd() } = {}) {
+    const sessionFile = getProfileSessionFile(profileName, env);
+    if (profileName === DEFAULT_PROFILE_NAME) {
+        await adoptLegacySessionFile(sessionFile, cwd);
+    }
+    return { name: profileName, sessionFile };
+}
+
+async function listProfiles({ env = process.env } = {}) {
+    const profilesDir = getProfilesDirectory(env);
+    let entries;
+    try {
+        entries = await fs.readdir(profilesDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const profiles = [];
+    for (const entry of entries.sort()) {
+        const name = path.basename(entry, PROFILE_FILE_EXTENSION);
+        if (path.extname(entry) !== PROFILE_FILE_EXTENSION || !PROFILE_NAME_PATTERN.test(name)) continue;
+        const sessionFile = path.join(profilesDir, entry);
+        try {
+            const stored = await readSessionFile(sessionFile);
+            profiles.push({ name, sessionFile, isEncrypted: stored.isEncrypted, session: stored.data ? new TidalSession(stored.data) : null });
+        } catch (error) {
+            console.warn(`Could not read the session of profile '${name}': ${error.message}`);
+        }
+    }
+    return profiles;
+}
+
+function describeSessionStatus(session) {
+    if (!session.accessToken && !session.refreshToken) return 'logged out';
+    const expiry = session.tokenExpiresAtTimestamp ? new Date(session.tokenExpiresAtTimestamp).toLocaleString() : 'unknown';
+    if (session.isAccessTokenCurrentlyValid()) return `access token valid until ${expiry}`;
+    return session.hasValidRefreshToken() ? `access token expired at ${expiry} (will be refreshed)` : `access token expired at ${expiry}`;
+}
+
+export {
+    resolveProfile,
+    listProfiles,
+    validateProfileName,
+    getProfilesDirectory,
+    getProfileSessionFile,
+    describeSessionStatus,
+    DEFAULT_PROFILE_NAME,
+};
@@ -0,0 +1,237 @@
+'use strict';
+
+import readline from 'readline';
+
+// Phases reported through the `onProgress` download option. Every event is `{ phase, ...details }`:
+//   playbackinfo  { itemId, quality }                      Playback info is requested (once per quality tried).
+//   manifest      { segmentCount, stream }                 The manifest or media playlist was parsed.
+//   segments      { completed, total, bytes, totalBytes }  A segment file finished downloading.
+//   bytes         { completed, total, bytes, totalBytes }  Data arrived (at most a few times per second).
+//   concatenate   { segmentCount }                         Segments are joined into the output file.
+//   postprocess   { step }                                 lyrics, tags, remux or thumbnail.
+// `totalBytes` is estimated from the segment sizes seen so far, and is null until one is known.
+const PROGRESS_PHASES = {
+    PLAYBACK_INFO: 'playbackinfo',
+    MANIFEST: 'manifest',
+    SEGMENTS: 'segments',
+    BYTES: 'bytes',
+    CONCATENATE: 'concatenate',
+    POSTPROCESS: 'postprocess',
+};
+
+const PHASE_LABELS = {
+    [PROGRESS_PHASES.PLAYBACK_INFO]: 'requesting playback info',
+    [PROGRESS_PHASES.MANIFEST]: 'reading manifest',
+    [PROGRESS_PHASES.CONCATENATE]: 'joining segments',
+    [PROGRESS_PHASES.POSTPROCESS]: 'post-processing',
+};
+
+const REDRAW_INTERVAL_MS = 100;
+const SPEED_WINDOW_MS = 5000;
+const BAR_WIDTH = 20;
+const MIN_LABEL_WIDTH = 12;
+const MAX_LABEL_WIDTH = 40;
+// Room taken by the bar, percentage, counts, size, speed and ETA after the label.
+const STATUS_WIDTH = 66;
+const REDRAWN_CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+function formatBytes(bytes) {
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1000 && unitIndex < BYTE_UNITS.length - 1) {
+        value /= 1000;
+        unitIndex++;
+    }
+    return `${unitIndex === 0 ? value : value.toFixed(1)} ${BYTE_UNITS[unitIndex]}`;
+}
+
+function formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '--:--';
+    const totalSeconds = Math.round(seconds);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const secondsPart = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secondsPart}` : `${minutes}:${secondsPart}`;
+}
+
+function renderBar(fraction) {
+    const filled = Math.round(Math.min(Math.max(fraction, 0), 1) * BAR_WIDTH);
+    return `${'█'.repeat(filled)}${'░'.repeat(BAR_WIDTH - filled)}`;
+}
+
+// Bytes per second over the last few seconds, so the speed follows the current download rather than the average.
+function createSpeedMeter() {
+    const samples = [];
+    return {
+        add(totalBytes, time = Date.now()) {
+            samples.push({ time, totalBytes });
+            while (samples.length > 2 && time - samples[0].time > SPEED_WINDOW_MS) samples.shift();
+        },
+        reset() {
+            samples.length = 0;
+        },
+        get bytesPerSecond() {
+            if (samples.length < 2) return 0;
+            const first = samples[0];
+            const last = samples[samples.length - 1];
+            return last.time > first.time ? Math.max(0, last.totalBytes - first.totalBytes) * 1000 / (last.time - first.time) : 0;
+        },
+    };
+}
+
+function createItemProgress(label) {
+    const speedMeter = createSpeedMeter();
+    const state = { label, phase: null, detail: null, completed: 0, total: 0, bytes: 0, totalBytes: null };
+
+    return {
+        state,
+        speedMeter,
+
+        update(event) {
+            if (event.phase === PROGRESS_PHASES.SEGMENTS || event.phase === PROGRESS_PHASES.BYTES) {
+                if (state.phase !== PROGRESS_PHASES.SEGMENTS) speedMeter.reset();
+                Object.assign(state, { phase: PROGRESS_PHASES.SEGMENTS, detail: null, completed: event.completed, total: event.total, bytes: event.bytes, totalBytes: event.totalBytes });
+                speedMeter.add(event.bytes);
+                return;
+            }
+            state.phase = event.phase;
+            state.detail = event.step || event.stream || event.quality || null;
+            if (event.phase === PROGRESS_PHASES.MANIFEST) {
+                Object.assign(state, { completed: 0, total: event.segmentCount, bytes: 0, totalBytes: null });
+            }
+        },
+
+        get fraction() {
+            if (state.phase === PROGRESS_PHASES.SEGMENTS) {
+                if (state.totalBytes) return Math.min(state.bytes / state.totalBytes, 1);
+                return state.total > 0 ? state.completed / state.total : 0;
+            }
+            return state.phase === PROGRESS_PHASES.CONCATENATE || state.phase === PROGRESS_PHASES.POSTPROCESS ? 1 : 0;
+        },
+
+        get etaSeconds() {
+            const speed = speedMeter.bytesPerSecond;
+            if (state.phase !== PROGRESS_PHASES.SEGMENTS || !state.totalBytes || speed <= 0) return null;
+            return Math.max(0, state.totalBytes - state.bytes) / speed;
+        },
+    };
+}
+
+function describeItemLine(item, labelWidth) {
+    const { state } = item;
+    const label = state.label.length > labelWidth ? `${state.label.slice(0, labelWidth - 1)}…` : state.label.padEnd(labelWidth);
+    const percent = `${String(Math.floor(item.fraction * 100)).padStart(3)}%`;
+    if (state.phase !== PROGRESS_PHASES.SEGMENTS) {
+        const phaseLabel = PHASE_LABELS[state.phase] || 'starting';
+        return `${label} ${renderBar(item.fraction)} ${percent}  ${phaseLabel}${state.detail ? ` (${state.detail})` : ''}`;
+    }
+    const speed = item.speedMeter.bytesPerSecond;
+    return `${label} ${renderBar(item.fraction)} ${percent}  ${state.completed}/${state.total}  ${formatBytes(state.bytes)}`
+        + `  ${formatBytes(speed)}/s  ETA ${formatDuration(item.etaSeconds ?? NaN)}`;
+}
+
+// Draws one line per item being downloaded and an overall line at the bottom of the terminal. Console output
+// written while the display is active is printed above the bars. Does nothing when `stream` is not a terminal.
+function createProgressDisplay({ totalItems, stream = process.stderr, enabled = true }) {
+    const isActive = enabled && Boolean(stream.isTTY);
+    const items = new Set();
+    const startedAt = Date.now();
+    let finishedItems = 0;
+    let drawnLineCount = 0;
+    let lastDrawAt = 0;
+    let redrawTimer = null;
+    let restoreConsole = null;
+
+    const clear = () => {
+        if (drawnLineCount === 0) return;
+        readline.moveCursor(stream, 0, -drawnLineCount);
+        readline.clearScreenDown(stream);
+        drawnLineCount = 0;
+    };
+
+    const buildLines = () => {
+        const columns = stream.columns || 80;
+        const labelWidth = Math.max(MIN_LABEL_WIDTH, Math.min(columns - STATUS_WIDTH, MAX_LABEL_WIDTH));
+        const lines = [...items].map(item => describeItemLine(item, labelWidth));
+        if (totalItems > 1) {
+            const activeFraction = [...items].reduce((sum, item) => sum + item.fraction, 0);
+            const fraction = (finishedItems + activeFraction) / totalItems;
+            const elapsedSeconds = (Date.now() - startedAt) / 1000;
+            const speed = [...items].reduce((sum, item) => sum + item.speedMeter.bytesPerSecond, 0);
+            const eta = fraction > 0 ? elapsedSeconds * (1 - fraction) / fraction : NaN;
+            lines.push(`${'Overall'.padEnd(labelWidth)} ${renderBar(fraction)} ${String(Math.floor(fraction * 100)).padStart(3)}%`
+                + `  ${finishedItems}/${totalItems} items  ${formatBytes(speed)}/s  ETA ${formatDuration(eta)}`);
+        }
+        return lines.map(line => line.slice(0, columns - 1));
+    };
+
+    const draw = () => {
+        clearTimeout(redrawTimer);
+        redrawTimer = null;
+        clear();
+        const lines = buildLines();
+        if (lines.length > 0) stream.write(`${lines.join('\n')}\n`);
+        drawnLineCount = lines.length;
+        lastDrawAt = Date.now();
+    };
+
+    const scheduleDraw = () => {
+        if (redrawTimer) return;
+        const waitMs = Math.max(0, REDRAW_INTERVAL_MS - (Date.now() - lastDrawAt));
+        redrawTimer = setTimeout(draw, waitMs);
+        redrawTimer.unref?.();
+    };
+
+    const installConsoleRedraw = () => {
+        const originalMethods = {};
+        for (const method of REDRAWN_CONSOLE_METHODS) {
+            originalMethods[method] = console[method];
+            console[method] = (...args) => {
+                clear();
+                originalMethods[method].apply(console, args);
+                draw();
+            };
+        }
+        restoreConsole = () => Object.assign(console, originalMethods);
+    };
+
+    return {
+        // Returns the `onProgress` callback for one item and a `finish` function that removes its bar.
+        startItem(label) {
+            if (!isActive) return { onProgress: () => {}, finish: () => {} };
+            if (!restoreConsole) installConsoleRedraw();
+            const item = createItemProgress(label);
+            items.add(item);
+            scheduleDraw();
+            return {
+                onProgress(event) {
+                    item.update(event);
+                    scheduleDraw();
+                },
+                finish() {
+                    items.delete(item);
+                    scheduleDraw();
+                },
+            };
+        },
+
+        // Counts one queue item as done for the overall bar, whether or not it had a bar of its own.
+        completeItem() {
+            if (!isActive) return;
+            finishedItems++;
+            scheduleDraw();
+        },
+
+        stop() {
+            if (!isActive) return;
+            clearTimeout(redrawTimer);
+            redrawTimer = null;
+            clear();
+            restoreConsole?.();
+            restoreConsole = null;
+        },
+    };
+}
+
+export { createProgressDisplay, formatDuration, PROGRESS_PHASES };
@@ -0,0 +1,376 @@
+'use strict';
+
+import { execFile } from 'child_process';
+import { once } from 'events';
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import { finished, pipeline } from 'stream/promises';
+import util from 'util';
+
+import { buildBox, buildFullBox, buildFileTypeBox, buildFreeformTagItem, buildItunesMetaBox, buildSampleTableBoxes, uint32, writeMp4FreeformTags } from './mp4.mjs';
+import { demuxTransportStream, AAC_SAMPLES_PER_FRAME } from './mpegts.mjs';
+
+const execFileAsync = util.promisify(execFile);
+
+const REMUX_ENGINES = {
+    AUTO: 'auto',
+    FFMPEG: 'ffmpeg',
+    NATIVE: 'native',
+    NONE: 'none',
+};
+
+const MP4_EXTENSION = '.mp4';
+const TRANSPORT_STREAM_EXTENSION = '.ts';
+const TEMP_OUTPUT_SUFFIX = '.remuxing';
+const MOVIE_TIMESCALE = 1000;
+const TS_TIMESCALE = 90000;
+const DEFAULT_VIDEO_FRAME_DURATION = 3000;
+const BOX_HEADER_SIZE = 8;
+const LARGE_BOX_HEADER_SIZE = 16;
+const UINT32_MAX = 0xFFFFFFFF;
+// The sample entry holds the rate as 16.16 fixed point; higher rates are written as 0 and read from the esds.
+const MAX_SAMPLE_ENTRY_RATE = 0xFFFF;
+const UNITY_MATRIX = uint32(0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000);
+const UNDETERMINED_LANGUAGE = 0x55C4;
+const FFMPEG_MAX_BUFFER = 10 * 1024 * 1024;
+
+const MP4_TAG_DATA_TYPES = {
+    UTF8: 1,
+    JPEG: 13,
+    PNG: 14,
+};
+
+// iTunes-style ilst atoms and the matching ffmpeg metadata keys. Other tags are written as freeform atoms.
+const MP4_TAG_ATOMS = {
+    title: { atom: '©nam', ffmpegKey: 'title' },
+    artist: { atom: '©ART', ffmpegKey: 'artist' },
+    album: { atom: '©alb', ffmpegKey: 'album' },
+    year: { atom: '©day', ffmpegKey: 'date' },
+};
+
+let ffmpegAvailabilityPromise = null;
+
+function isFfmpegAvailable() {
+    if (!ffmpegAvailabilityPromise) {
+        ffmpegAvailabilityPromise = execFileAsync('ffmpeg', ['-version']).then(() => true, () => false);
+    }
+    return ffmpegAvailabilityPromise;
+}
+
+async function resolveRemuxEngine(engine = REMUX_ENGINES.AUTO) {
+    const normalizedEngine = String(engine || REMUX_ENGINES.AUTO).trim().toLowerCase();
+    if (!Object.values(REMUX_ENGINES).includes(normalizedEngine)) {
+        throw new Error(`Unknown remuxer '${engine}'. Use one of: ${Object.values(REMUX_ENGINES).join(', ')}.`);
+    }
+    if (normalizedEngine !== REMUX_ENGINES.AUTO) {
+        return normalizedEngine;
+    }
+    return await isFfmpegAvailable() ? REMUX_ENGINES.FFMPEG : REMUX_ENGINES.NATIVE;
+}
+
+function uint16(...values) {
+    const buffer = Buffer.alloc(values.length * 2);
+    values.forEach((value, index) => buffer.writeUInt16BE(value & 0xFFFF, index * 2));
+    return buffer;
+}
+
+function isPngImage(image) {
+    return image.length > 4 && image.readUInt32BE(0) === 0x89504E47;
+}
+
+function buildDescriptor(tag, ...payloads) {
+    const payload = Buffer.concat(payloads);
+    if (payload.length > 0x7F) {
+        throw new Error(`MP4 descriptor 0x${tag.toString(16)} is too large.`);
+    }
+    return Buffer.concat([Buffer.from([tag, payload.length]), payload]);
+}
+
+function buildAvcSampleEntry(video) {
+    const avcC = buildBox('avcC',
+        Buffer.from([1, video.profileIdc, video.profileCompatibility, video.levelIdc, 0xFF, 0xE1]),
+        uint16(video.sps.length), video.sps,
+        Buffer.from([1]), uint16(video.pps.length), video.pps);
+    return buildBox('avc1',
+        Buffer.alloc(6), uint16(1),
+        Buffer.alloc(16),
+        uint16(video.width, video.height),
+        uint32(0x00480000, 0x00480000, 0),
+        uint16(1),
+        Buffer.alloc(32),
+        uint16(0x0018, 0xFFFF),
+        avcC);
+}
+
+function buildAacSampleEntry(audio, trackId) {
+    const channelCount = audio.channelConfig || 2;
+    const audioSpecificConfig = uint16((audio.objectType << 11) | (audio.sampleRateIndex << 7) | (channelCount << 3));
+    const decoderConfig = buildDescriptor(0x04, Buffer.from([0x40, 0x15, 0, 0, 0]), uint32(0, 0), buildDescriptor(0x05, audioSpecificConfig));
+    const esDescriptor = buildDescriptor(0x03, uint16(trackId), Buffer.from([0]), decoderConfig, buildDescriptor(0x06, Buffer.from([0x02])));
+    return buildBox('mp4a',
+        Buffer.alloc(6), uint16(1),
+        Buffer.alloc(8),
+        uint16(channelCount, 16, 0, 0),
+        uint32(audio.sampleRate <= MAX_SAMPLE_ENTRY_RATE ? audio.sampleRate * 0x10000 : 0),
+        buildFullBox('esds', 0, 0, esDescriptor));
+}
+
+function buildHandlerBox(handlerType, name) {
+    return buildFullBox('hdlr', 0, 0, uint32(0), Buffer.from(handlerType, 'latin1'), uint32(0, 0, 0), Buffer.from(`${name}\0`, 'utf8'));
+}
+
+function buildEditList(delay, duration, mediaTime) {
+    const entries = [];
+    if (delay > 0) entries.push(uint32(delay, UINT32_MAX), uint16(1, 0));
+    entries.push(uint32(duration, mediaTime), uint16(1, 0));
+    return buildBox('edts', buildFullBox('elst', 0, 0, uint32(delay > 0 ? 2 : 1), ...entries));
+}
+
+function buildTrackBox(track, movieTrackDuration) {
+    const isVideo = track.kind === 'video';
+    const tkhd = buildFullBox('tkhd', 0, 0x000003,
+        uint32(0, 0, track.id, 0, movieTrackDuration, 0, 0),
+        uint16(0, 0, isVideo ? 0 : 0x0100, 0),
+        UNITY_MATRIX,
+        uint32((track.width || 0) * 0x10000, (track.height || 0) * 0x10000));
+    const mdhd = buildFullBox('mdhd', 0, 0, uint32(0, 0, track.timescale, track.mediaDuration), uint16(UNDETERMINED_LANGUAGE, 0));
+    const mediaHeader = isVideo ? buildFullBox('vmhd', 0, 1, Buffer.alloc(8)) : buildFullBox('smhd', 0, 0, Buffer.alloc(4));
+    const dinf = buildBox('dinf', buildFullBox('dref', 0, 0, uint32(1), buildFullBox('url ', 0, 1)));
+    const stbl = buildBox('stbl', buildFullBox('stsd', 0, 0, uint32(1), track.sampleEntry), ...buildSampleTableBoxes(track.sampleTable));
+
+    return buildBox('trak',
+        tkhd,
+        buildEditList(track.delay, movieTrackDuration - track.delay, track.mediaTime),
+        buildBox('mdia', mdhd, buildHandlerBox(isVideo ? 'vide' : 'soun', isVideo ? 'VideoHandler' : 'SoundHandler'), buildBox('minf', mediaHeader, dinf, stbl)));
+}
+
+function selectFreeformTags(tags) {
+    return Object.fromEntries(Object.entries(tags).filter(([key, value]) => !MP4_TAG_ATOMS[key] && value));
+}
+
+function buildMetadataBox(tags, cover) {
+    const items = Object.entries(MP4_TAG_ATOMS)
+        .filter(([key]) => tags[key])
+        .map(([key, { atom }]) => buildBox(atom, buildBox('data', uint32(MP4_TAG_DATA_TYPES.UTF8, 0), Buffer.from(String(tags[key]), 'utf8'))));
+    items.push(...Object.entries(selectFreeformTags(tags)).map(([name, value]) => buildFreeformTagItem(name, value)));
+    if (cover) {
+        items.push(buildBox('covr', buildBox('data', uint32(isPngImage(cover) ? MP4_TAG_DATA_TYPES.PNG : MP4_TAG_DATA_TYPES.JPEG, 0), cover)));
+    }
+    if (items.length === 0) return null;
+    return buildBox('udta', buildItunesMetaBox(items));
+}
+
+function describeVideoTrack(video, samples) {
+    const sampleDurations = samples.map((sample, index) => {
+        const nextSample = samples[index + 1];
+        return nextSample ? Math.max(nextSample.dts - sample.dts, 1) : null;
+    });
+    const lastDuration = sampleDurations.length > 1 ? sampleDurations[sampleDurations.length - 2] : DEFAULT_VIDEO_FRAME_DURATION;
+    sampleDurations[sampleDurations.length - 1] = lastDuration;
+    const firstPresentation = Math.min(...samples.map(sample => sample.pts));
+
+    return {
+        kind: 'video',
+        timescale: TS_TIMESCALE,
+        width: video.width,
+        height: video.height,
+        sampleEntry: buildAvcSampleEntry(video),
+        start: firstPresentation,
+        mediaTime: firstPresentation - samples[0].dts,
+        mediaDuration: sampleDurations.reduce((sum, duration) => sum + duration, 0),
+        sampleDurations,
+        sampleSizes: samples.map(sample => sample.size),
+        compositionOffsets: samples.map(sample => sample.pts - sample.dts),
+        syncSamples: samples.flatMap((sample, index) => (sample.isKeyframe ? [index + 1] : [])),
+    };
+}
+
+function describeAudioTrack(audio, samples, fallbackStart) {
+    return {
+        kind: 'audio',
+        timescale: audio.sampleRate,
+        start: audio.firstPts ?? fallbackStart,
+        mediaTime: 0,
+        mediaDuration: samples.length * AAC_SAMPLES_PER_FRAME,
+        sampleDurations: samples.map(() => AAC_SAMPLES_PER_FRAME),
+        sampleSizes: samples.map(sample => sample.size),
+        compositionOffsets: null,
+        syncSamples: null,
+    };
+}
+
+function buildMovieBox(tracks, chunks, chunkOffsetBase, tags, cover) {
+    const presentationStart = Math.min(...tracks.map(track => track.start));
+    let movieDuration = 0;
+    const trackBoxes = tracks.map(track => {
+        const trackChunks = chunks.filter(chunk => chunk.kind === track.kind);
+        track.sampleTable = {
+            sampleDurations: track.sampleDurations,
+            sampleSizes: track.sampleSizes,
+            compositionOffsets: track.compositionOffsets,
+            syncSamples: track.syncSamples,
+            chunkSampleCounts: trackChunks.map(chunk => chunk.sampleCount),
+            chunkOffsets: trackChunks.map(chunk => chunkOffsetBase + chunk.bodyOffset),
+        };
+        track.delay = Math.round((track.start - presentationStart) * MOVIE_TIMESCALE / TS_TIMESCALE);
+        const movieTrackDuration = track.delay + Math.round(track.mediaDuration * MOVIE_TIMESCALE / track.timescale);
+        movieDuration = Math.max(movieDuration, movieTrackDuration);
+        return buildTrackBox(track, movieTrackDuration);
+    });
+
+    const mvhd = buildFullBox('mvhd', 0, 0,
+        uint32(0, 0, MOVIE_TIMESCALE, movieDuration, 0x00010000),
+        uint16(0x0100), Buffer.alloc(10),
+        UNITY_MATRIX,
+        Buffer.alloc(24),
+        uint32(tracks.length + 1));
+    const metadataBox = buildMetadataBox(tags, cover);
+    return buildBox('moov', mvhd, ...trackBoxes, ...(metadataBox ? [metadataBox] : []));
+}
+
+function buildMdatHeader(bodySize) {
+    if (bodySize + BOX_HEADER_SIZE <= UINT32_MAX) {
+        const header = Buffer.alloc(BOX_HEADER_SIZE);
+        header.writeUInt32BE(bodySize + BOX_HEADER_SIZE, 0);
+        header.write('mdat', 4, 4, 'latin1');
+        return header;
+    }
+    const header = Buffer.alloc(LARGE_BOX_HEADER_SIZE);
+    header.writeUInt32BE(1, 0);
+    header.write('mdat', 4, 4, 'latin1');
+    header.writeBigUInt64BE(BigInt(bodySize + LARGE_BOX_HEADER_SIZE), 8);
+    return header;
+}
+
+// Samples are streamed into a temporary media data file while demuxing, so only the sample
+// tables are kept in memory. The final file is written with the moov box first.
+// With `audioPath`, the audio comes from that file and any audio in `inputPath` is ignored.
+async function remuxWithBuiltInMuxer(inputPath, outputPath, { audioPath, tags, cover }) {
+    const unsupportedInput = [inputPath, audioPath].find(filePath => filePath && path.extname(filePath).toLowerCase() !== TRANSPORT_STREAM_EXTENSION);
+    if (unsupportedInput) {
+        throw new Error(`the built-in remuxer only reads MPEG-TS files, not ${path.basename(unsupportedInput)}; install ffmpeg to remux it`);
+    }
+
+    const bodyPath = `${outputPath}.mdat`;
+    const bodyStream = createWriteStream(bodyPath);
+    const samples = { video: [], audio: [] };
+    const chunks = [];
+    let bodySize = 0;
+
+    try {
+        const writeSample = async (kind, sample) => {
+            if (!bodyStream.write(sample.data)) await once(bodyStream, 'drain');
+            const lastChunk = chunks[chunks.length - 1];
+            if (lastChunk && lastChunk.kind === kind) {
+                lastChunk.sampleCount++;
+            } else {
+                chunks.push({ kind, sampleCount: 1, bodyOffset: bodySize });
+            }
+            bodySize += sample.data.length;
+            samples[kind].push({ size: sample.data.length, dts: sample.dts, pts: sample.pts, isKeyframe: sample.isKeyframe });
+        };
+        const inputTracks = await demuxTransportStream(inputPath, (kind, sample) => (audioPath && kind === 'audio' ? null : writeSample(kind, sample)));
+        const demuxedTracks = audioPath
+            ? { video: inputTracks.video, audio: (await demuxTransportStream(audioPath, (kind, sample) => (kind === 'audio' ? writeSample(kind, sample) : null))).audio }
+            : inputTracks;
+        bodyStream.end();
+        await finished(bodyStream);
+
+        const tracks = [];
+        if (demuxedTracks.video && samples.video.length > 0) {
+            tracks.push(describeVideoTrack(demuxedTracks.video, samples.video));
+        }
+        if (demuxedTracks.audio && samples.audio.length > 0) {
+            tracks.push(describeAudioTrack(demuxedTracks.audio, samples.audio, tracks[0]?.start ?? 0));
+        }
+        if (tracks.length === 0) {
+            throw new Error('The transport stream does not contain any samples.');
+        }
+        tracks.forEach((track, index) => {
+            track.id = index + 1;
+            if (track.kind === 'audio') track.sampleEntry = buildAacSampleEntry(demuxedTracks.audio, track.id);
+        });
+
+        const ftyp = buildFileTypeBox('isom', ['isom', 'iso2', 'avc1', 'mp41']);
+        const mdatHeader = buildMdatHeader(bodySize);
+        let moov = buildMovieBox(tracks, chunks, 0, tags, cover);
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const resized = buildMovieBox(tracks, chunks, ftyp.length + moov.length + mdatHeader.length, tags, cover);
+            const isStable = resized.length === moov.length;
+            moov = resized;
+            if (isStable) break;
+        }
+
+        await fs.writeFile(outputPath, Buffer.concat([ftyp, moov, mdatHeader]));
+        await pipeline(createReadStream(bodyPath), createWriteStream(outputPath, { flags: 'a' }));
+    } finally {
+        bodyStream.destroy();
+        await fs.rm(bodyPath, { force: true });
+    }
+}
+
+async function remuxWithFfmpeg(inputPath, outputPath, { audioPath, tags, cover }) {
+    const args = ['-y', '-loglevel', 'error', '-i', inputPath];
+    if (audioPath) {
+        args.push('-i', audioPath);
+    }
+    const coverPath = cover ? `${outputPath}.cover${isPngImage(cover) ? '.png' : '.jpg'}` : null;
+    if (coverPath) {
+        await fs.writeFile(coverPath, cover);
+        args.push('-i', coverPath);
+    }
+    args.push('-map', '0:v?', '-map', audioPath ? '1:a' : '0:a?');
+    if (coverPath) {
+        args.push('-map', audioPath ? '2' : '1', '-disposition:v:1', 'attached_pic');
+    }
+    args.push('-c', 'copy', '-bsf:a', 'aac_adtstoasc', '-movflags', '+faststart');
+    for (const [key, { ffmpegKey }] of Object.entries(MP4_TAG_ATOMS)) {
+        if (tags[key]) args.push('-metadata', `${ffmpegKey}=${tags[key]}`);
+    }
+    args.push('-f', 'mp4', outputPath);
+
+    try {
+        await execFileAsync('ffmpeg', args, { maxBuffer: FFMPEG_MAX_BUFFER });
+    } finally {
+        if (coverPath) await fs.rm(coverPath, { force: true });
+    }
+    // ffmpeg drops metadata keys it has no MP4 atom for.
+    await writeMp4FreeformTags(outputPath, selectFreeformTags(tags));
+}
+
+// `inputPath` is usually an MPEG-TS file; ffmpeg also accepts fragmented MP4 and separate audio
+// renditions in any container. On failure the inputs are kept and `inputPath` is returned.
+async function remuxVideoToMp4(inputPath, { engine = REMUX_ENGINES.AUTO, audioPath = null, tags = {}, cover = null, keepSource = false } = {}) {
+    const resolvedEngine = await resolveRemuxEngine(engine);
+    if (resolvedEngine === REMUX_ENGINES.NONE) {
+        return inputPath;
+    }
+
+    const parsedPath = path.parse(inputPath);
+    const outputPath = path.join(parsedPath.dir, `${parsedPath.name}${MP4_EXTENSION}`);
+    const tempOutputPath = `${outputPath}${TEMP_OUTPUT_SUFFIX}`;
+    console.log(`Remuxing to MP4 with ${resolvedEngine === REMUX_ENGINES.FFMPEG ? 'ffmpeg' : 'the built-in remuxer'}...`);
+
+    try {
+        if (resolvedEngine === REMUX_ENGINES.FFMPEG) {
+            await remuxWithFfmpeg(inputPath, tempOutputPath, { audioPath, tags, cover });
+        } else {
+            await remuxWithBuiltInMuxer(inputPath, tempOutputPath, { audioPath, tags, cover });
+        }
+        await fs.rename(tempOutputPath, outputPath);
+    } catch (error) {
+        await fs.rm(tempOutputPath, { force: true });
+        const detail = error.stderr ? error.stderr.trim() : error.message;
+        console.warn(`Could not remux ${inputPath} to MP4 (${detail}). Keeping the downloaded file${audioPath ? 's' : ''}.`);
+        return inputPath;
+    }
+
+    if (!keepSource) {
+        const sourcePaths = [inputPath, audioPath].filter(sourcePath => sourcePath && sourcePath !== outputPath);
+        await Promise.all(sourcePaths.map(sourcePath => fs.rm(sourcePath, { force: true })));
+    }
+    console.log(`Created MP4 file: ${outputPath}`);
+    return outputPath;
+}
+
+export { remuxVideoToMp4, resolveRemuxEngine, isFfmpegAvailable, REMUX_ENGINES };
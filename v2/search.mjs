@@ -0,0 +1,105 @@
+'use strict';
+
+import { formatTrackTitle, getPrimaryArtistName, getReleaseYear } from './naming.mjs';
+import { formatDuration } from './progress.mjs';
+
+const TIDAL_BROWSE_URL = 'https://tidal.com/browse';
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+
+const SEARCH_TYPES = [
+    { key: 'tracks', name: 'Track', apiType: 'TRACKS', urlPath: 'track' },
+    { key: 'albums', name: 'Album', apiType: 'ALBUMS', urlPath: 'album' },
+    { key: 'artists', name: 'Artist', apiType: 'ARTISTS', urlPath: 'artist' },
+    { key: 'playlists', name: 'Playlist', apiType: 'PLAYLISTS', urlPath: 'playlist' },
+    { key: 'videos', name: 'Video', apiType: 'VIDEOS', urlPath: 'video' },
+];
+
+const MEDIA_TAG_BADGES = { HIRES_LOSSLESS: 'HI-RES', LOSSLESS: 'LOSSLESS', MQA: 'MQA', DOLBY_ATMOS: 'ATMOS', SONY_360RA: '360RA' };
+const AUDIO_QUALITY_BADGES = { HI_RES_LOSSLESS: 'HI-RES', HI_RES: 'MQA', LOSSLESS: 'LOSSLESS', HIGH: 'AAC', LOW: 'AAC' };
+
+function parseSearchTypeList(value) {
+    const requestedKeys = String(value || '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+    if (requestedKeys.length === 0 || requestedKeys.includes('all')) {
+        return SEARCH_TYPES.map(type => type.key);
+    }
+
+    const aliases = { track: 'tracks', songs: 'tracks', song: 'tracks', album: 'albums', artist: 'artists', playlist: 'playlists', video: 'videos' };
+    const searchTypeKeys = [];
+    for (const requestedKey of requestedKeys) {
+        const key = aliases[requestedKey] || requestedKey;
+        if (!SEARCH_TYPES.some(type => type.key === key)) {
+            throw new Error(`Unknown search type '${requestedKey}'. Valid types: ${SEARCH_TYPES.map(type => type.key).join(', ')}, all.`);
+        }
+        if (!searchTypeKeys.includes(key)) searchTypeKeys.push(key);
+    }
+    return searchTypeKeys;
+}
+
+function describeQualityBadges(item) {
+    if (typeof item.quality === 'string') {
+        return [item.quality.replace(/^MP4_/, '').toLowerCase()];
+    }
+    const tags = item.mediaMetadata?.tags || [];
+    const tagBadges = Object.keys(MEDIA_TAG_BADGES).filter(tag => tags.includes(tag)).map(tag => MEDIA_TAG_BADGES[tag]);
+    if (tagBadges.length > 0) return tagBadges;
+    return AUDIO_QUALITY_BADGES[item.audioQuality] ? [AUDIO_QUALITY_BADGES[item.audioQuality]] : [];
+}
+
+function formatAlbumTitle(album) {
+    const year = getReleaseYear(album);
+    return year ? `${album.title} (${year})` : album.title;
+}
+
+function normalizeSearchResult(searchType, item) {
+    const id = searchType.key === 'playlists' ? item.uuid : item.id;
+    const details = {
+        tracks: () => ({ title: formatTrackTitle(item), artist: getPrimaryArtistName(item), album: item.album?.title || null }),
+        albums: () => ({ title: formatAlbumTitle(item), artist: getPrimaryArtistName(item), album: null, itemCount: item.numberOfTracks }),
+        artists: () => ({ title: item.name, artist: null, album: null }),
+        playlists: () => ({ title: item.title, artist: item.creator?.name || (item.type === 'EDITORIAL' ? 'TIDAL' : null), album: null, itemCount: item.numberOfTracks }),
+        videos: () => ({ title: item.title, artist: getPrimaryArtistName(item), album: item.album?.title || null }),
+    }[searchType.key]();
+
+    return {
+        type: searchType.key,
+        typeName: searchType.name,
+        id: String(id),
+        url: `${TIDAL_BROWSE_URL}/${searchType.urlPath}/${id}`,
+        itemCount: null,
+        ...details,
+        duration: Number.isFinite(item.duration) ? item.duration : null,
+        qualityBadges: searchType.key === 'artists' || searchType.key === 'playlists' ? [] : describeQualityBadges(item),
+        explicit: Boolean(item.explicit),
+    };
+}
+
+// `page` starts at 0. The page size is shared between the requested types, so an "all types" page holds a few
+// results of each type. `hasMore` tells whether any type has results after this page.
+async function searchTidal(query, searchTypeKeys, { client, page = 0, pageSize = DEFAULT_SEARCH_PAGE_SIZE }) {
+    const searchTypes = SEARCH_TYPES.filter(type => searchTypeKeys.includes(type.key));
+    const limit = Math.max(1, Math.ceil(pageSize / searchTypes.length));
+    const offset = page * limit;
+    const response = await client.get('/search', { query, types: searchTypes.map(type => type.apiType).join(','), limit, offset });
+
+    const results = [];
+    let hasMore = false;
+    for (const searchType of searchTypes) {
+        const section = response?.[searchType.key];
+        const items = Array.isArray(section?.items) ? section.items : [];
+        results.push(...items.map(item => normalizeSearchResult(searchType, item)));
+        if (offset + items.length < (section?.totalNumberOfItems || 0)) hasMore = true;
+    }
+    return { results, hasMore };
+}
+
+function describeSearchResult(result) {
+    const parts = [result.title];
+    if (result.artist) parts.push(result.artist);
+    if (result.album) parts.push(result.album);
+    if (result.itemCount != null) parts.push(`${result.itemCount} track(s)`);
+    if (result.duration != null) parts.push(formatDuration(result.duration));
+    const badges = [...result.qualityBadges, ...(result.explicit ? ['E'] : [])].map(badge => `[${badge}]`).join(' ');
+    return `${result.typeName.padEnd(8)} ${parts.join(' · ')}${badges ? `  ${badges}` : ''}`;
+}
+
+export { searchTidal, describeSearchResult, parseSearchTypeList, SEARCH_TYPES, DEFAULT_SEARCH_PAGE_SIZE };
@@ -0,0 +1,170 @@
+'use strict';
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const WEB_UI_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'web', 'index.html');
+const MAX_REQUEST_BODY_BYTES = 16 * 1024;
+const SSE_HEARTBEAT_INTERVAL_MS = 25000;
+const JOB_PATH_PATTERN = /^\/api\/jobs\/([0-9a-f-]{36})$/;
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+const JSON_CONTENT_TYPE = 'application/json';
+
+function createHttpError(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+// Compares digests so the check takes the same time however much of the token matches.
+function isTokenValid(givenToken, expectedToken) {
+    if (typeof givenToken !== 'string') return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(givenToken), digest(expectedToken));
+}
+
+// EventSource cannot send headers, so the token is also accepted as a `token` query parameter.
+function isRequestAuthorized(req, url, token) {
+    if (!token) return true;
+    const authorization = req.headers.authorization || '';
+    const bearerToken = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : null;
+    return isTokenValid(bearerToken ?? url.searchParams.get('token'), token);
+}
+
+// Browsers send Origin with every POST and DELETE, so pages on other sites cannot queue or cancel downloads even
+// without a token. Clients that send no Origin, like curl, are not browsers.
+function isSameOriginRequest(req) {
+    const origin = req.headers.origin;
+    if (origin === undefined) return true;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Requiring the JSON content type also rules out plain HTML form posts, which cannot set it.
+async function readJsonBody(req) {
+    const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== JSON_CONTENT_TYPE) {
+        throw createHttpError(415, `The request body must be sent as ${JSON_CONTENT_TYPE}.`);
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_REQUEST_BODY_BYTES) {
+            throw createHttpError(413, 'The request body is too large.');
+        }
+        chunks.push(chunk);
+    }
+    try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+        return body;
+    } catch (error) {
+        throw createHttpError(400, 'The request body must be a JSON object.');
+    }
+}
+
+function streamJobEvents(req, res, queue) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', 'Connection': 'keep-alive' });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const onJob = job => send('job', job);
+    const onLog = entry => send('log', entry);
+    const onProgress = entry => send('progress', entry);
+
+    send('jobs', queue.list());
+    queue.events.on('job', onJob);
+    queue.events.on('log', onLog);
+    queue.events.on('progress', onProgress);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        queue.events.off('job', onJob);
+        queue.events.off('log', onLog);
+        queue.events.off('progress', onProgress);
+    });
+}
+
+async function handleApiRequest(req, res, url, queue) {
+    if (url.pathname === '/api/events' && req.method === 'GET') {
+        streamJobEvents(req, res, queue);
+        return;
+    }
+    if (url.pathname === '/api/jobs') {
+        if (req.method === 'GET') return sendJson(res, 200, { jobs: queue.list() });
+        if (req.method === 'POST') {
+            const body = await readJsonBody(req);
+            let job;
+            try {
+                job = queue.add({ url: body.url, quality: body.quality || null });
+            } catch (error) {
+                throw createHttpError(400, error.message);
+            }
+            return sendJson(res, 201, job);
+        }
+        throw createHttpError(405, `Method ${req.method} is not allowed for ${url.pathname}.`);
+    }
+
+    const jobMatch = url.pathname.match(JOB_PATH_PATTERN);
+    if (jobMatch) {
+        if (req.method !== 'GET' && req.method !== 'DELETE') {
+            throw createHttpError(405, `Method ${req.method} is not allowed for ${url.pathname}.`);
+        }
+        const job = req.method === 'GET' ? queue.get(jobMatch[1]) : queue.cancel(jobMatch[1]);
+        if (!job) throw createHttpError(404, `Job ${jobMatch[1]} does not exist.`);
+        return sendJson(res, 200, job);
+    }
+    throw createHttpError(404, `Unknown API endpoint ${url.pathname}.`);
+}
+
+// Serves the web UI at / and the jobs API under /api. With a token, every API request must carry it.
+async function startDownloadServer({ queue, host, port, token = null }) {
+    const webUi = await fs.readFile(WEB_UI_FILE);
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (url.pathname === '/' && req.method === 'GET') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(webUi);
+                return;
+            }
+            if (!url.pathname.startsWith('/api/')) {
+                throw createHttpError(404, 'Not found.');
+            }
+            if (req.method !== 'GET' && !isSameOriginRequest(req)) {
+                throw createHttpError(403, 'Requests from other origins are not allowed.');
+            }
+            if (!isRequestAuthorized(req, url, token)) {
+                throw createHttpError(401, 'A valid token is required.');
+            }
+            await handleApiRequest(req, res, url, queue);
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error(`Unexpected error handling ${req.method} ${url.pathname}: ${error.message}`);
+            }
+            if (!res.headersSent) sendJson(res, error.statusCode || 500, { error: error.message });
+            else res.end();
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    console.log(`🌐 Serving the download queue on http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}/`);
+    if (!token && !LOOPBACK_HOSTS.includes(host)) {
+        console.warn('⚠️  No token is set, so anyone who can reach this address can queue downloads. Set TIDAL_DL_SERVE_TOKEN to require one.');
+    }
+    return server;
+}
+
+export { startDownloadServer };
@@ -0,0 +1,89 @@
+'use strict';
+
+import { fetchTidalImage, DEFAULT_COVER_SIZE } from './artwork.mjs';
+import { writeFlacTagsToFile, isFlacFile } from './flac.mjs';
+import { fetchTrackMetadata } from './metadata.mjs';
+import { writeMp4FreeformTags } from './mp4.mjs';
+import { formatTrackTitle } from './naming.mjs';
+
+// Written into every tagged file so a download archive rebuild can match files with any name. The quality is the
+// one that was requested, which is what the archive is keyed on.
+const ARCHIVE_TAGS = {
+    TRACK_ID: 'TIDAL_TRACK_ID',
+    VIDEO_ID: 'TIDAL_VIDEO_ID',
+    QUALITY: 'TIDAL_QUALITY',
+};
+
+function formatReplayGain(gain) {
+    return Number.isFinite(gain) ? `${gain.toFixed(2)} dB` : null;
+}
+
+function formatPeak(peak) {
+    return Number.isFinite(peak) ? peak.toFixed(6) : null;
+}
+
+function getArtistNames(metadata) {
+    return (metadata?.artists || []).map(artist => artist.name);
+}
+
+function buildTrackTags(track, playbackData = {}) {
+    const albumArtists = getArtistNames(track.album);
+    return {
+        TITLE: formatTrackTitle(track),
+        ARTIST: getArtistNames(track),
+        ALBUM: track.album?.title,
+        ALBUMARTIST: albumArtists.length > 0 ? albumArtists : getArtistNames(track).slice(0, 1),
+        TRACKNUMBER: track.trackNumber,
+        DISCNUMBER: track.discNumber,
+        DATE: track.releaseDate,
+        ISRC: track.isrc,
+        [ARCHIVE_TAGS.TRACK_ID]: track.id,
+        COPYRIGHT: track.copyright,
+        REPLAYGAIN_TRACK_GAIN: formatReplayGain(playbackData.trackReplayGain ?? track.replayGain),
+        REPLAYGAIN_TRACK_PEAK: formatPeak(playbackData.trackPeakAmplitude ?? track.peak),
+        REPLAYGAIN_ALBUM_GAIN: formatReplayGain(playbackData.albumReplayGain),
+        REPLAYGAIN_ALBUM_PEAK: formatPeak(playbackData.albumPeakAmplitude),
+    };
+}
+
+// Plain-text tags for the MP4 remuxer; keys match the atoms written by remux.mjs, and the archive tags are
+// written as freeform atoms. `video` may be null when its metadata could not be fetched.
+function buildVideoTags(video, { videoId, quality }) {
+    const archiveTags = { [ARCHIVE_TAGS.VIDEO_ID]: videoId, [ARCHIVE_TAGS.QUALITY]: quality };
+    if (!video) return archiveTags;
+    return {
+        title: formatTrackTitle(video),
+        artist: getArtistNames(video).join(', '),
+        album: video.album?.title,
+        year: video.releaseDate?.substring(0, 4),
+        ...archiveTags,
+    };
+}
+
+async function embedTrackMetadata(filePath, options) {
+    const { trackId, quality, metadata = null, playbackData, client, coverSize = DEFAULT_COVER_SIZE, lyrics = null } = options;
+
+    if (!await isFlacFile(filePath)) {
+        console.warn(`Skipping tagging: ${filePath} is not a native FLAC stream.`);
+        return false;
+    }
+
+    let track = metadata;
+    if (!track) {
+        console.log(`Fetching track and album metadata for tagging track ${trackId}...`);
+        track = await fetchTrackMetadata(trackId, { client });
+    }
+    const coverImage = await fetchTidalImage(track.coverId, coverSize);
+
+    const tags = { ...buildTrackTags(track, playbackData), [ARCHIVE_TAGS.QUALITY]: quality, LYRICS: lyrics };
+    await writeFlacTagsToFile(filePath, tags, coverImage ? { data: coverImage, mimeType: 'image/jpeg' } : null);
+    console.log(`Embedded tags${coverImage ? ' and cover art' : ''} into ${filePath}`);
+    return true;
+}
+
+// AAC (.m4a) tracks only get the archive tags.
+async function embedMp4ArchiveTags(filePath, { trackId, quality }) {
+    await writeMp4FreeformTags(filePath, { [ARCHIVE_TAGS.TRACK_ID]: trackId, [ARCHIVE_TAGS.QUALITY]: quality });
+}
+
+export { embedTrackMetadata, embedMp4ArchiveTags, buildTrackTags, buildVideoTags, ARCHIVE_TAGS };
@@ -0,0 +1,104 @@
+'use strict';
+
+import path from 'path';
+
+import { sanitizeFilenameSegment, fitBaseNameToPathLength, getPrimaryArtistName, getReleaseYear, formatTrackTitle } from './naming.mjs';
+
+const DEFAULT_TRACK_TEMPLATE = '{artist} - {title}';
+const DEFAULT_ALBUM_TRACK_TEMPLATE = '{albumartist}/{album} ({year})/{disctrack} - {title}';
+const DEFAULT_VIDEO_TEMPLATE = '{artist} - {title}';
+
+const TRACK_TEMPLATE_FIELDS = ['id', 'title', 'artist', 'artists', 'albumartist', 'album', 'year', 'track', 'disc', 'disctrack', 'isrc', 'quality', 'bitdepth', 'samplerate'];
+const VIDEO_TEMPLATE_FIELDS = ['id', 'title', 'artist', 'artists', 'album', 'year', 'resolution'];
+
+const PLACEHOLDER_PATTERN = /\{([a-z]+)(?::(0\d+))?\}/gi;
+const EMPTY_BRACKETS_PATTERN = /\(\s*\)|\[\s*\]|\{\s*\}/g;
+const DANGLING_SEPARATOR_PATTERN = /^[\s\-_.,]+|[\s\-_,]+$/g;
+
+function formatFieldValue(value, padSpec) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return padSpec && /^\d+$/.test(text) ? text.padStart(parseInt(padSpec, 10), '0') : text;
+}
+
+function renderTemplateSegment(segment, fields) {
+    const rendered = segment.replace(PLACEHOLDER_PATTERN, (match, name, padSpec) => formatFieldValue(fields[name.toLowerCase()], padSpec));
+    return rendered.replace(EMPTY_BRACKETS_PATTERN, '').replace(/\s+/g, ' ').replace(DANGLING_SEPARATOR_PATTERN, '').trim();
+}
+
+function validatePathTemplate(template, allowedFields) {
+    if (!template || typeof template !== 'string' || !template.trim()) {
+        throw new Error('Filename template must be a non-empty string.');
+    }
+    const unknownFields = [...template.matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1].toLowerCase())
+        .filter(name => !allowedFields.includes(name));
+    if (unknownFields.length > 0) {
+        throw new Error(`Unknown template field(s) ${[...new Set(unknownFields)].map(name => `{${name}}`).join(', ')} in '${template}'. Available: ${allowedFields.map(name => `{${name}}`).join(', ')}.`);
+    }
+    if (template.replace(PLACEHOLDER_PATTERN, '').includes('..')) {
+        throw new Error(`Filename template '${template}' must not contain '..'.`);
+    }
+    return template;
+}
+
+function renderPathTemplate(template, fields, { baseDir = '.', fileExtension = '', maxPathLength }) {
+    const segments = template.split(/[\\/]+/).filter(Boolean);
+    const renderedSegments = segments.map(segment => sanitizeFilenameSegment(renderTemplateSegment(segment, fields)));
+    const baseName = renderedSegments.pop() || sanitizeFilenameSegment(String(fields.id || ''));
+    const outputDir = path.join(baseDir, ...renderedSegments);
+    return {
+        outputDir,
+        outputBasename: maxPathLength ? fitBaseNameToPathLength(outputDir, baseName, fileExtension, maxPathLength) : baseName,
+    };
+}
+
+function joinArtistNames(metadata) {
+    return metadata.artists.map(artist => artist.name).join(', ') || getPrimaryArtistName(metadata);
+}
+
+// Both builders take the normalized objects from metadata.mjs. `quality` is the delivered quality from
+// downloadMusicTrack; without it the quality fields render empty.
+function buildTrackTemplateFields(track, { isMultiDisc = (track.album?.numberOfVolumes || 1) > 1, quality = null } = {}) {
+    const trackNumber = String(track.trackNumber || 0).padStart(2, '0');
+    return {
+        id: track.id,
+        title: formatTrackTitle(track),
+        artist: getPrimaryArtistName(track),
+        artists: joinArtistNames(track),
+        albumartist: track.album?.artists.length > 0 ? getPrimaryArtistName(track.album) : getPrimaryArtistName(track),
+        album: track.album?.title,
+        year: getReleaseYear(track),
+        track: track.trackNumber,
+        disc: track.discNumber,
+        disctrack: isMultiDisc ? `${track.discNumber}-${trackNumber}` : trackNumber,
+        isrc: track.isrc,
+        quality: quality?.audioQuality,
+        bitdepth: quality?.bitDepth,
+        samplerate: quality?.sampleRate ? quality.sampleRate / 1000 : null,
+    };
+}
+
+function buildVideoTemplateFields(video, stream = null) {
+    return {
+        id: video.id,
+        title: formatTrackTitle(video),
+        artist: getPrimaryArtistName(video),
+        artists: joinArtistNames(video),
+        album: video.album?.title,
+        year: getReleaseYear(video),
+        resolution: stream?.resolution,
+    };
+}
+
+export {
+    renderPathTemplate,
+    validatePathTemplate,
+    buildTrackTemplateFields,
+    buildVideoTemplateFields,
+    DEFAULT_TRACK_TEMPLATE,
+    DEFAULT_ALBUM_TRACK_TEMPLATE,
+    DEFAULT_VIDEO_TEMPLATE,
+    TRACK_TEMPLATE_FIELDS,
+    VIDEO_TEMPLATE_FIELDS,
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import util from 'util';
+
+const scryptAsync = util.promisify(crypto.scrypt);
+
+const SESSION_PASSPHRASE_ENV_VARIABLE = 'TIDAL_DL_SESSION_PASSPHRASE';
+const ENCRYPTED_SESSION_FORMAT = 'tidal-dl-encrypted-session';
+const ENCRYPTED_SESSION_VERSION = 1;
+const SESSION_FILE_MODE = 0o600;
+const SESSION_DIRECTORY_MODE = 0o700;
+const GROUP_AND_OTHER_PERMISSIONS = 0o077;
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const SCRYPT_PARAMETERS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024;
+
+function isEncryptedSessionEnvelope(data) {
+    return data?.format === ENCRYPTED_SESSION_FORMAT;
+}
+
+async function deriveKey(passphrase, salt, { N, r, p }) {
+    return scryptAsync(passphrase, salt, KEY_LENGTH, { N, r, p, maxmem: SCRYPT_MAX_MEMORY });
+}
+
+async function encryptSessionData(data, passphrase) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await deriveKey(passphrase, salt, SCRYPT_PARAMETERS);
+    const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+    return {
+        format: ENCRYPTED_SESSION_FORMAT,
+        version: ENCRYPTED_SESSION_VERSION,
+        kdf: { name: 'scrypt', ...SCRYPT_PARAMETERS, salt: salt.toString('base64') },
+        cipher: CIPHER_ALGORITHM,
+        iv: iv.toString('base64'),
+        authTag: cipher.getAuthTag().toString('base64'),
+        data: ciphertext.toString('base64'),
+    };
+}
+
+async function decryptSessionData(envelope, passphrase) {
+    if (envelope.version !== ENCRYPTED_SESSION_VERSION || envelope.cipher !== CIPHER_ALGORITHM || envelope.kdf?.name !== 'scrypt') {
+        throw new Error('The session file was encrypted in an unsupported format.');
+    }
+    const key = await deriveKey(passphrase, Buffer.from(envelope.kdf.salt, 'base64'), envelope.kdf);
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.authTag, 'base64'));
+    try {
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        throw new Error('Wrong passphrase, or the session file is corrupted.');
+    }
+}
+
+// Written to a private temporary file first so the tokens are never readable by others, not even briefly.
+async function writeSessionFile(sessionFile, data, { passphrase = null } = {}) {
+    await fs.mkdir(path.dirname(sessionFile), { recursive: true, mode: SESSION_DIRECTORY_MODE });
+    const content = passphrase ? await encryptSessionData(data, passphrase) : data;
+    const tempFile = `${sessionFile}.${process.pid}.tmp`;
+    try {
+        await fs.writeFile(tempFile, JSON.stringify(content, null, 2), { mode: SESSION_FILE_MODE });
+        await fs.chmod(tempFile, SESSION_FILE_MODE);
+        await fs.rename(tempFile, sessionFile);
+    } catch (error) {
+        await fs.rm(tempFile, { force: true });
+        throw error;
+    }
+}
+
+// Returns null when the file does not exist. `getPassphrase` is only called for encrypted files;
+// without it, encrypted files are reported with `data: null`.
+async function readSessionFile(sessionFile, { getPassphrase = null } = {}) {
+    let rawContent;
+    let stats;
+    try {
+        [rawContent, stats] = await Promise.all([fs.readFile(sessionFile, 'utf8'), fs.stat(sessionFile)]);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const parsed = JSON.parse(rawContent);
+    const hasLoosePermissions = process.platform !== 'win32' && (stats.mode & GROUP_AND_OTHER_PERMISSIONS) !== 0;
+    if (!isEncryptedSessionEnvelope(parsed)) {
+        return { data: parsed, isEncrypted: false, passphrase: null, hasLoosePermissions };
+    }
+    if (!getPassphrase) {
+        return { data: null, isEncrypted: true, passphrase: null, hasLoosePermissions };
+    }
+    const passphrase = await getPassphrase({ confirm: false });
+    return { data: await decryptSessionData(parsed, passphrase), isEncrypted: true, passphrase, hasLoosePermissions };
+}
+
+export {
+    readSessionFile,
+    writeSessionFile,
+    SESSION_PASSPHRASE_ENV_VARIABLE,
+};